@@ -0,0 +1,24 @@
+#!/usr/bin/env node
+// porkbun-client
+// Copyright (C) 2025  Oxtaly
+
+// // This program is free software: you can redistribute it and/or modify
+// // it under the terms of the GNU General Public License as published by
+// // the Free Software Foundation, either version 3 of the License, or
+// // (at your option) any later version.
+
+// // This program is distributed in the hope that it will be useful,
+// // but WITHOUT ANY WARRANTY; without even the implied warranty of
+// // MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// // GNU General Public License for more details.
+
+// // You should have received a copy of the GNU General Public License
+// // along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+"use strict";
+
+const { main } = require('../lib/cli.js');
+
+main(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode;
+});
@@ -16,11 +16,36 @@
 
 "use strict";
 
+const { formatZone, parseZone, toRecordData } = require('./lib/zone.js');
+const { planRecordOperations, toFQDN, getRecordKey } = require('./lib/reconcile.js');
+const { DynamicDNSUpdater } = require('./lib/ddns.js');
+const { PricingCatalog } = require('./lib/pricing.js');
+const { AvailabilitySearch } = require('./lib/availability.js');
+const { auditDomains, DomainAuditReport } = require('./lib/audit.js');
+const { createBackup, restoreBackup } = require('./lib/backup.js');
+const { DNSTransaction } = require('./lib/transaction.js');
+const { getForwardError, toForward, planForwardOperations } = require('./lib/forwards.js');
+const { setupVanityNameservers, teardownVanityNameservers } = require('./lib/vanity.js');
+const { MockPorkbunServer } = require('./lib/mock-server.js');
+const { ACMEChallengeHelper } = require('./lib/acme.js');
+const { SSLHelper } = require('./lib/ssl.js');
+const { DNSSECHelper } = require('./lib/dnssec.js');
+const { NORMALIZERS, parseAPIDate } = require('./lib/normalize.js');
+const { RECORD_CONTENT_FORMATS, getRecordContentError, parseRecordContent, buildRecordContent, parseDNSRecord } = require('./lib/records.js');
+const { RESOLVERS, resolveNameservers, queryNameservers } = require('./lib/propagation.js');
+const { validateResponse, formatIssues } = require('./lib/schema.js');
+const { ResponseError, APIError, TimeoutError, SchemaMismatchError, TransactionError, PropagationTimeoutError, isRateLimitError } = require('./lib/errors.js');
+const { sleep, normalizeHost } = require('./lib/utils.js');
+
 /**
  * @typedef {import('./types.d.ts').PorkbunAPIDNSRecordTypes} PorkbunAPIDNSRecordTypes
  * @typedef {import('./types.d.ts').PorkbunAPIRecordIDType}   PorkbunAPIRecordIDType
  * @typedef {import('./types.d.ts').PorkbunAPIResponses}      PorkbunAPIResponses
  * @typedef {import('./types.d.ts').PorkbunClientOptions}     PorkbunClientOptions
+ * @typedef {import('./types.d.ts').PorkbunRequestOptions}    PorkbunRequestOptions
+ * @typedef {import('./types.d.ts').PorkbunHooks}             PorkbunHooks
+ * @typedef {import('./types.d.ts').PorkbunHookRequest}       PorkbunHookRequest
+ * @typedef {import('./types.d.ts').PorkbunDNSRecordContent}  PorkbunDNSRecordContent
  * 
  * @typedef {import('./types.d.ts').PorkbunAPIDNSRecord}      PorkbunAPIDNSRecord
  * @typedef {import('./types.d.ts').PorkbunAPIStatuses}       PorkbunAPIStatuses
@@ -31,21 +56,27 @@
  * @typedef {import('./types.d.ts').PorkbunAPIResponse<SuccessData>} PorkbunAPIResponse
  */
 
-/** Error thrown when the API does not respond as expected (eg: content-type is not set to application/json). */
-class ResponseError extends Error {
-    /** @type {{ url: string, body: Object }} */
-    context = null;
-    /** @type {Response} */
-    response = null;
-}
+/**
+ * @template {keyof PorkbunAPIResponses} K
+ * @template {boolean} [Normalize=false]
+ * @typedef {import('./types.d.ts').PorkbunResponse<K, Normalize>} PorkbunResponse
+ */
 
-/** Error thrown when the API responds with a status of "ERROR". */
-class APIError extends Error {
-    /** @type {{ url: string, body: Object }} */
-    context = null;
-    /** @type {Object} */
-    apiResponse = null;
-}
+/** @type {Required<Omit<import('./types.d.ts').PorkbunRetryOptions, 'retryOn'>> & { retryOn: Required<import('./types.d.ts').PorkbunRetryOptions['retryOn']> }} */
+const defaultRetryOptions = {
+    maxAttempts: 3,
+    baseDelay: 500,
+    maxDelay: 10000,
+    factor: 2,
+    jitter: true,
+    retryMutations: false,
+    retryOn: {
+        networkErrors: true,
+        serverErrors: true,
+        invalidResponses: true,
+        rateLimits: true
+    }
+};
 
 /**
  * @param {string} url 
@@ -60,10 +91,13 @@ function isValidURL(url) {
     }
 }
 
+/**
+ * @template {boolean} [Normalize=false] - Whether responses are normalized, see the normalize option.
+ */
 class PorkbunClient {
     /** @private @readonly Internal version tracker. Incremented on behavior changes (including additions and deletions). */
     static get version() {
-        return "7";
+        return "30";
     } 
 
     /** @private @readonly @type {string} */
@@ -72,13 +106,46 @@ class PorkbunClient {
     _secretKey = null;
     /** @private @readonly @type {string} */
     _apiKey = null;
-    /** @private @readonly @type {PorkbunClientOptions['queryLogger']} */
-    _queryLogger = null;
+    /** @private @readonly @type {{ [K in keyof PorkbunHooks]-?: PorkbunHooks[K][] }} */
+    _hooks = { beforeRequest: [], afterResponse: [], onError: [] };
     /** @private @readonly @type {string} */
     _userAgent = "porkbun-wrapper";
+    /** @private @readonly @type {typeof defaultRetryOptions} */
+    _retry = { ...defaultRetryOptions, maxAttempts: 1 };
+    /** @private @readonly @type {boolean} */
+    _rateLimitQueue = true;
+    /** @private @readonly @type {number | null} Timeout of each request attempt in milliseconds. */
+    _timeout = null;
+    /** @private @readonly @type {Normalize} */
+    _normalize = /** @type {Normalize} */ (false);
+    /** @private @readonly @type {false | "report" | "strict"} */
+    _validateResponses = false;
+    /** @private @readonly @type {(error: SchemaMismatchError) => void} */
+    _onSchemaMismatch = (error) => process.emitWarning(error.message, 'SchemaMismatchWarning');
+    /** @private Last known state of the checkDomain rate limit, updated from the "limits" property of its responses. */
+    _checkDomainRateLimit = {
+        /** @type {number | null} */
+        limit: null,
+        /** @type {number | null} */
+        used: null,
+        /** @type {number | null} Duration of the rate limit window in seconds. */
+        ttl: null,
+        /** @type {number | null} Timestamp at which the current window is expected to reset. */
+        resetsAt: null
+    };
+    /** @private @type {Promise<void>} Tail of the checkDomain queue. */
+    _checkDomainQueue = Promise.resolve();
+    /** @private @type {number} */
+    _checkDomainQueued = 0;
+    /** @private @type {ACMEChallengeHelper} */
+    _acme = null;
+    /** @private @type {SSLHelper} */
+    _ssl = null;
+    /** @private @type {DNSSECHelper} */
+    _dnssec = null;
 
     /**
-     * @param {PorkbunClientOptions} options 
+     * @param {PorkbunClientOptions & { normalize?: Normalize }} options 
      */
     constructor(options) {
         if(options === undefined)
@@ -115,7 +182,199 @@ class PorkbunClient {
         if(options.queryLogger && typeof options.queryLogger !== 'function')
             throw new TypeError(`Invalid options.logger parameter type! Expected 'function (query) => void', received '${typeof options.queryLogger}'!`);
         if(options.queryLogger)
-            this._queryLogger = options.queryLogger;
+            this.use({ beforeRequest: (request) => options.queryLogger({ url: request.url, body: request.body ?? {} }) });
+
+        if(options.hooks !== undefined && options.hooks !== null && typeof options.hooks !== 'object')
+            throw new TypeError(`Invalid options.hooks parameter type! Expected 'object' | 'array<object>', received '${typeof options.hooks}'!`);
+        for (const hooks of [options.hooks ?? []].flat())
+            this.use(hooks);
+
+        if(options.retry !== undefined && options.retry !== null && typeof options.retry !== 'object')
+            throw new TypeError(`Invalid options.retry parameter type! Expected 'object', received '${typeof options.retry}'!`);
+        if(options.retry)
+            this._retry = this._parseRetryOptions(options.retry);
+
+        if(options.rateLimitQueue !== undefined && options.rateLimitQueue !== null && typeof options.rateLimitQueue !== 'boolean')
+            throw new TypeError(`Invalid options.rateLimitQueue parameter type! Expected 'boolean', received '${typeof options.rateLimitQueue}'!`);
+        if(typeof options.rateLimitQueue === 'boolean')
+            this._rateLimitQueue = options.rateLimitQueue;
+
+        if(options.timeout !== undefined && options.timeout !== null && (typeof options.timeout !== 'number' || !Number.isFinite(options.timeout) || options.timeout < 0))
+            throw new TypeError(`Invalid options.timeout parameter value! Expected a positive number, received '${options.timeout}'!`);
+        if(options.timeout)
+            this._timeout = options.timeout;
+
+        if(options.normalize !== undefined && options.normalize !== null && typeof options.normalize !== 'boolean')
+            throw new TypeError(`Invalid options.normalize parameter type! Expected 'boolean', received '${typeof options.normalize}'!`);
+        if(options.normalize)
+            this._normalize = options.normalize;
+
+        if(options.validateResponses !== undefined && options.validateResponses !== null && typeof options.validateResponses !== 'boolean' && options.validateResponses !== 'strict')
+            throw new TypeError(`Invalid options.validateResponses parameter value! Expected 'boolean' | 'strict', received '${options.validateResponses}'!`);
+        if(options.validateResponses)
+            this._validateResponses = options.validateResponses === 'strict' ? 'strict' : 'report';
+
+        if(options.onSchemaMismatch !== undefined && options.onSchemaMismatch !== null && typeof options.onSchemaMismatch !== 'function')
+            throw new TypeError(`Invalid options.onSchemaMismatch parameter type! Expected 'function (error) => void', received '${typeof options.onSchemaMismatch}'!`);
+        if(options.onSchemaMismatch)
+            this._onSchemaMismatch = options.onSchemaMismatch;
+    }
+
+    /**
+     * Register request hooks, called for every request attempt of every method in the order they were registered.
+     * Hooks can be async and are awaited, errors thrown by hooks rejecting the call.
+     * 
+     * @example
+     * client.use({
+     *     beforeRequest: (request) => { request.headers['x-request-id'] = crypto.randomUUID(); },
+     *     afterResponse: ({ request, status, duration }) => console.log(`${request.url} ${status} ${duration}ms`),
+     *     onError: ({ request, error }) => console.error(`${request.url} failed!`, error)
+     * });
+     * 
+     * @param {PorkbunHooks} hooks 
+     */
+    use(hooks) {
+        if(!hooks)
+            throw new TypeError('Missing hooks parameter!');
+        if(typeof hooks !== 'object')
+            throw new TypeError(`Invalid hooks parameter type! Expected 'object', received '${typeof hooks}'!`);
+        for (const [name, hook] of Object.entries(hooks)) {
+            if(!(name in this._hooks))
+                throw new TypeError(`Invalid hooks parameter key! Expected ${Object.keys(this._hooks).map((key) => `'${key}'`).join(' | ')}, received '${name}'!`);
+            if(hook !== undefined && hook !== null && typeof hook !== 'function')
+                throw new TypeError(`Invalid hooks.${name} parameter type! Expected 'function', received '${typeof hook}'!`);
+        }
+        for (const name of Object.keys(this._hooks)) {
+            if(hooks[name])
+                this._hooks[name].push(hooks[name]);
+        }
+        return this;
+    }
+
+    /**
+     * Used internally to validate per-call request options and merge them with the client's timeout.
+     * 
+     * @private
+     * @param {PorkbunRequestOptions} [requestOptions] 
+     * @returns {{ signal: AbortSignal | null, timeout: number | null }}
+     */
+    _parseRequestOptions(requestOptions) {
+        if(requestOptions === undefined || requestOptions === null)
+            return { signal: null, timeout: this._timeout };
+        if(typeof requestOptions !== 'object')
+            throw new TypeError(`Invalid requestOptions parameter type! Expected 'object', received '${typeof requestOptions}'!`);
+        if(requestOptions.signal !== undefined && requestOptions.signal !== null && !(requestOptions.signal instanceof AbortSignal))
+            throw new TypeError(`Invalid requestOptions.signal parameter type! Expected 'AbortSignal', received '${typeof requestOptions.signal}'!`);
+        if(requestOptions.timeout !== undefined && requestOptions.timeout !== null && (typeof requestOptions.timeout !== 'number' || !Number.isFinite(requestOptions.timeout) || requestOptions.timeout < 0))
+            throw new TypeError(`Invalid requestOptions.timeout parameter value! Expected a positive number, received '${requestOptions.timeout}'!`);
+        return { signal: requestOptions.signal ?? null, timeout: requestOptions.timeout ?? this._timeout };
+    }
+
+    /**
+     * Used internally to validate the retry options and merge them with the defaults.
+     * 
+     * @private
+     * @param {import('./types.d.ts').PorkbunRetryOptions} retry 
+     */
+    _parseRetryOptions(retry) {
+        for (const key of ['maxAttempts', 'baseDelay', 'maxDelay', 'factor']) {
+            if(retry[key] === undefined || retry[key] === null)
+                continue;
+            if(typeof retry[key] !== 'number')
+                throw new TypeError(`Invalid options.retry.${key} parameter type! Expected 'number', received '${typeof retry[key]}'!`);
+            if(!Number.isFinite(retry[key]) || retry[key] < 0)
+                throw new TypeError(`Invalid options.retry.${key} parameter value! Expected a positive number, received '${retry[key]}'!`);
+        }
+        if(retry.maxAttempts !== undefined && retry.maxAttempts !== null && (!Number.isInteger(retry.maxAttempts) || retry.maxAttempts < 1))
+            throw new TypeError(`Invalid options.retry.maxAttempts parameter value! Expected an integer of at least 1, received '${retry.maxAttempts}'!`);
+
+        for (const key of ['jitter', 'retryMutations']) {
+            if(retry[key] !== undefined && retry[key] !== null && typeof retry[key] !== 'boolean')
+                throw new TypeError(`Invalid options.retry.${key} parameter type! Expected 'boolean', received '${typeof retry[key]}'!`);
+        }
+
+        if(retry.retryOn !== undefined && retry.retryOn !== null && typeof retry.retryOn !== 'object')
+            throw new TypeError(`Invalid options.retry.retryOn parameter type! Expected 'object', received '${typeof retry.retryOn}'!`);
+        for (const key of Object.keys(retry.retryOn ?? {})) {
+            if(!(key in defaultRetryOptions.retryOn))
+                throw new TypeError(`Invalid options.retry.retryOn parameter key! Expected ${Object.keys(defaultRetryOptions.retryOn).map((k) => `'${k}'`).join(' | ')}, received '${key}'!`);
+            if(typeof retry.retryOn[key] !== 'boolean')
+                throw new TypeError(`Invalid options.retry.retryOn.${key} parameter type! Expected 'boolean', received '${typeof retry.retryOn[key]}'!`);
+        }
+
+        return {
+            maxAttempts:    retry.maxAttempts    ?? defaultRetryOptions.maxAttempts,
+            baseDelay:      retry.baseDelay      ?? defaultRetryOptions.baseDelay,
+            maxDelay:       retry.maxDelay       ?? defaultRetryOptions.maxDelay,
+            factor:         retry.factor         ?? defaultRetryOptions.factor,
+            jitter:         retry.jitter         ?? defaultRetryOptions.jitter,
+            retryMutations: retry.retryMutations ?? defaultRetryOptions.retryMutations,
+            retryOn: { ...defaultRetryOptions.retryOn, ...retry.retryOn }
+        };
+    }
+
+    /**
+     * ACME DNS-01 challenge helper, creating and deleting _acme-challenge TXT records.
+     * 
+     * @example
+     * await client.acme.present("example.com", "*.example.com", keyAuthDigest, { wait: true });
+     * // ...complete the challenge...
+     * await client.acme.cleanup("example.com", "*.example.com", keyAuthDigest);
+     */
+    get acme() {
+        if(!this._acme)
+            this._acme = new ACMEChallengeHelper(this);
+        return this._acme;
+    }
+
+    /**
+     * SSL bundle helper, writing the bundles to disk, inspecting their certificates and watching for renewals.
+     * 
+     * @example
+     * const { certificate } = await client.ssl.writeBundle("example.com", "/etc/ssl/example.com");
+     * console.log(`Certificate for ${certificate.subjectAltNames.join(", ")} valid until ${certificate.validTo}`);
+     */
+    get ssl() {
+        if(!this._ssl)
+            this._ssl = new SSLHelper(this);
+        return this._ssl;
+    }
+
+    /**
+     * DNSSEC helper, deriving DS data from DNSKEY records and checking the DS records at the registry.
+     * 
+     * @example
+     * const ds = await client.dnssec.addFromDNSKEY("example.com", "example.com. 3600 IN DNSKEY 257 3 13 mdsswUyr3DPW...", { digestType: 2 });
+     * const { valid, missing, stale } = await client.dnssec.verify("example.com", [ksk]);
+     */
+    get dnssec() {
+        if(!this._dnssec)
+            this._dnssec = new DNSSECHelper(this);
+        return this._dnssec;
+    }
+
+    /**
+     * Used internally to build structured record content and validate record content for its type before sending it.
+     * 
+     * @private
+     * @param {string | null | undefined} type 
+     * @param {string | Object} content 
+     * @param {string} [parameter] - Name of the record parameter in error messages. Defaults to "recordData".
+     * @returns {string | TypeError}
+     */
+    _formatRecordContent(type, content, parameter = 'recordData') {
+        if(typeof content === 'object') {
+            if(!type)
+                return new TypeError(`Missing ${parameter}.type parameter! It is required when ${parameter}.content is structured.`);
+            const format = RECORD_CONTENT_FORMATS[type.toUpperCase()];
+            if(!format)
+                return new TypeError(`Invalid ${parameter}.type parameter value! Expected one of ${Object.keys(RECORD_CONTENT_FORMATS).join(', ')} with structured ${parameter}.content, received '${type}'!`);
+            content = format.format(content);
+        }
+        const error = type ? getRecordContentError(type, content) : null;
+        if(error)
+            return new TypeError(`Invalid ${parameter}.content parameter value! ${error}`);
+        return content;
     }
 
     /** 
@@ -129,55 +388,154 @@ class PorkbunClient {
     }
 
     /**
-     * Used internally as a shortcut for requesting a post endpoint with the set credentials, along with handling the response.
+     * Used internally as a shortcut for requesting an endpoint with the set credentials, along with handling the response and retries.
      * 
      * @private
      * @param {Object} options
      * @param {string} options.url 
      * @param {any} [options.body]
+     * @param {"POST"|"GET"} [options.method] - Defaults to "POST". GET requests are sent without credentials.
+     * @param {boolean} [options.mutating] - Whether the request creates, edits or deletes data. Mutating requests are only retried if options.retry.retryMutations is set.
+     * @param {PorkbunRequestOptions} [options.requestOptions] - Per-call abort signal and timeout, the timeout applying to each attempt.
+     * @param {keyof PorkbunAPIResponses} [options.responseName] - Name of the response, validated and normalized if the validateResponses and normalize options are set.
      */
-    _request(options) {
-        return new Promise((resolve, reject) => {
-            this._postRequest(options.url, options.body)
-            .then((response) => this._responseHandler(resolve, reject, response, { url: options.url, body: options.body ?? {} }))
-            .catch((error) => reject(error));
-        });
+    async _request(options) {
+        const { signal, timeout } = this._parseRequestOptions(options.requestOptions);
+        const maxAttempts = options.mutating && !this._retry.retryMutations ? 1 : this._retry.maxAttempts;
+        for (let attempt = 1; ; attempt++) {
+            signal?.throwIfAborted();
+            try {
+                const response = await this._attemptRequest(options, signal, timeout, attempt);
+                return this._normalize && options.responseName in NORMALIZERS ? NORMALIZERS[options.responseName](response) : response;
+            } catch (error) {
+                if(attempt >= maxAttempts || signal?.aborted || !this._isRetryableError(error))
+                    throw error;
+                await sleep(this._getRetryDelay(attempt), signal);
+            }
+        }
     }
 
-    /** 
-     * Used internally to make a post request to a given url with the set credentials.
+    /**
+     * Used internally to make a single request attempt, running the hooks and handling its response.
+     * Credentials are added to the body after the beforeRequest hooks, which never see them.
      * 
      * @private
-     * @param {string} url 
-     * @param {Object} body 
+     * @param {Object} options
+     * @param {string} options.url 
+     * @param {any} [options.body]
+     * @param {"POST"|"GET"} [options.method] - GET requests are sent without credentials nor body.
+     * @param {keyof PorkbunAPIResponses} [options.responseName]
+     * @param {AbortSignal | null} signal 
+     * @param {number | null} timeout - Rejects with a TimeoutError if the response is not received and read within this time in milliseconds.
+     * @param {number} attempt 
      */
-    _postRequest(url, body) {
-        if(!body) 
-            body = {};
-        
-        if(this._queryLogger && typeof this._queryLogger === 'function') {
-            if(body.secretapikey)
-                delete body.secretapikey;
-            if(body.apikey)
-                delete body.apikey;
-            this._queryLogger({ url, body });
+    async _attemptRequest(options, signal, timeout, attempt) {
+        const method = options.method ?? 'POST';
+        /** @type {PorkbunHookRequest} */
+        const request = {
+            url: options.url,
+            method,
+            headers: { 'accept': 'application/json' },
+            body: method === 'GET' ? undefined : { ...options.body },
+            attempt
+        };
+        if(method !== 'GET')
+            request.headers['content-type'] = 'application/json';
+        if(this._userAgent)
+            request.headers['User-Agent'] = this._userAgent;
+        const context = { url: request.url, body: request.body ?? {} };
+
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(signal.reason);
+        signal?.addEventListener('abort', onAbort, { once: true });
+        const timer = timeout ? setTimeout(() => {
+            const error = new TimeoutError(`Request timed out after ${timeout}ms!`);
+            error.context = context;
+            error.timeout = timeout;
+            controller.abort(error);
+        }, timeout) : null;
+
+        const start = Date.now();
+        try {
+            for (const hook of this._hooks.beforeRequest)
+                await hook(request);
+            context.url = request.url;
+            context.body = request.body ?? {};
+
+            const response = await fetch(request.url, {
+                method,
+                headers: request.headers,
+                body: method === 'GET' ? undefined : JSON.stringify({ ...request.body, secretapikey: this._secretKey, apikey: this._apiKey }),
+                signal: controller.signal
+            });
+            let data;
+            try {
+                data = await new Promise((resolve, reject) => this._responseHandler(resolve, reject, response, context, options.responseName).catch(reject));
+            } catch (error) {
+                if(error instanceof APIError)
+                    await this._runHooks('afterResponse', { request, response, status: response.status, data: error.apiResponse, duration: Date.now() - start });
+                throw error;
+            }
+            await this._runHooks('afterResponse', { request, response, status: response.status, data, duration: Date.now() - start });
+            return data;
+        } catch (caughtError) {
+            const error = controller.signal.aborted ? controller.signal.reason : caughtError;
+            await this._runHooks('onError', { request, error, duration: Date.now() - start });
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
         }
+    }
 
-        body.secretapikey = this._secretKey;
-        body.apikey = this._apiKey;
+    /**
+     * Used internally to run the registered hooks of a kind one after the other.
+     * 
+     * @private
+     * @template {keyof PorkbunHooks} K
+     * @param {K} name 
+     * @param {Parameters<PorkbunHooks[K]>[0]} event 
+     */
+    async _runHooks(name, event) {
+        for (const hook of this._hooks[name])
+            await hook(/** @type {any} */ (event));
+    }
 
-        const headers = {
-            'accept': 'application/json',
-            'content-type': 'application/json'
+    /**
+     * Used internally to check if a failed request attempt should be retried according to the retry options.
+     * 
+     * @private
+     * @param {any} error 
+     */
+    _isRetryableError(error) {
+        const { retryOn } = this._retry;
+        if(error instanceof SchemaMismatchError)
+            return false;
+        if(error instanceof APIError)
+            return retryOn.rateLimits && isRateLimitError(error);
+        if(error instanceof ResponseError) {
+            if(error.response && error.response.status >= 500)
+                return retryOn.serverErrors;
+            return retryOn.invalidResponses;
         }
-        if(this._userAgent)
-            headers['User-Agent'] = this._userAgent;
+        if(error instanceof TimeoutError)
+            return retryOn.networkErrors;
+        // fetch rejects network failures (DNS resolution, refused or reset connections, etc.) with a TypeError caused by the underlying error,
+        // anything else (eg: an error thrown by a hook) would fail again the same way
+        if(error instanceof TypeError && error.cause)
+            return retryOn.networkErrors;
+        return false;
+    }
 
-        return fetch(url, {
-            headers,
-            body: JSON.stringify(body),
-            method: "POST"
-        });
+    /**
+     * Used internally to get the delay in milliseconds to wait before the next attempt, using exponential backoff with optional full jitter.
+     * 
+     * @private
+     * @param {number} attempt - The attempt that just failed, starting at 1.
+     */
+    _getRetryDelay(attempt) {
+        const delay = Math.min(this._retry.maxDelay, this._retry.baseDelay * (this._retry.factor ** (attempt - 1)));
+        return this._retry.jitter ? Math.round(Math.random() * delay) : delay;
     }
 
     /**
@@ -188,8 +546,9 @@ class PorkbunClient {
      * @param {(value?: any) => void} resolve 
      * @param {Response} response 
      * @param {{ url: string, body: Object }} context 
+     * @param {keyof PorkbunAPIResponses} [responseName] - Name of the response, checked against its schema if the validateResponses option is set.
      */
-    async _responseHandler(resolve, reject, response, context) {
+    async _responseHandler(resolve, reject, response, context, responseName) {
         if(response.headers.get('content-type') !== 'application/json') {
             const error = new ResponseError(`Invalid content type! Expected 'application/json', received '${response.headers.get('content-type')}'!`);
             error.response = response;
@@ -199,8 +558,10 @@ class PorkbunClient {
         }
 
         const data = await response.text();
+        /** @type {any} */
+        let json;
         try {
-            const json = JSON.parse(data);
+            json = JSON.parse(data);
             if(!json.status) {
                 const error = new ResponseError(`Missing response data.status! Expected 'SUCCESS' or 'ERROR', received '${json.status}'!`);
                 error.response = response;
@@ -220,7 +581,6 @@ class PorkbunClient {
                 error.context = context;
                 return reject(error);
             }
-            return resolve(json);
         } catch (caughtError) {
             const error = new ResponseError(`An error happened parsing response JSON!`);
             error.cause = caughtError;
@@ -228,41 +588,50 @@ class PorkbunClient {
             error.context = context;
             return reject(error);
         }
+
+        // Outside of the parsing try block, errors thrown by the onSchemaMismatch callback reject the request as they are
+        if(this._validateResponses && responseName) {
+            const issues = validateResponse(responseName, json);
+            if(issues.length) {
+                const error = new SchemaMismatchError(`Response of ${responseName} does not match its expected schema!\n${formatIssues(issues)}`);
+                error.apiResponse = json;
+                error.context = context;
+                error.responseName = responseName;
+                error.issues = issues;
+                if(this._validateResponses === 'strict')
+                    return reject(error);
+                this._onSchemaMismatch(error);
+            }
+        }
+        resolve(json);
     }
 
     /**
      * Check default domain pricing information for all supported TLDs. This endpoint does not require authentication (keys will not be sent).
      * 
      * @documentation {@link https://porkbun.com/api/json/v3/documentation#Domain%20Pricing}
-     * @returns {Promise<PorkbunAPIResponses['getPricing']>}
-     */
-    getPricing() {
-        return new Promise((resolve, reject) => {
-            const url = this._getEndpoint(`/pricing/get`);
-            if(this._queryLogger)
-                this._queryLogger({ url, body: {} });
-            const headers = {
-                'accept': 'application/json',
-            }
-            if(this._userAgent)
-                headers['User-Agent'] = this._userAgent;
-            fetch(url, {
-                headers,
-                method: "GET"
-            })
-            .then((response) => this._responseHandler(resolve, reject, response, { url, body: {} }))
-            .catch((error) => reject(error));
-        });
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
+     * @returns {Promise<PorkbunResponse<'getPricing', Normalize>>}
+     */
+    getPricing(requestOptions) {
+        return this._request({ url: this._getEndpoint(`/pricing/get`), method: 'GET', requestOptions, responseName: 'getPricing' });
     }
 
     /**
      * Pings the porkbun api with your keys to test authentication.
      * 
      * @documentation {@link https://porkbun.com/api/json/v3/documentation#Authentication}
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
+     * @param {Object} [options] 
+     * @param {boolean} [options.ipv4Only] - Whether to ping the IPv4 only host (api-ipv4.porkbun.com) when using the default endpoint, 
+     * yourIp being the public IPv4 address instead of the IPv6 one on dual-stack networks. Custom endpoints are used as they are.
      * @returns {Promise<PorkbunAPIResponses['ping']>}
      */
-    ping() {
-        return this._request({ url: this._getEndpoint(`/ping`) });
+    ping(requestOptions, options) {
+        const url = new URL(this._getEndpoint(`/ping`));
+        if(options?.ipv4Only && url.hostname === 'api.porkbun.com')
+            url.hostname = 'api-ipv4.porkbun.com';
+        return this._request({ url: url.href, requestOptions, responseName: 'ping' });
     }
 
     /**
@@ -270,15 +639,16 @@ class PorkbunClient {
      * 
      * @documentation {@link https://porkbun.com/api/json/v3/documentation#Domain%20Get%20Name%20Servers}
      * @param {string} domain 
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
      * @returns {Promise<PorkbunAPIResponses['getNameServers']>}
      */
-    getNameServers(domain) {
+    getNameServers(domain, requestOptions) {
         if(!domain)
             return Promise.reject(new TypeError('Missing domain parameter!'));
         if(typeof domain !== 'string')
             return Promise.reject(new TypeError(`Invalid domain parameter type! Expected 'string', received '${typeof domain}'!`));
         
-        return this._request({ url: this._getEndpoint(`/domain/getNs/${domain}`) });
+        return this._request({ url: this._getEndpoint(`/domain/getNs/${domain}`), requestOptions, responseName: 'getNameServers' });
     }
 
     /**
@@ -287,9 +657,10 @@ class PorkbunClient {
      * @documentation {@link https://porkbun.com/api/json/v3/documentation#Domain%20Update%20Name%20Servers}
      * @param {string} domain 
      * @param {string[]} nameservers 
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
      * @returns {Promise<PorkbunAPIResponses['updateNameServers']>}
      */
-    updateNameServers(domain, nameservers) {
+    updateNameServers(domain, nameservers, requestOptions) {
         if(!domain)
             return Promise.reject(new TypeError('Missing domain parameter!'));
         if(typeof domain !== 'string')
@@ -306,7 +677,10 @@ class PorkbunClient {
         
         return this._request({
             url: this._getEndpoint(`/domain/updateNs/${domain}`),
-            body: { ns: nameservers }
+            body: { ns: nameservers },
+            mutating: true,
+            requestOptions,
+            responseName: 'updateNameServers'
         });
     }
 
@@ -317,15 +691,16 @@ class PorkbunClient {
      * @param {Object} [options] 
      * @param {number | `${number}`} [options.start] - An index to start at when retrieving the domains, defaults to 0. To get all domains increment by 1000 until you receive an empty array.
      * @param {boolean} [options.includeLabels] - If set to true, the request will return label information for the domains if it exists.
-     * @returns {Promise<PorkbunAPIResponses['getDomains']>}
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
+     * @returns {Promise<PorkbunResponse<'getDomains', Normalize>>}
      */
-    getDomains(options) {
+    getDomains(options, requestOptions) {
         if(options !== null && options !== undefined && typeof options !== 'object')
             return Promise.reject(new TypeError(`Invalid options parameter type! Expected 'object', received '${typeof options}'!`));
 
         if(options && options.start !== null && options.start !== undefined && typeof options.start !== 'number' && typeof options.start !== 'string')
             return Promise.reject(new TypeError(`Invalid options.start parameter type! Expected 'number', received '${typeof options.start}'!`));
-        if(options && options.start !== null && options.start !== undefined && !isNaN(options.start))
+        if(options && options.start !== null && options.start !== undefined && isNaN(options.start))
             return Promise.reject(new TypeError(`Invalid options.start parameter value! Expected a valid number, received '${options.start}'!`));
 
         if(options && options.includeLabels !== null && options.includeLabels !== undefined && typeof options.includeLabels !== 'boolean')
@@ -340,24 +715,125 @@ class PorkbunClient {
 
         return this._request({
             url: this._getEndpoint(`/domain/listAll`),
-            body: requestBody
+            body: requestBody,
+            requestOptions,
+            responseName: 'getDomains'
         });
     }
     
+    /**
+     * Iterate over all domains of the account, requesting the following chunks of 1000 domains as needed, optionally filtered client-side.
+     * 
+     * @example
+     * for await (const domain of client.iterateDomains({ tld: "com", expiresWithinDays: 30 }))
+     *     console.log(`${domain.domain} expires on ${domain.expireDate}`);
+     * 
+     * @param {import('./types.d.ts').PorkbunDomainFilterOptions} [options] 
+     * @returns {AsyncGenerator<PorkbunResponse<'getDomains', Normalize>['domains'][number], void, undefined>}
+     */
+    async *iterateDomains(options) {
+        const filter = this._getDomainFilter(options);
+        const includeLabels = options?.includeLabels === true || (options?.label !== undefined && options?.label !== null);
+
+        for (let start = 0; ; start += 1000) {
+            const { domains } = await this.getDomains({ start, includeLabels }, { signal: options?.signal, timeout: options?.timeout });
+            for (const domain of domains) {
+                if(filter(domain))
+                    yield domain;
+            }
+            if(domains.length < 1000)
+                return;
+        }
+    }
+
+    /**
+     * Get all domains of the account, requesting all chunks of 1000 domains, optionally filtered client-side.
+     * 
+     * @param {import('./types.d.ts').PorkbunDomainFilterOptions} [options] 
+     * @returns {Promise<PorkbunResponse<'getDomains', Normalize>['domains']>}
+     */
+    async getAllDomains(options) {
+        /** @type {PorkbunResponse<'getDomains', Normalize>['domains'][number][]} */
+        const domains = [];
+        for await (const domain of this.iterateDomains(options))
+            domains.push(domain);
+        return /** @type {PorkbunResponse<'getDomains', Normalize>['domains']} */ (domains);
+    }
+
+    /**
+     * Used internally to validate domain filter options and get the matching filter function.
+     * 
+     * @private
+     * @param {import('./types.d.ts').PorkbunDomainFilterOptions} [options] 
+     * @returns {(domain: PorkbunResponse<'getDomains', Normalize>['domains'][number]) => boolean}
+     */
+    _getDomainFilter(options) {
+        if(options !== null && options !== undefined && typeof options !== 'object')
+            throw new TypeError(`Invalid options parameter type! Expected 'object', received '${typeof options}'!`);
+        if(options && options.includeLabels !== null && options.includeLabels !== undefined && typeof options.includeLabels !== 'boolean')
+            throw new TypeError(`Invalid options.includeLabels parameter type! Expected 'boolean', received '${typeof options.includeLabels}'!`);
+
+        /** @type {Record<'tld'|'label'|'status', Set<string> | null>} */
+        const sets = { tld: null, label: null, status: null };
+        for (const key of /** @type {const} */ (['tld', 'label', 'status'])) {
+            const value = options?.[key];
+            if(value === null || value === undefined)
+                continue;
+            const values = Array.isArray(value) ? value : [value];
+            if(values.some((entry) => typeof entry !== 'string'))
+                throw new TypeError(`Invalid options.${key} parameter type! Expected 'string' | 'array<string>', received '${typeof value}'!`);
+            sets[key] = new Set(values.map((entry) => key === 'tld' ? entry.replace(/^\./, '').toLowerCase() : key === 'status' ? entry.toUpperCase() : entry));
+        }
+
+        const expiresWithinDays = options?.expiresWithinDays;
+        if(expiresWithinDays !== null && expiresWithinDays !== undefined && (typeof expiresWithinDays !== 'number' || !Number.isFinite(expiresWithinDays)))
+            throw new TypeError(`Invalid options.expiresWithinDays parameter value! Expected a number, received '${expiresWithinDays}'!`);
+
+        return (domain) => {
+            if(sets.tld && !sets.tld.has(domain.tld.toLowerCase()))
+                return false;
+            if(sets.status && !sets.status.has(domain.status.toUpperCase()))
+                return false;
+            if(sets.label && !(domain.labels ?? []).some((label) => sets.label.has(label.title)))
+                return false;
+            if(expiresWithinDays !== null && expiresWithinDays !== undefined && parseAPIDate(domain.expireDate).getTime() > Date.now() + expiresWithinDays * 24 * 60 * 60 * 1000)
+                return false;
+            return true;
+        };
+    }
+
+    /**
+     * Audit the domains of the account, reporting domains expiring soon, with auto renew, security lock or WHOIS privacy disabled, 
+     * with unexpected name servers (if options.nameservers is set) and without DNS records. 
+     * The report can be rendered with report.toMarkdown() or JSON.stringify(report).
+     * 
+     * @example
+     * const report = await client.auditDomains({ expiresWithinDays: 60, nameservers: ["curitiba.ns.porkbun.com", "fortaleza.ns.porkbun.com"] });
+     * for (const domain of report.domainsWithIssues)
+     *     console.log(domain.domain, domain.issues.map((issue) => issue.message));
+     * fs.writeFileSync("audit.md", report.toMarkdown());
+     * 
+     * @param {import('./types.d.ts').PorkbunAuditOptions} [options] 
+     */
+    auditDomains(options) {
+        return auditDomains(this, options);
+    }
+
     /**
      * Get URL forwarding for the given domain.
      * 
      * @documentation {@link https://porkbun.com/api/json/v3/documentation#Domain%20Get%20URL%20Forwarding}
      * @param {string} domain 
-     * @returns {Promise<PorkbunAPIResponses['getURLForwardings']>}
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
+     * @returns {Promise<PorkbunResponse<'getURLForwardings', Normalize>>}
      */
-    getURLForwardings(domain) {
+    getURLForwardings(domain, requestOptions) {
         if(!domain)
             return Promise.reject(new TypeError('Missing domain parameter!'));
         if(typeof domain !== 'string')
             return Promise.reject(new TypeError(`Invalid domain parameter type! Expected 'string', received '${typeof domain}'!`));
 
-        return this._request({ url: this._getEndpoint(`/domain/getUrlForwarding/${domain}`) });
+        return this._request({ url: this._getEndpoint(`/domain/getUrlForwarding/${domain}`), requestOptions, responseName: 'getURLForwardings' });
     }
 
     /**
@@ -371,9 +847,10 @@ class PorkbunClient {
      * @param {"temporary"|"permanent"} forwardData.type - The type of forward. Valid types are: temporary or permanent
      * @param {boolean} forwardData.includePath - Whether or not to include the URI path in the redirection. 
      * @param {boolean} forwardData.wildcard - Wether or not to forward all subdomains of the domain.
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
      * @returns {Promise<PorkbunAPIResponses['addURLForwarding']>}
      */
-    addURLForward(domain, forwardData) {
+    addURLForward(domain, forwardData, requestOptions) {
         if(!domain)
             return Promise.reject(new TypeError('Missing domain parameter!'));
         if(typeof domain !== 'string')
@@ -417,7 +894,10 @@ class PorkbunClient {
                 type:        forwardData.type,
                 includePath: forwardData.includePath ? 'yes' : 'no',
                 wildcard:    forwardData.wildcard    ? 'yes' : 'no',
-            }
+            },
+            mutating: true,
+            requestOptions,
+            responseName: 'addURLForwarding'
         });
     }
 
@@ -427,9 +907,10 @@ class PorkbunClient {
      * @documentation {@link https://porkbun.com/api/json/v3/documentation#Domain%20Delete%20URL%20Forward}
      * @param {string} domain 
      * @param {PorkbunAPIRecordIDType} recordID 
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
      * @returns {Promise<PorkbunAPIResponses['deleteURLForwarding']>}
      */
-    deleteURLForward(domain, recordID) {
+    deleteURLForward(domain, recordID, requestOptions) {
         if(!domain)
             return Promise.reject(new TypeError('Missing domain parameter!'));
         if(typeof domain !== 'string')
@@ -439,24 +920,278 @@ class PorkbunClient {
         if(typeof recordID !== 'string')
             return Promise.reject(new TypeError(`Invalid recordID parameter type! Expected 'string', received '${typeof recordID}'!`));
 
-        return this._request({ url: this._getEndpoint(`/domain/deleteUrlForward/${domain}/${recordID}`) });
+        return this._request({ url: this._getEndpoint(`/domain/deleteUrlForward/${domain}/${recordID}`), mutating: true, requestOptions, responseName: 'deleteURLForwarding' });
+    }
+
+    /**
+     * Update the URL forward of a subdomain, which the API does not support: the updated forward is added, then the existing forwards of the subdomain 
+     * (including duplicates) are deleted, so that the subdomain is redirected at all times. Nothing is changed if a forward already matches.
+     * 
+     * @example
+     * await client.updateURLForward("example.com", "promo", { location: "https://example.com/summer-sale" });
+     * 
+     * @param {string} domain 
+     * @param {string | null | undefined} subdomain - Leave blank, set to undefined or to null for the root domain.
+     * @param {Partial<import('./types.d.ts').PorkbunURLForwardData>} changes - Properties to change except the subdomain, others are kept from the existing forward.
+     * @param {PorkbunRequestOptions & { dryRun?: boolean }} [options] - If dryRun is set to true, no changes are made and the planned operations are returned.
+     * @returns {Promise<import('./types.d.ts').PorkbunURLForwardSyncResult>} Rejects if the subdomain has no forward.
+     */
+    async updateURLForward(domain, subdomain, changes, options) {
+        if(!domain)
+            throw new TypeError('Missing domain parameter!');
+        if(typeof domain !== 'string')
+            throw new TypeError(`Invalid domain parameter type! Expected 'string', received '${typeof domain}'!`);
+        if(subdomain !== null && subdomain !== undefined && typeof subdomain !== 'string')
+            throw new TypeError(`Invalid subdomain parameter type! Expected 'string', received '${typeof subdomain}'!`);
+        if(!changes)
+            throw new TypeError('Missing changes parameter!');
+        const changesError = getForwardError(changes, 'changes', true);
+        if(changesError)
+            throw changesError;
+        if(changes.subdomain !== undefined && changes.subdomain !== null)
+            throw new TypeError(`Invalid changes.subdomain parameter! The subdomain of a forward can not be changed, use syncURLForwards instead!`);
+        if(options !== null && options !== undefined && typeof options !== 'object')
+            throw new TypeError(`Invalid options parameter type! Expected 'object', received '${typeof options}'!`);
+        if(options && options.dryRun !== null && options.dryRun !== undefined && typeof options.dryRun !== 'boolean')
+            throw new TypeError(`Invalid options.dryRun parameter type! Expected 'boolean', received '${typeof options.dryRun}'!`);
+
+        const requestOptions = { signal: options?.signal, timeout: options?.timeout };
+        const forwards = (await this.getURLForwardings(domain, requestOptions)).forwards
+            .map(toForward)
+            .filter((forward) => forward.subdomain.toLowerCase() === (subdomain ?? '').toLowerCase());
+        if(!forwards.length)
+            throw new Error(`No URL forward found for '${subdomain || '@'}' of '${domain}'!`);
+
+        const { id, ...current } = forwards[0];
+        const desired = { ...current, ...Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined)) };
+        const { operations, unchanged } = planForwardOperations(forwards, [desired], { unmanaged: 'keep' });
+        if(options?.dryRun !== true)
+            await this._applyForwardOperations(domain, operations, requestOptions);
+        return { domain, dryRun: options?.dryRun === true, operations, unchanged };
+    }
+
+    /**
+     * Make the URL forwards of a domain match the desired forwards, at most one per subdomain. Forwards are matched on subdomain, location, type, includePath and wildcard.
+     * Subdomains with a matching forward keep it (their duplicates being deleted), others get the desired forward added before their existing forwards are deleted, 
+     * so that they are redirected at all times. Forwards of subdomains that are not desired are deleted if options.unmanaged is set to "delete".
+     * 
+     * Failed operations do not stop the following ones, check the status and error of each returned operation. 
+     * If adding the forward of a subdomain fails, its existing forwards are not deleted and keep their "planned" status.
+     * 
+     * @param {string} domain 
+     * @param {import('./types.d.ts').PorkbunURLForwardData[]} desired - includePath and wildcard default to false.
+     * @param {import('./types.d.ts').PorkbunURLForwardSyncOptions} [options] 
+     * @returns {Promise<import('./types.d.ts').PorkbunURLForwardSyncResult>}
+     */
+    async syncURLForwards(domain, desired, options) {
+        if(!domain)
+            throw new TypeError('Missing domain parameter!');
+        if(typeof domain !== 'string')
+            throw new TypeError(`Invalid domain parameter type! Expected 'string', received '${typeof domain}'!`);
+        if(!desired)
+            throw new TypeError('Missing desired parameter!');
+        if(!Array.isArray(desired))
+            throw new TypeError(`Invalid desired parameter type! Expected 'array<object>', received '${typeof desired}'!`);
+        /** @type {Set<string>} */
+        const subdomains = new Set();
+        for (const [i, forward] of desired.entries()) {
+            const forwardError = getForwardError(forward, `desired[${i}]`);
+            if(forwardError)
+                throw forwardError;
+            const subdomain = (forward.subdomain ?? '').toLowerCase();
+            if(subdomains.has(subdomain))
+                throw new TypeError(`Invalid desired[${i}] parameter value! Duplicate forward for '${forward.subdomain || '@'}'!`);
+            subdomains.add(subdomain);
+        }
+
+        if(options !== null && options !== undefined && typeof options !== 'object')
+            throw new TypeError(`Invalid options parameter type! Expected 'object', received '${typeof options}'!`);
+        const unmanaged = options?.unmanaged ?? 'keep';
+        if(unmanaged !== 'keep' && unmanaged !== 'delete')
+            throw new TypeError(`Invalid options.unmanaged parameter value! Expected 'keep' | 'delete', received '${unmanaged}'!`);
+        if(options && options.dryRun !== null && options.dryRun !== undefined && typeof options.dryRun !== 'boolean')
+            throw new TypeError(`Invalid options.dryRun parameter type! Expected 'boolean', received '${typeof options.dryRun}'!`);
+
+        const requestOptions = { signal: options?.signal, timeout: options?.timeout };
+        const existing = (await this.getURLForwardings(domain, requestOptions)).forwards.map(toForward);
+        const { operations, unchanged } = planForwardOperations(existing, desired, { unmanaged });
+        if(options?.dryRun !== true)
+            await this._applyForwardOperations(domain, operations, requestOptions);
+        return { domain, dryRun: options?.dryRun === true, operations, unchanged };
+    }
+
+    /**
+     * Used internally to apply URL forward operations one after the other, updating their status. Failed operations do not stop the following ones, 
+     * but the existing forwards of a subdomain are not deleted if adding its new forward failed.
+     * 
+     * @private
+     * @param {string} domain 
+     * @param {import('./types.d.ts').PorkbunURLForwardOperation[]} operations 
+     * @param {PorkbunRequestOptions} [requestOptions] 
+     */
+    async _applyForwardOperations(domain, operations, requestOptions) {
+        /** @type {Set<string>} */
+        const failedSubdomains = new Set();
+        for (const operation of operations) {
+            requestOptions?.signal?.throwIfAborted();
+            const subdomain = operation.forward.subdomain.toLowerCase();
+            if(operation.action === 'delete' && failedSubdomains.has(subdomain))
+                continue;
+            try {
+                if(operation.action === 'add')
+                    await this.addURLForward(domain, operation.forward, requestOptions);
+                else
+                    await this.deleteURLForward(domain, operation.id, requestOptions);
+                operation.status = 'applied';
+            } catch (error) {
+                operation.status = 'failed';
+                operation.error = error;
+                if(operation.action === 'add')
+                    failedSubdomains.add(subdomain);
+            }
+        }
+        return operations;
     }
 
     /**
      * Check a domain's availability. Please note that domain checks are rate limited and you will be notified of your limit when you cross it.
      * Rate limit is also supplied within the success response in the form of the "limits" property.
      * 
+     * Unless options.rateLimitQueue is set to false, calls are queued and delayed until the rate limit window resets once the limit is reached. 
+     * See {@link PorkbunClient.getRateLimitState} for the current state of the rate limit.
+     * 
      * @documentation {@link https://porkbun.com/api/json/v3/documentation#Domain%20Check}
      * @param {string} domain 
-     * @returns {Promise<PorkbunAPIResponses['checkDomainAvailability']>}
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
+     * @returns {Promise<PorkbunResponse<'checkDomainAvailability', Normalize>>}
      */
-    checkDomain(domain) {
+    checkDomain(domain, requestOptions) {
         if(!domain)
             return Promise.reject(new TypeError('Missing domain parameter!'));
         if(typeof domain !== 'string')
             return Promise.reject(new TypeError(`Invalid domain parameter type! Expected 'string', received '${typeof domain}'!`));
 
-        return this._request({ url: this._getEndpoint(`/domain/checkDomain/${domain}`) });
+        if(!this._rateLimitQueue)
+            return this._checkDomainRequest(domain, false, requestOptions);
+
+        this._checkDomainQueued++;
+        const result = this._checkDomainQueue.then(() => this._checkDomainRequest(domain, true, requestOptions));
+        this._checkDomainQueue = result.then(() => {}, () => {}).finally(() => this._checkDomainQueued--);
+        return result;
+    }
+
+    /**
+     * Used internally to make a checkDomain request and keep track of its rate limit.
+     * 
+     * @private
+     * @param {string} domain 
+     * @param {boolean} waitForBudget - Whether to wait for the rate limit window to reset before requesting if the limit was reached, and to retry once if the request was rate limited.
+     * @param {PorkbunRequestOptions} [requestOptions] 
+     * @returns {Promise<PorkbunResponse<'checkDomainAvailability', Normalize>>}
+     */
+    async _checkDomainRequest(domain, waitForBudget, requestOptions) {
+        for (let attempt = 1; ; attempt++) {
+            if(waitForBudget)
+                await this._waitForCheckDomainBudget(requestOptions?.signal);
+            try {
+                const response = await this._request({ url: this._getEndpoint(`/domain/checkDomain/${domain}`), requestOptions, responseName: 'checkDomainAvailability' });
+                this._updateCheckDomainRateLimit(response.limits);
+                return response;
+            } catch (error) {
+                if(!isRateLimitError(error))
+                    throw error;
+                // The budget was used up outside of what we tracked, consider it exhausted until the window resets
+                const rateLimit = this._checkDomainRateLimit;
+                if(rateLimit.limit === null)
+                    rateLimit.limit = 1;
+                rateLimit.used = rateLimit.limit;
+                rateLimit.resetsAt = Date.now() + (rateLimit.ttl ?? 10) * 1000;
+                if(!waitForBudget || attempt >= 2)
+                    throw error;
+            }
+        }
+    }
+
+    /**
+     * Used internally to wait until the checkDomain rate limit has some budget left.
+     * 
+     * @private
+     * @param {AbortSignal} [signal] 
+     */
+    async _waitForCheckDomainBudget(signal) {
+        const rateLimit = this._checkDomainRateLimit;
+        if(rateLimit.resetsAt === null)
+            return;
+        if(rateLimit.used >= rateLimit.limit && Date.now() < rateLimit.resetsAt)
+            await sleep(rateLimit.resetsAt - Date.now(), signal);
+        if(Date.now() >= rateLimit.resetsAt) {
+            rateLimit.used = 0;
+            rateLimit.resetsAt = null;
+        }
+    }
+
+    /**
+     * Used internally to update the checkDomain rate limit state from the "limits" property of a response.
+     * 
+     * @private
+     * @param {PorkbunAPIResponses['checkDomainAvailability']['limits']} [limits] 
+     */
+    _updateCheckDomainRateLimit(limits) {
+        if(!limits || typeof limits !== 'object')
+            return;
+        const rateLimit = this._checkDomainRateLimit;
+        const now = Date.now();
+        const previouslyUsed = rateLimit.used;
+        rateLimit.limit = parseInt(limits.limit);
+        rateLimit.used = parseInt(limits.used);
+        rateLimit.ttl = parseInt(limits.TTL);
+        // The API does not tell when the window started, assume a new one starts with the first check after the known window reset,
+        // or when fewer checks are reported as used than tracked so far (the window reset earlier than expected)
+        if(rateLimit.resetsAt === null || now >= rateLimit.resetsAt || (previouslyUsed !== null && rateLimit.used < previouslyUsed))
+            rateLimit.resetsAt = now + rateLimit.ttl * 1000;
+    }
+
+    /**
+     * Get the last known state of the checkDomain rate limit. All values are null until a first domain check has been made.
+     * 
+     * @returns {import('./types.d.ts').PorkbunRateLimitState}
+     */
+    getRateLimitState() {
+        const rateLimit = this._checkDomainRateLimit;
+        const expired = rateLimit.resetsAt !== null && Date.now() >= rateLimit.resetsAt;
+        const used = expired ? 0 : rateLimit.used;
+        return {
+            limit:     rateLimit.limit,
+            used,
+            remaining: rateLimit.limit === null ? null : Math.max(0, rateLimit.limit - used),
+            ttl:       rateLimit.ttl,
+            resetsAt:  rateLimit.resetsAt === null || expired ? null : new Date(rateLimit.resetsAt),
+            queued:    this._checkDomainQueued
+        };
+    }
+
+    /**
+     * Check the availability of every candidate name under every TLD (eg: ["acme", "getacme"] × ["com", "dev"]), yielding the results as they complete.
+     * Checks wait for the rate limit window to reset once the limit given by the responses' "limits" property is reached (unless options.wait is false). 
+     * If the quota still runs out, iteration stops early without throwing, search.rateLimited being set and the unchecked domains staying pending: 
+     * iterating the search again continues where it stopped, and search.checked can be passed as options.skip to resume it in a new search.
+     * API errors specific to a domain (eg: unsupported TLD) are yielded as results with their error set.
+     * 
+     * @example
+     * const search = client.searchAvailability(["acme", "getacme"], ["com", "dev", "io"]);
+     * for await (const result of search) {
+     *     if(result.avail)
+     *         console.log(`${result.domain} is available for $${result.price}, renewing at $${result.renewalPrice}`);
+     * }
+     * if(!search.done)
+     *     fs.writeFileSync("checked.json", JSON.stringify(search.checked)); // Resume later with { skip: checked }
+     * 
+     * @param {string[]} names 
+     * @param {string[]} tlds - With or without the leading dot.
+     * @param {import('./types.d.ts').PorkbunAvailabilitySearchOptions} [options] 
+     */
+    searchAvailability(names, tlds, options) {
+        return new AvailabilitySearch(this, names, tlds, options);
     }
 
     /**
@@ -464,15 +1199,16 @@ class PorkbunClient {
      * 
      * @documentation {@link https://porkbun.com/api/json/v3/documentation#Domain%20Get%20Glue%20Records}
      * @param {string} domain 
-     * @returns {Promise<PorkbunAPIResponses['getGlueRecords']>}
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
+     * @returns {Promise<PorkbunResponse<'getGlueRecords', Normalize>>}
      */
-    getGlueRecords(domain) {
+    getGlueRecords(domain, requestOptions) {
         if(!domain)
             return Promise.reject(new TypeError('Missing domain parameter!'));
         if(typeof domain !== 'string')
             return Promise.reject(new TypeError(`Invalid domain parameter type! Expected 'string', received '${typeof domain}'!`));
 
-        return this._request({ url: this._getEndpoint(`/domain/getGlue/${domain}`) });
+        return this._request({ url: this._getEndpoint(`/domain/getGlue/${domain}`), requestOptions, responseName: 'getGlueRecords' });
     }
 
     /**
@@ -482,9 +1218,10 @@ class PorkbunClient {
      * @param {string} domain 
      * @param {string} glueHostSubdomain - THe subdomain that will be used for the glue record. (eg. 'ns1' for 'ns1.example.com')
      * @param {string[]} ips - An array of IP addresses to associate with the glue record. Accepts both IPv4 and IPv6 addresses.
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
      * @returns {Promise<PorkbunAPIResponses['createGlueRecord']>}
      */
-    createGlueRecord(domain, glueHostSubdomain, ips) {
+    createGlueRecord(domain, glueHostSubdomain, ips, requestOptions) {
         if(!domain)
             return Promise.reject(new TypeError('Missing domain parameter!'));
         if(typeof domain !== 'string')
@@ -505,7 +1242,10 @@ class PorkbunClient {
 
         return this._request({
             url: this._getEndpoint(`/domain/createGlue/${domain}/${glueHostSubdomain}`),
-            body: { ips }
+            body: { ips },
+            mutating: true,
+            requestOptions,
+            responseName: 'createGlueRecord'
         });
     }
 
@@ -516,9 +1256,10 @@ class PorkbunClient {
      * @param {string} domain 
      * @param {string} glueHostSubdomain - THe subdomain used for the glue record. (eg. 'ns1' for 'ns1.example.com')
      * @param {string[]} ips - An array of IP addresses to associate with the glue record. Accepts both IPv4 and IPv6 addresses. Will replace existing glue record ip addresses for the subdomain.
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
      * @returns {Promise<PorkbunAPIResponses['updateGlueRecord']>}
      */
-    updateGlueRecord(domain, glueHostSubdomain, ips) {
+    updateGlueRecord(domain, glueHostSubdomain, ips, requestOptions) {
         if(!domain)
             return Promise.reject(new TypeError('Missing domain parameter!'));
         if(typeof domain !== 'string')
@@ -539,7 +1280,10 @@ class PorkbunClient {
 
         return this._request({
             url: this._getEndpoint(`/domain/updateGlue/${domain}/${glueHostSubdomain}`),
-            body: { ips }
+            body: { ips },
+            mutating: true,
+            requestOptions,
+            responseName: 'updateGlueRecord'
         });
     }
 
@@ -549,9 +1293,10 @@ class PorkbunClient {
      * @documentation {@link https://porkbun.com/api/json/v3/documentation#Domain%20Delete%20Glue%20Record}
      * @param {string} domain 
      * @param {string} glueHostSubdomain - THe subdomain used for the glue record. (eg. 'ns1' for 'ns1.example.com')
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
      * @returns {Promise<PorkbunAPIResponses['deleteGlueRecord']>}
      */
-    deleteGlueRecord(domain, glueHostSubdomain) {
+    deleteGlueRecord(domain, glueHostSubdomain, requestOptions) {
         if(!domain)
             return Promise.reject(new TypeError('Missing domain parameter!'));
         if(typeof domain !== 'string')
@@ -561,7 +1306,43 @@ class PorkbunClient {
         if(typeof glueHostSubdomain !== 'string')
             return Promise.reject(new TypeError(`Invalid glueHostSubdomain parameter type! Expected 'string', received '${typeof glueHostSubdomain}'!`));
 
-        return this._request({ url: this._getEndpoint(`/domain/deleteGlue/${domain}/${glueHostSubdomain}`) });
+        return this._request({ url: this._getEndpoint(`/domain/deleteGlue/${domain}/${glueHostSubdomain}`), mutating: true, requestOptions, responseName: 'deleteGlueRecord' });
+    }
+
+    /**
+     * Set up vanity name servers (eg: ns1.example.com and ns2.example.com) for a domain. IP addresses are validated first, then the glue records 
+     * of the hosts are compared with the existing ones and only created or updated if they differ. The name servers of the domain are switched last, 
+     * and not at all if a glue record could not be set. Glue records of other hosts are left as they are.
+     * 
+     * Failed operations do not stop the following glue operations, check the status and error of each returned operation. 
+     * The returned setup holds the name servers and glue records of the domain after the changes, and everything needed by {@link PorkbunClient.teardownVanityNameservers}.
+     * 
+     * @example
+     * const setup = await client.setupVanityNameservers("example.com", { ns1: ["198.51.100.1", "2001:db8::1"], ns2: ["198.51.100.2"] });
+     * 
+     * @param {string} domain 
+     * @param {Record<string, string[]>} hosts - IPv4 and IPv6 addresses of each name server host, by subdomain (eg: "ns1") or fully qualified name.
+     * @param {import('./types.d.ts').PorkbunVanityNameserversOptions} [options] 
+     * @returns {Promise<import('./types.d.ts').PorkbunVanityNameserversSetup>}
+     */
+    setupVanityNameservers(domain, hosts, options) {
+        return setupVanityNameservers(this, domain, hosts, options);
+    }
+
+    /**
+     * Tear down vanity name servers set up by {@link PorkbunClient.setupVanityNameservers}: the previous name servers of the domain are restored first, 
+     * then the glue records created by the setup are deleted and the ones it updated restored to their previous IP addresses. 
+     * Glue records are not deleted if the name servers could not be restored.
+     * 
+     * @example
+     * await client.teardownVanityNameservers(setup);
+     * 
+     * @param {import('./types.d.ts').PorkbunVanityNameserversSetup} setup - Result of setupVanityNameservers, can be serialized and parsed back.
+     * @param {import('./types.d.ts').PorkbunVanityNameserversOptions} [options] 
+     * @returns {Promise<import('./types.d.ts').PorkbunVanityNameserversTeardown>}
+     */
+    teardownVanityNameservers(setup, options) {
+        return teardownVanityNameservers(this, setup, options);
     }
 
     /**
@@ -576,14 +1357,18 @@ class PorkbunClient {
      * @param {string} domain 
      * @param {PorkbunAPIDNSRecordTypes} recordType 
      * @param {string | undefined | null} [subdomain] - Leave blank, unset, set to undefined or to null for the root domain.
-     * @returns {Promise<PorkbunAPIResponses['getDNSRecords']>}
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
+     * @returns {Promise<PorkbunResponse<'getDNSRecords', Normalize>>}
 
      * @overload
      * Get all DNS records for a domain.
      * @param {string} domain 
-     * @returns {Promise<PorkbunAPIResponses['getDNSRecords']>}
+     * @param {undefined | null} [recordType] 
+     * @param {undefined | null} [subdomain] 
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
+     * @returns {Promise<PorkbunResponse<'getDNSRecords', Normalize>>}
      */
-    getDNSRecords(domain, recordType, subdomain) {
+    getDNSRecords(domain, recordType, subdomain, requestOptions) {
         if(!domain)
             return Promise.reject(new TypeError('Missing domain parameter!'));
         if(typeof domain !== 'string')
@@ -603,7 +1388,7 @@ class PorkbunClient {
         else if(recordType)
             apiURL = this._getEndpoint(`/dns/retrieveByNameType/${domain}/${recordType}`);
 
-        return this._request({ url: apiURL });
+        return this._request({ url: apiURL, requestOptions, responseName: 'getDNSRecords' });
     }
 
     /**
@@ -612,9 +1397,10 @@ class PorkbunClient {
      * @documentation {@link https://porkbun.com/api/json/v3/documentation#DNS%20Retrieve%20Records%20by%20Domain%20or%20ID}
      * @param {string} domain 
      * @param {string} recordID
-     * @returns {Promise<PorkbunAPIResponses['getDNSRecord']>}
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
+     * @returns {Promise<PorkbunResponse<'getDNSRecord', Normalize>>}
      */
-    getDNSRecord(domain, recordID) {
+    getDNSRecord(domain, recordID, requestOptions) {
         if(!domain)
             return Promise.reject(new TypeError('Missing domain parameter!'));
         if(typeof domain !== 'string')
@@ -624,7 +1410,7 @@ class PorkbunClient {
         if(typeof recordID !== 'string' && typeof recordID !== 'number')
             return Promise.reject(new TypeError(`Invalid recordID parameter type! Expected 'string'|'number', received '${typeof recordID}'!`));
 
-        return this._request({ url: this._getEndpoint(`/dns/retrieve/${domain}/${recordID}`) });
+        return this._request({ url: this._getEndpoint(`/dns/retrieve/${domain}/${recordID}`), requestOptions, responseName: 'getDNSRecord' });
     }
 
     /**
@@ -635,12 +1421,13 @@ class PorkbunClient {
      * @param {Object} recordData
      * @param {string|null} recordData.name - The subdomain for the record being created, not including the domain itself. Set as null to create a record on the root domain. Use * to create a wildcard record.
      * @param {PorkbunAPIDNSRecordTypes} recordData.type - The type of record being created. Valid types are: A, MX, CNAME, ALIAS, TXT, NS, AAAA, SRV, TLSA, CAA, HTTPS, SVCB
-     * @param {string} recordData.content - The answer content for the record. Please see the DNS management popup from Porkbun's domain management console for proper formatting of each record type.
+     * @param {string | PorkbunDNSRecordContent[PorkbunAPIDNSRecordTypes]} recordData.content - The answer content for the record, or its structured form (eg: `{ weight, port, target }` for SRV records). Validated for the record type before sending the request.
      * @param {number} [recordData.ttl] - The time to live in seconds for the record. The minimum and the default is 600 seconds.
      * @param {number} [recordData.priority] - The priority of the record for those that support it.
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
      * @returns {Promise<PorkbunAPIResponses['createDNSRecord']>}
      */
-    createDNSRecord(domain, recordData) {
+    createDNSRecord(domain, recordData, requestOptions) {
         if(!domain)
             return Promise.reject(new TypeError('Missing domain parameter!'));
         if(typeof domain !== 'string')
@@ -654,8 +1441,8 @@ class PorkbunClient {
         //* Required properties enforcement & type checker
         if(!recordData.content)
             return Promise.reject(new TypeError('Missing recordData.content parameter!'));
-        if(typeof recordData.content !== 'string')
-            return Promise.reject(new TypeError(`Invalid recordData.content parameter type! Expected 'string', received '${typeof recordData.content}'!`));
+        if(typeof recordData.content !== 'string' && typeof recordData.content !== 'object')
+            return Promise.reject(new TypeError(`Invalid recordData.content parameter type! Expected 'string' | 'object', received '${typeof recordData.content}'!`));
 
         if(!recordData.type)
             return Promise.reject(new TypeError('Missing recordData.type parameter!'));
@@ -671,11 +1458,15 @@ class PorkbunClient {
 
         if(recordData.priority !== null && recordData.priority !== undefined && isNaN(recordData.priority))
             return Promise.reject(new TypeError(`Invalid recordData.priority parameter type! Expected 'number', received '${typeof recordData.priority}'!`));
+
+        const content = this._formatRecordContent(recordData.type, recordData.content);
+        if(content instanceof TypeError)
+            return Promise.reject(content);
         
         const requestBody = {
             name: recordData.name,
             type: recordData.type,
-            content: recordData.content
+            content
         };
 
         if(recordData.priority !== null && recordData.priority !== undefined)
@@ -685,7 +1476,10 @@ class PorkbunClient {
 
         return this._request({
             url: this._getEndpoint(`/dns/create/${domain}`),
-            body: requestBody
+            body: requestBody,
+            mutating: true,
+            requestOptions,
+            responseName: 'createDNSRecord'
         });
     }
 
@@ -701,12 +1495,13 @@ class PorkbunClient {
      * @param {Object} recordData
      * @param {string|null} recordData.name - The subdomain for the record being edited, not including the domain itself. Set as null to create a record on the root domain. Use * to create a wildcard record.
      * @param {PorkbunAPIDNSRecordTypes} recordData.type - The type of record being created. Valid types are: A, MX, CNAME, ALIAS, TXT, NS, AAAA, SRV, TLSA, CAA, HTTPS, SVCB
-     * @param {string} recordData.content - The answer content for the record. Please see the DNS management popup from Porkbun's domain management console for proper formatting of each record type.
+     * @param {string | PorkbunDNSRecordContent[PorkbunAPIDNSRecordTypes]} recordData.content - The answer content for the record, or its structured form (eg: `{ weight, port, target }` for SRV records). Validated for the record type before sending the request.
      * @param {number} [recordData.ttl] - The time to live in seconds for the record. The minimum and the default is 600 seconds.
      * @param {number} [recordData.priority] - The priority of the record for those that support it.
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
      * @returns {Promise<PorkbunAPIResponses['editDNSRecord']>}
      */
-    editDNSRecord(domain, recordID, recordData) {
+    editDNSRecord(domain, recordID, recordData, requestOptions) {
         if(!domain)
             return Promise.reject(new TypeError('Missing domain parameter!'));
         if(typeof domain !== 'string')
@@ -722,8 +1517,8 @@ class PorkbunClient {
         if(typeof recordData !== 'object')
             return Promise.reject(new TypeError(`Invalid recordData parameter type! Expected 'object', received '${typeof recordData}'!`));
 
-        if(recordData.content !== null && recordData.content !== undefined && typeof recordData.content !== 'string')
-            return Promise.reject(new TypeError(`Invalid recordData.content parameter type! Expected 'string', received '${typeof recordData.content}'!`));
+        if(recordData.content !== null && recordData.content !== undefined && typeof recordData.content !== 'string' && typeof recordData.content !== 'object')
+            return Promise.reject(new TypeError(`Invalid recordData.content parameter type! Expected 'string' | 'object', received '${typeof recordData.content}'!`));
 
         if(recordData.type !== null && recordData.type !== undefined && typeof recordData.type !== 'string')
             return Promise.reject(new TypeError(`Invalid recordData.type parameter type! Expected 'string', received '${typeof recordData.type}'!`));
@@ -743,8 +1538,12 @@ class PorkbunClient {
             requestBody.name = recordData.name;
         if(recordData.type !== null && recordData.type !== undefined)
             requestBody.type = recordData.type;
-        if(recordData.content !== null && recordData.content !== undefined)
-            requestBody.content = recordData.content;
+        if(recordData.content !== null && recordData.content !== undefined) {
+            const content = this._formatRecordContent(recordData.type, recordData.content);
+            if(content instanceof TypeError)
+                return Promise.reject(content);
+            requestBody.content = content;
+        }
         if(recordData.priority !== null && recordData.priority !== undefined)
             requestBody.prio = parseInt(recordData.priority);
         if(recordData.ttl !== null && recordData.ttl !== undefined)
@@ -752,7 +1551,10 @@ class PorkbunClient {
 
         return this._request({
             url: this._getEndpoint(`/dns/edit/${domain}/${recordID}`),
-            body: requestBody
+            body: requestBody,
+            mutating: true,
+            requestOptions,
+            responseName: 'editDNSRecord'
         });
     }
 
@@ -765,12 +1567,13 @@ class PorkbunClient {
      * @param {string | null | undefined} subdomain - Leave blank, set to undefined or to null for the root domain.
      * @param {Object} recordData
      * @param {PorkbunAPIDNSRecordTypes} [recordData.type] - The type of record being created. Valid types are: A, MX, CNAME, ALIAS, TXT, NS, AAAA, SRV, TLSA, CAA, HTTPS, SVCB
-     * @param {string} recordData.content - The answer content for the record. Please see the DNS management popup from Porkbun's domain management console for proper formatting of each record type.
+     * @param {string | PorkbunDNSRecordContent[PorkbunAPIDNSRecordTypes]} recordData.content - The answer content for the record, or its structured form (eg: `{ weight, port, target }` for SRV records). Validated for the record type before sending the request.
      * @param {number | `${number}`} [recordData.ttl] - The time to live in seconds for the record. The minimum and the default is 600 seconds.
      * @param {number | `${number}`} [recordData.priority] - The priority of the record for those that support it.
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
      * @returns {Promise<PorkbunAPIResponses['editDNSRecords']>}
      */
-    editDNSRecords(domain, recordType, subdomain, recordData) {
+    editDNSRecords(domain, recordType, subdomain, recordData, requestOptions) {
         if(!domain)
             return Promise.reject(new TypeError('Missing domain parameter!'));
         if(typeof domain !== 'string')
@@ -792,8 +1595,8 @@ class PorkbunClient {
         // if(!recordData.content)
         //     return Promise.reject(new TypeError('Missing recordData.content parameter!'));
 
-        if(recordData.content !== null && recordData.content !== undefined && typeof recordData.content !== 'string')
-            return Promise.reject(new TypeError(`Invalid recordData.content parameter type! Expected 'string', received '${typeof recordData.content}'!`));
+        if(recordData.content !== null && recordData.content !== undefined && typeof recordData.content !== 'string' && typeof recordData.content !== 'object')
+            return Promise.reject(new TypeError(`Invalid recordData.content parameter type! Expected 'string' | 'object', received '${typeof recordData.content}'!`));
 
         if(recordData.type !== null && recordData.type !== undefined && typeof recordData.type !== 'string')
             return Promise.reject(new TypeError(`Invalid recordData.type parameter type! Expected 'string', received '${typeof recordData.type}'!`));
@@ -808,8 +1611,12 @@ class PorkbunClient {
 
         if(recordData.type !== null && recordData.type !== undefined)
             requestBody.type = recordData.type;
-        if(recordData.content !== null && recordData.content !== undefined)
-            requestBody.content = recordData.content;
+        if(recordData.content !== null && recordData.content !== undefined) {
+            const content = this._formatRecordContent(recordData.type ?? recordType, recordData.content);
+            if(content instanceof TypeError)
+                return Promise.reject(content);
+            requestBody.content = content;
+        }
         if(recordData.priority !== null && recordData.priority !== undefined)
             requestBody.prio = parseInt(recordData.priority).toString();
         if(recordData.ttl !== null && recordData.ttl !== undefined)
@@ -821,7 +1628,10 @@ class PorkbunClient {
 
         return this._request({
             url: apiURL,
-            body: requestBody
+            body: requestBody,
+            mutating: true,
+            requestOptions,
+            responseName: 'editDNSRecords'
         });
     }
 
@@ -831,9 +1641,10 @@ class PorkbunClient {
      * @documentation {@link https://porkbun.com/api/json/v3/documentation#DNS%20Delete%20Record%20by%20Domain%20and%20ID}
      * @param {string} domain 
      * @param {string} recordID
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
      * @returns {Promise<PorkbunAPIResponses['deleteDNSRecord']>}
      */
-    deleteDNSRecord(domain, recordID) {
+    deleteDNSRecord(domain, recordID, requestOptions) {
         if(!domain)
             return Promise.reject(new TypeError('Missing domain parameter!'));
         if(typeof domain !== 'string')
@@ -843,7 +1654,7 @@ class PorkbunClient {
         if(typeof recordID !== 'string' && typeof recordID !== 'number')
             return Promise.reject(new TypeError(`Invalid recordID parameter type! Expected 'string'|'number', received '${typeof recordID}'!`));
 
-        return this._request({ url: this._getEndpoint(`/dns/delete/${domain}/${recordID}`) });
+        return this._request({ url: this._getEndpoint(`/dns/delete/${domain}/${recordID}`), mutating: true, requestOptions, responseName: 'deleteDNSRecord' });
     }
 
     /**
@@ -853,9 +1664,10 @@ class PorkbunClient {
      * @param {string} domain 
      * @param {PorkbunAPIDNSRecordTypes} recordType
      * @param {string | null | undefined} [subdomain] - Leave blank, unset, set to undefined or to null for the root domain.
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
      * @returns {Promise<PorkbunAPIResponses['deleteDNSRecords']>}
      */
-    deleteDNSRecords(domain, recordType, subdomain) {
+    deleteDNSRecords(domain, recordType, subdomain, requestOptions) {
         if(!domain)
             return Promise.reject(new TypeError('Missing domain parameter!'));
         if(typeof domain !== 'string')
@@ -872,7 +1684,7 @@ class PorkbunClient {
         if(subdomain)
             apiURL = this._getEndpoint(`/dns/deleteByNameType/${domain}/${recordType}/${subdomain}`);
 
-        return this._request({ url: apiURL });
+        return this._request({ url: apiURL, mutating: true, requestOptions, responseName: 'deleteDNSRecords' });
     }
 
     /**
@@ -880,15 +1692,16 @@ class PorkbunClient {
      * 
      * @documentation {@link https://porkbun.com/api/json/v3/documentation#DNSSEC%20Get%20Records}
      * @param {string} domain 
-     * @returns {Promise<PorkbunAPIResponses['deleteDNSRecords']>}
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
+     * @returns {Promise<PorkbunResponse<'getDNSSECRecords', Normalize>>}
      */
-    getDNSSECRecords(domain) {
+    getDNSSECRecords(domain, requestOptions) {
         if(!domain)
             return Promise.reject(new TypeError('Missing domain parameter!'));
         if(typeof domain !== 'string')
             return Promise.reject(new TypeError(`Invalid domain parameter type! Expected 'string', received '${typeof domain}'!`));
 
-        return this._request({ url: this._getEndpoint(`/dns/getDnssecRecords/${domain}`) });
+        return this._request({ url: this._getEndpoint(`/dns/getDnssecRecords/${domain}`), requestOptions, responseName: 'getDNSSECRecords' });
     }
 
     /**
@@ -908,9 +1721,10 @@ class PorkbunClient {
      * @param {string} [recordData.keyDataProtocol]   - Key Data Protocol 
      * @param {string} [recordData.keyDataAlgo]       - Key Data Algorithm 
      * @param {string} [recordData.keyDataPubKey]     - Key Data Public Key 
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
      * @returns {Promise<PorkbunAPIResponses['createDNSSECRecord']>}
      */
-    createDNSSECRecord(domain, recordData) {
+    createDNSSECRecord(domain, recordData, requestOptions) {
         if(!domain)
             return Promise.reject(new TypeError('Missing domain parameter!'));
         if(typeof domain !== 'string')
@@ -973,7 +1787,10 @@ class PorkbunClient {
 
         return this._request({
             url: this._getEndpoint(`/dns/createDnssecRecord/${domain}`),
-            body: requestBody
+            body: requestBody,
+            mutating: true,
+            requestOptions,
+            responseName: 'createDNSSECRecord'
         });
     }
 
@@ -984,9 +1801,10 @@ class PorkbunClient {
      * @documentation {@link https://porkbun.com/api/json/v3/documentation#DNSSEC%20Delete%20Record}
      * @param {string} domain 
      * @param {string | number} keyTag 
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
      * @returns {Promise<PorkbunAPIResponses['deleteDNSSECRecord']>}
      */
-    deleteDNSSECRecord(domain, keyTag) {
+    deleteDNSSECRecord(domain, keyTag, requestOptions) {
         if(!domain)
             return Promise.reject(new TypeError('Missing domain parameter!'));
         if(typeof domain !== 'string')
@@ -997,7 +1815,7 @@ class PorkbunClient {
         if(typeof keyTag !== 'number' && typeof keyTag !== 'string')
             return Promise.reject(new TypeError(`Invalid keyTag parameter type! Expected 'number' | 'string', received '${typeof keyTag}'!`));
 
-        return this._request({ url: this._getEndpoint(`/dns/deleteDnssecRecord/${domain}/${keyTag}`) });
+        return this._request({ url: this._getEndpoint(`/dns/deleteDnssecRecord/${domain}/${keyTag}`), mutating: true, requestOptions, responseName: 'deleteDNSSECRecord' });
     }
 
     /**
@@ -1005,16 +1823,409 @@ class PorkbunClient {
      * 
      * @documentation {@link https://porkbun.com/api/json/v3/documentation#SSL%20Retrieve%20Bundle%20by%20Domain}
      * @param {string} domain 
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
      * @returns {Promise<PorkbunAPIResponses['getSSLBundle']>}
      */
-    getSSLBundle(domain) {
+    getSSLBundle(domain, requestOptions) {
         if(!domain)
             return Promise.reject(new TypeError('Missing domain parameter!'));
         if(typeof domain !== 'string')
             return Promise.reject(new TypeError(`Invalid domain parameter type! Expected 'string', received '${typeof domain}'!`));
 
-        return this._request({ url: this._getEndpoint(`/ssl/retrieve/${domain}`) });
+        return this._request({ url: this._getEndpoint(`/ssl/retrieve/${domain}`), requestOptions, responseName: 'getSSLBundle' });
+    }
+
+    /**
+     * Export all DNS records of a domain as an RFC 1035 (BIND) zone file. 
+     * Record names are relative to the zone's $ORIGIN (the domain) and host names in record data are fully qualified.
+     * 
+     * Note: ALIAS records are not part of RFC 1035 and are exported as-is, which only some DNS servers understand.
+     * 
+     * @param {string} domain 
+     * @param {Object} [options]
+     * @param {number} [options.ttl] - Default TTL of the zone ($TTL). Defaults to the most used TTL in the records, or 600 if there are none.
+     * @param {AbortSignal} [options.signal] 
+     * @param {number} [options.timeout] - Timeout of each request in milliseconds.
+     * @returns {Promise<string>}
+     */
+    async exportZone(domain, options) {
+        if(!domain)
+            throw new TypeError('Missing domain parameter!');
+        if(typeof domain !== 'string')
+            throw new TypeError(`Invalid domain parameter type! Expected 'string', received '${typeof domain}'!`);
+
+        if(options !== null && options !== undefined && typeof options !== 'object')
+            throw new TypeError(`Invalid options parameter type! Expected 'object', received '${typeof options}'!`);
+        if(options && options.ttl !== null && options.ttl !== undefined && (typeof options.ttl !== 'number' || !Number.isInteger(options.ttl) || options.ttl < 0))
+            throw new TypeError(`Invalid options.ttl parameter value! Expected a positive integer, received '${options.ttl}'!`);
+
+        const { records } = await this.getDNSRecords(domain, null, null, { signal: options?.signal, timeout: options?.timeout });
+        return formatZone(domain, records, { ttl: options?.ttl });
+    }
+
+    /**
+     * Import an RFC 1035 (BIND) zone file into a domain's DNS records. 
+     * Records that can not be managed through the API (SOA, apex NS, unsupported types, records outside of the domain) are skipped with a warning.
+     * 
+     * In "merge" mode, records from the zone file that do not exist yet (matched by name, type and content) are created, and existing ones with a different TTL or priority are edited. 
+     * In "replace" mode, existing records that are not in the zone file are also deleted (apex NS records are always kept), deletions being made after creations and edits.
+     * 
+     * Failed operations do not stop the import, check the status and error of each returned operation.
+     * 
+     * @param {string} domain - Trimmed, lowercased and stripped of its trailing dot (eg: "example.com." is imported into "example.com").
+     * @param {string} zoneText - Content of the zone file. Its initial $ORIGIN is the domain.
+     * @param {Object} [options]
+     * @param {"merge"|"replace"} [options.mode] - Defaults to "merge".
+     * @param {boolean} [options.dryRun] - If set to true, no changes are made and the planned operations are returned.
+     * @param {AbortSignal} [options.signal] - Aborting stops the import before the next operation, rejecting with the signal's reason.
+     * @param {number} [options.timeout] - Timeout of each request in milliseconds.
+     * @returns {Promise<import('./types.d.ts').PorkbunZoneImportResult>}
+     */
+    async importZone(domain, zoneText, options) {
+        if(!domain)
+            throw new TypeError('Missing domain parameter!');
+        if(typeof domain !== 'string')
+            throw new TypeError(`Invalid domain parameter type! Expected 'string', received '${typeof domain}'!`);
+        domain = normalizeHost(domain);
+        if(zoneText === undefined || zoneText === null)
+            throw new TypeError('Missing zoneText parameter!');
+        if(typeof zoneText !== 'string')
+            throw new TypeError(`Invalid zoneText parameter type! Expected 'string', received '${typeof zoneText}'!`);
+
+        if(options !== null && options !== undefined && typeof options !== 'object')
+            throw new TypeError(`Invalid options parameter type! Expected 'object', received '${typeof options}'!`);
+        const mode = options?.mode ?? 'merge';
+        if(mode !== 'merge' && mode !== 'replace')
+            throw new TypeError(`Invalid options.mode parameter value! Expected 'merge' | 'replace', received '${mode}'!`);
+        if(options && options.dryRun !== null && options.dryRun !== undefined && typeof options.dryRun !== 'boolean')
+            throw new TypeError(`Invalid options.dryRun parameter type! Expected 'boolean', received '${typeof options.dryRun}'!`);
+        const dryRun = options?.dryRun === true;
+
+        const { entries, warnings } = parseZone(zoneText, domain);
+
+        /** @type {import('./types.d.ts').PorkbunDNSRecordData[]} */
+        const desired = [];
+        for (const entry of entries) {
+            const { record, warning } = toRecordData(entry, domain);
+            if(warning) {
+                warnings.push(warning);
+                continue;
+            }
+            const contentError = getRecordContentError(record.type, record.content);
+            if(contentError)
+                warnings.push({ line: entry.line, message: `Invalid ${record.type} record content for '${entry.name}', skipped. ${contentError}` });
+            else
+                desired.push(record);
+        }
+
+        const requestOptions = { signal: options?.signal, timeout: options?.timeout };
+        const { records: existingRecords } = await this.getDNSRecords(domain, null, null, requestOptions);
+        const { operations } = planRecordOperations(domain, existingRecords, desired, { unmanaged: mode === 'replace' ? 'delete' : 'keep' });
+
+        if(!dryRun)
+            await this._applyDNSOperations(domain, operations, requestOptions);
+
+        return { mode, dryRun, operations, warnings };
+    }
+
+    /**
+     * Compute the operations needed for a domain's DNS records to match the desired record set, without making any changes. 
+     * Records are matched on name, type and content. Matched records with a different TTL or priority (when set in the desired record) are edited, 
+     * desired records without a match are created, and existing records without a match are deleted if options.unmanaged is set to "delete".
+     * Apex NS records are never deleted.
+     * 
+     * Use {@link PorkbunClient.applyDNS} to apply the returned plan.
+     * 
+     * @param {string} domain 
+     * @param {(Omit<import('./types.d.ts').PorkbunDNSRecordData, 'content'> & { content: string | PorkbunDNSRecordContent[PorkbunAPIDNSRecordTypes] })[]} desired - The desired records. 
+     * Record names are subdomains, use an empty string, "@" or null for the root domain. Contents are validated for their record type, and structured contents built as in createDNSRecord.
+     * @param {Object} [options]
+     * @param {"keep"|"delete"} [options.unmanaged] - What to do with existing records that are not in the desired records. Defaults to "keep".
+     * @param {AbortSignal} [options.signal] 
+     * @param {number} [options.timeout] - Timeout of the request in milliseconds.
+     * @returns {Promise<import('./types.d.ts').PorkbunDNSPlan>}
+     */
+    async planDNS(domain, desired, options) {
+        if(!domain)
+            throw new TypeError('Missing domain parameter!');
+        if(typeof domain !== 'string')
+            throw new TypeError(`Invalid domain parameter type! Expected 'string', received '${typeof domain}'!`);
+
+        if(!desired)
+            throw new TypeError('Missing desired parameter!');
+        if(!Array.isArray(desired))
+            ///@ts-expect-error - constructor.name is not typed for Object but available on all objects
+            throw new TypeError(`Invalid desired parameter type! Expected 'array<object>', received '${typeof desired === 'object' ? (desired?.constructor?.name ?? 'object') : typeof desired}'!`);
+
+        /** @type {Set<string>} */
+        const keys = new Set();
+        /** @type {string[]} */
+        const contents = [];
+        for (const [i, record] of desired.entries()) {
+            if(!record || typeof record !== 'object')
+                throw new TypeError(`Invalid desired[${i}] parameter type! Expected 'object', received '${typeof record}'!`);
+            if(record.name !== null && record.name !== undefined && typeof record.name !== 'string')
+                throw new TypeError(`Invalid desired[${i}].name parameter type! Expected 'string', received '${typeof record.name}'!`);
+            if(!record.type)
+                throw new TypeError(`Missing desired[${i}].type parameter!`);
+            if(typeof record.type !== 'string')
+                throw new TypeError(`Invalid desired[${i}].type parameter type! Expected 'string', received '${typeof record.type}'!`);
+            if(!record.content)
+                throw new TypeError(`Missing desired[${i}].content parameter!`);
+            if(typeof record.content !== 'string' && typeof record.content !== 'object')
+                throw new TypeError(`Invalid desired[${i}].content parameter type! Expected 'string' | 'object', received '${typeof record.content}'!`);
+            if(record.ttl !== null && record.ttl !== undefined && isNaN(record.ttl))
+                throw new TypeError(`Invalid desired[${i}].ttl parameter type! Expected 'number', received '${typeof record.ttl}'!`);
+            if(record.priority !== null && record.priority !== undefined && isNaN(record.priority))
+                throw new TypeError(`Invalid desired[${i}].priority parameter type! Expected 'number', received '${typeof record.priority}'!`);
+
+
+            const content = this._formatRecordContent(record.type, record.content, `desired[${i}]`);
+            if(content instanceof TypeError)
+                throw content;
+            const key = getRecordKey(toFQDN(record.name, domain), record.type, content);
+            if(keys.has(key))
+                throw new TypeError(`Invalid desired[${i}] parameter value! Duplicate ${record.type} record '${content}' for '${toFQDN(record.name, domain)}'!`);
+            keys.add(key);
+            contents.push(content);
+        }
+
+        if(options !== null && options !== undefined && typeof options !== 'object')
+            throw new TypeError(`Invalid options parameter type! Expected 'object', received '${typeof options}'!`);
+        const unmanaged = options?.unmanaged ?? 'keep';
+        if(unmanaged !== 'keep' && unmanaged !== 'delete')
+            throw new TypeError(`Invalid options.unmanaged parameter value! Expected 'keep' | 'delete', received '${unmanaged}'!`);
+
+        const normalizedDesired = desired.map((record, i) => ({ 
+            ...record, 
+            name: record.name === '@' ? '' : (record.name ?? ''), 
+            type: /** @type {PorkbunAPIDNSRecordTypes} */ (record.type.toUpperCase()), 
+            content: contents[i] 
+        }));
+        const { records: existingRecords } = await this.getDNSRecords(domain, null, null, { signal: options?.signal, timeout: options?.timeout });
+        const { operations, unchanged } = planRecordOperations(domain, existingRecords, normalizedDesired, { unmanaged });
+        return { domain, operations, unchanged };
+    }
+
+    /**
+     * Apply a plan returned by {@link PorkbunClient.planDNS}: creations first, then edits, then deletions. 
+     * Failed operations do not stop the following ones, check the status and error of each operation of the returned plan.
+     * 
+     * @param {import('./types.d.ts').PorkbunDNSPlan} plan 
+     * @param {PorkbunRequestOptions} [requestOptions] - Aborting stops applying the plan before the next operation, rejecting with the signal's reason. Operations not applied yet keep their "planned" status.
+     * @returns {Promise<import('./types.d.ts').PorkbunDNSPlan>}
+     */
+    async applyDNS(plan, requestOptions) {
+        if(!plan)
+            throw new TypeError('Missing plan parameter!');
+        if(typeof plan !== 'object')
+            throw new TypeError(`Invalid plan parameter type! Expected 'object', received '${typeof plan}'!`);
+        if(typeof plan.domain !== 'string')
+            throw new TypeError(`Invalid plan.domain parameter type! Expected 'string', received '${typeof plan.domain}'!`);
+        if(!Array.isArray(plan.operations))
+            throw new TypeError(`Invalid plan.operations parameter type! Expected 'array<object>', received '${typeof plan.operations}'!`);
+
+        await this._applyDNSOperations(plan.domain, plan.operations.filter((operation) => operation.status !== 'applied'), requestOptions);
+        return plan;
+    }
+
+    /**
+     * Snapshot the name servers, DNS records, URL forwards, glue records and DNSSEC records of domains (all domains of the account by default) 
+     * into a versioned, JSON serializable backup. Sections that can not be read (eg: glue records of some domains) are recorded in the errors of the domain.
+     * 
+     * @example
+     * await client.backup({ file: `porkbun-${new Date().toISOString().slice(0, 10)}.json` });
+     * 
+     * @param {import('./types.d.ts').PorkbunBackupOptions} [options] 
+     * @returns {Promise<import('./types.d.ts').PorkbunBackup>}
+     */
+    backup(options) {
+        return createBackup(this, options);
+    }
+
+    /**
+     * Restore a backup created by {@link PorkbunClient.backup}, computing the differences with the live state of each domain and replaying them 
+     * through the create, edit and delete methods: glue records are set, name servers updated and glue records not in the backup deleted, 
+     * then DNS records (see {@link PorkbunClient.planDNS}), URL forwards and DNSSEC records not in the backup are deleted and missing ones created 
+     * (missing URL forwards being added before the ones they replace are deleted). 
+     * Failed operations do not stop the following ones, check the status and error of each returned operation. The name servers are not updated 
+     * if a glue record could not be set, and glue records are only deleted once the name servers are updated.
+     * 
+     * @example
+     * const backup = JSON.parse(fs.readFileSync("porkbun-2025-08-20.json", "utf8"));
+     * const { domains } = await client.restore(backup, { domains: ["example.com"], dryRun: true });
+     * 
+     * @param {import('./types.d.ts').PorkbunBackup} backup 
+     * @param {import('./types.d.ts').PorkbunRestoreOptions} [options] 
+     * @returns {Promise<import('./types.d.ts').PorkbunRestoreResult>}
+     */
+    restore(backup, options) {
+        return restoreBackup(this, backup, options);
+    }
+
+    /**
+     * Make DNS changes to a domain through the transaction passed to the callback, recording the state of every record it touches. 
+     * If the callback throws (including when a change fails), the changes already applied are undone, last one first: created records are deleted, 
+     * edited records restored and deleted records recreated (with new IDs), then the call rejects with a TransactionError listing the steps and their status.
+     * Changes that failed without an API error (eg: timed out) are checked against the current records and undone if they were applied anyway.
+     * Resolves to the callback's return value.
+     * 
+     * @example
+     * await client.transaction("example.com", async (tx) => {
+     *     await tx.createDNSRecord({ name: "www", type: "A", content: "203.0.113.10" });
+     *     await tx.createDNSRecord({ name: "www", type: "AAAA", content: "2001:db8::10" });
+     *     await tx.editDNSRecord(mxRecordID, { name: "", type: "MX", content: "mail.example.com", priority: 10 });
+     * });
+     * 
+     * @template T
+     * @param {string} domain 
+     * @param {(tx: DNSTransaction) => Promise<T>} callback - Changes must be made through the transaction (and before the callback settles) to be rolled back.
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the requests. Rollback requests are made without the abort signal.
+     * @returns {Promise<T>}
+     */
+    async transaction(domain, callback, requestOptions) {
+        if(!domain)
+            throw new TypeError('Missing domain parameter!');
+        if(typeof domain !== 'string')
+            throw new TypeError(`Invalid domain parameter type! Expected 'string', received '${typeof domain}'!`);
+        if(!callback)
+            throw new TypeError('Missing callback parameter!');
+        if(typeof callback !== 'function')
+            throw new TypeError(`Invalid callback parameter type! Expected 'function', received '${typeof callback}'!`);
+
+        const tx = new DNSTransaction(this, domain, { signal: requestOptions?.signal, timeout: requestOptions?.timeout });
+        try {
+            const result = await callback(tx);
+            tx.close();
+            return result;
+        } catch (caughtError) {
+            const rolledBack = await tx.rollback();
+            const error = new TransactionError(`Transaction on '${domain}' failed${rolledBack ? '' : ' and could not be fully rolled back'}: ${caughtError?.message ?? caughtError}${tx.steps.length ? `\n${tx.describeSteps()}` : ''}`);
+            error.cause = caughtError;
+            error.domain = domain;
+            error.steps = tx.steps;
+            error.rolledBack = rolledBack;
+            throw error;
+        }
+    }
+
+    /**
+     * Wait for a DNS record to be served by all of the domain's authoritative name servers (from getNameServers), querying each of them directly.
+     * Supported record types are A, AAAA, CNAME, NS, MX, TXT, SRV and CAA.
+     * 
+     * @param {string} domain 
+     * @param {Object} record
+     * @param {string | null} [record.name] - Subdomain of the record. Leave unset, empty, set to "@" or to null for the root domain.
+     * @param {PorkbunAPIDNSRecordTypes} record.type 
+     * @param {string} record.content - Expected content, in the same format as set through createDNSRecord/editDNSRecord.
+     * @param {import('./types.d.ts').PorkbunPropagationOptions} [options]
+     * @returns {Promise<import('./types.d.ts').PorkbunPropagationReport>} Rejects with a PropagationTimeoutError containing the last results of each name server on timeout.
+     */
+    async waitForPropagation(domain, record, options) {
+        if(!domain)
+            throw new TypeError('Missing domain parameter!');
+        if(typeof domain !== 'string')
+            throw new TypeError(`Invalid domain parameter type! Expected 'string', received '${typeof domain}'!`);
+
+        if(!record)
+            throw new TypeError('Missing record parameter!');
+        if(typeof record !== 'object')
+            throw new TypeError(`Invalid record parameter type! Expected 'object', received '${typeof record}'!`);
+        if(record.name !== null && record.name !== undefined && typeof record.name !== 'string')
+            throw new TypeError(`Invalid record.name parameter type! Expected 'string', received '${typeof record.name}'!`);
+        if(!record.type)
+            throw new TypeError('Missing record.type parameter!');
+        if(!(record.type in RESOLVERS))
+            throw new TypeError(`Invalid record.type parameter value! Expected ${Object.keys(RESOLVERS).map((type) => `'${type}'`).join(' | ')}, received '${record.type}'!`);
+        if(!record.content)
+            throw new TypeError('Missing record.content parameter!');
+        if(typeof record.content !== 'string')
+            throw new TypeError(`Invalid record.content parameter type! Expected 'string', received '${typeof record.content}'!`);
+
+        if(options !== null && options !== undefined && typeof options !== 'object')
+            throw new TypeError(`Invalid options parameter type! Expected 'object', received '${typeof options}'!`);
+        if(options && options.signal !== undefined && options.signal !== null && !(options.signal instanceof AbortSignal))
+            throw new TypeError(`Invalid options.signal parameter type! Expected 'AbortSignal', received '${typeof options.signal}'!`);
+        for (const key of ['timeout', 'interval', 'queryTimeout']) {
+            if(options && options[key] !== null && options[key] !== undefined && (typeof options[key] !== 'number' || !Number.isFinite(options[key]) || options[key] < 0))
+                throw new TypeError(`Invalid options.${key} parameter value! Expected a positive number, received '${options[key]}'!`);
+        }
+        for (const key of ['servers', 'resolverServers']) {
+            if(options && options[key] !== null && options[key] !== undefined && (!Array.isArray(options[key]) || options[key].some((server) => typeof server !== 'string')))
+                throw new TypeError(`Invalid options.${key} parameter type! Expected 'array<string>', received '${typeof options[key]}'!`);
+        }
+        const timeout = options?.timeout ?? 300000;
+        const interval = options?.interval ?? 5000;
+        const queryTimeout = options?.queryTimeout ?? 5000;
+
+        const type = /** @type {keyof typeof RESOLVERS} */ (record.type);
+        const fqdn = toFQDN(record.name, domain);
+        const start = Date.now();
+
+        const signal = options?.signal ?? null;
+        const nameservers = options?.servers ?? (await this.getNameServers(domain, { signal })).ns;
+        let resolved = await resolveNameservers(nameservers, options?.resolverServers);
+
+        for (let attempts = 1; ; attempts++) {
+            const results = await queryNameservers(resolved, fqdn, type, record.content, queryTimeout);
+            /** @type {import('./types.d.ts').PorkbunPropagationReport} */
+            const report = {
+                domain,
+                fqdn,
+                type,
+                content:    record.content,
+                propagated: results.every((result) => result.matched),
+                attempts,
+                elapsed:    Date.now() - start,
+                nameservers: results
+            };
+            if(report.propagated)
+                return report;
+
+            if(Date.now() + interval - start > timeout) {
+                const details = results
+                    .filter((result) => !result.matched)
+                    .map((result) => `${result.nameserver}${result.address && result.address !== result.nameserver ? ` (${result.address})` : ''}: ${result.error ?? (result.values.length ? `served ${result.values.map((value) => `'${value}'`).join(', ')}` : 'no record')}`);
+                const error = new PropagationTimeoutError(`Timed out after ${report.elapsed}ms waiting for the ${type} record '${record.content}' of '${fqdn}' to be served by all name servers!\n${details.join('\n')}`);
+                error.report = report;
+                throw error;
+            }
+            await sleep(interval, signal);
+
+            if(resolved.some((nameserver) => !nameserver.address)) {
+                const retried = await resolveNameservers(resolved.filter((nameserver) => !nameserver.address).map((nameserver) => nameserver.nameserver), options?.resolverServers);
+                resolved = resolved.map((nameserver) => nameserver.address ? nameserver : retried.find((result) => result.nameserver === nameserver.nameserver));
+            }
+        }
+    }
+
+    /**
+     * Used internally to apply DNS operations one after the other, updating their status. Failed operations do not stop the following ones.
+     * 
+     * @private
+     * @param {string} domain 
+     * @param {import('./types.d.ts').PorkbunDNSOperation[]} operations 
+     * @param {PorkbunRequestOptions} [requestOptions] 
+     */
+    async _applyDNSOperations(domain, operations, requestOptions) {
+        for (const operation of operations) {
+            requestOptions?.signal?.throwIfAborted();
+            try {
+                if(operation.action === 'create') {
+                    const response = await this.createDNSRecord(domain, operation.record, requestOptions);
+                    operation.id = response.id;
+                } else if(operation.action === 'edit')
+                    await this.editDNSRecord(domain, operation.id, { ...operation.record, name: operation.record.name ?? '' }, requestOptions);
+                else if(operation.action === 'delete')
+                    await this.deleteDNSRecord(domain, operation.id, requestOptions);
+                operation.status = 'applied';
+            } catch (error) {
+                operation.status = 'failed';
+                operation.error = error;
+            }
+        }
+        return operations;
     }
 }
 
-module.exports = { PorkbunClient, ResponseError, APIError };
\ No newline at end of file
+module.exports = { PorkbunClient, ResponseError, APIError, TimeoutError, SchemaMismatchError, TransactionError, PropagationTimeoutError, DynamicDNSUpdater, PricingCatalog, DomainAuditReport, MockPorkbunServer, buildRecordContent, parseRecordContent, parseDNSRecord };
\ No newline at end of file
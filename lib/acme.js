@@ -0,0 +1,152 @@
+// porkbun-client
+// Copyright (C) 2025  Oxtaly
+
+// // This program is free software: you can redistribute it and/or modify
+// // it under the terms of the GNU General Public License as published by
+// // the Free Software Foundation, either version 3 of the License, or
+// // (at your option) any later version.
+
+// // This program is distributed in the hope that it will be useful,
+// // but WITHOUT ANY WARRANTY; without even the implied warranty of
+// // MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// // GNU General Public License for more details.
+
+// // You should have received a copy of the GNU General Public License
+// // along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+"use strict";
+
+/**
+ * @typedef {import('../index.js').PorkbunClient<boolean>} PorkbunClient
+ * @typedef {import('../types.d.ts').PorkbunACMEChallenge} PorkbunACMEChallenge
+ * @typedef {import('../types.d.ts').PorkbunACMEWaitOptions} PorkbunACMEWaitOptions
+ */
+
+const CHALLENGE_LABEL = '_acme-challenge';
+
+/**
+ * Gets the challenge record name of an identifier, relative to the domain.
+ * 
+ * @param {string} domain 
+ * @param {string} fqdn - Identifier being validated (eg: "example.com", "*.example.com" or "www.example.com"), or the challenge record name itself.
+ */
+function getChallengeName(domain, fqdn) {
+    let name = fqdn.toLowerCase().replace(/\.$/, '').replace(/^\*\./, '');
+    const lowerDomain = domain.toLowerCase();
+    if(name !== lowerDomain && !name.endsWith(`.${lowerDomain}`))
+        throw new TypeError(`Invalid fqdn parameter value! Expected '${domain}' or one of its subdomains, received '${fqdn}'!`);
+    if(!name.startsWith(`${CHALLENGE_LABEL}.`))
+        name = `${CHALLENGE_LABEL}.${name}`;
+    return name.slice(0, -(lowerDomain.length + 1));
+}
+
+/**
+ * ACME DNS-01 challenge helper, creating and deleting the _acme-challenge TXT records of an identifier. Available as `client.acme`.
+ */
+class ACMEChallengeHelper {
+    /** @private @readonly @type {PorkbunClient} */
+    _client = null;
+    /** @private @readonly @type {Map<string, string>} IDs of the records created by present(), by domain, record name and value. */
+    _records = new Map();
+
+    /**
+     * @param {PorkbunClient} client 
+     */
+    constructor(client) {
+        this._client = client;
+    }
+
+    /**
+     * Create the challenge TXT record of an identifier. Wildcard identifiers share the challenge record of their base domain, both records being kept. 
+     * 
+     * @param {string} domain - Domain of the account the identifier belongs to.
+     * @param {string} fqdn - Identifier being validated (eg: "example.com", "*.example.com" or "www.example.com").
+     * @param {string} keyAuthDigest - Value of the TXT record (base64url encoded SHA-256 digest of the key authorization).
+     * @param {Object} [options]
+     * @param {number} [options.ttl] - TTL of the record. Uses the API default if unset.
+     * @param {boolean | PorkbunACMEWaitOptions} [options.wait] - Whether to wait for the record to be served by all of the domain's authoritative name servers before resolving.
+     * @returns {Promise<PorkbunACMEChallenge>}
+     */
+    async present(domain, fqdn, keyAuthDigest, options) {
+        this._validate(domain, fqdn, keyAuthDigest);
+        if(options !== null && options !== undefined && typeof options !== 'object')
+            throw new TypeError(`Invalid options parameter type! Expected 'object', received '${typeof options}'!`);
+
+        const name = getChallengeName(domain, fqdn);
+        const key = `${domain.toLowerCase()}|${name}|${keyAuthDigest}`;
+        if(!this._records.has(key)) {
+            const response = await this._client.createDNSRecord(domain, { name, type: 'TXT', content: keyAuthDigest, ttl: options?.ttl });
+            this._records.set(key, `${response.id}`);
+        }
+        const challenge = { domain, name, fqdn: `${name}.${domain}`, value: keyAuthDigest, id: this._records.get(key) };
+
+        if(options?.wait)
+            await this.wait(domain, fqdn, keyAuthDigest, typeof options.wait === 'object' ? options.wait : undefined);
+        return challenge;
+    }
+
+    /**
+     * Delete the challenge TXT record of an identifier. Records not created by this helper (eg: by a previous process) are looked up by name and value.
+     * 
+     * @param {string} domain 
+     * @param {string} fqdn 
+     * @param {string} keyAuthDigest 
+     * @returns {Promise<{ deleted: string[] }>} IDs of the deleted records.
+     */
+    async cleanup(domain, fqdn, keyAuthDigest) {
+        this._validate(domain, fqdn, keyAuthDigest);
+
+        const name = getChallengeName(domain, fqdn);
+        const key = `${domain.toLowerCase()}|${name}|${keyAuthDigest}`;
+        /** @type {string[]} */
+        let ids = [];
+        if(this._records.has(key))
+            ids = [this._records.get(key)];
+        else {
+            const { records } = await this._client.getDNSRecords(domain, 'TXT', name);
+            ids = records.filter((record) => record.content.replace(/^"|"$/g, '') === keyAuthDigest).map((record) => `${record.id}`);
+        }
+
+        for (const id of ids)
+            await this._client.deleteDNSRecord(domain, id);
+        this._records.delete(key);
+        return { deleted: ids };
+    }
+
+    /**
+     * Wait for the challenge TXT record of an identifier to be served by all of the domain's authoritative name servers.
+     * 
+     * @param {string} domain 
+     * @param {string} fqdn 
+     * @param {string} keyAuthDigest 
+     * @param {PorkbunACMEWaitOptions} [options]
+     * @returns {Promise<void>} Rejects with a PropagationTimeoutError on timeout.
+     */
+    async wait(domain, fqdn, keyAuthDigest, options) {
+        this._validate(domain, fqdn, keyAuthDigest);
+        await this._client.waitForPropagation(domain, { name: getChallengeName(domain, fqdn), type: 'TXT', content: keyAuthDigest }, options);
+    }
+
+    /**
+     * @private
+     * @param {string} domain 
+     * @param {string} fqdn 
+     * @param {string} keyAuthDigest 
+     */
+    _validate(domain, fqdn, keyAuthDigest) {
+        if(!domain)
+            throw new TypeError('Missing domain parameter!');
+        if(typeof domain !== 'string')
+            throw new TypeError(`Invalid domain parameter type! Expected 'string', received '${typeof domain}'!`);
+        if(!fqdn)
+            throw new TypeError('Missing fqdn parameter!');
+        if(typeof fqdn !== 'string')
+            throw new TypeError(`Invalid fqdn parameter type! Expected 'string', received '${typeof fqdn}'!`);
+        if(!keyAuthDigest)
+            throw new TypeError('Missing keyAuthDigest parameter!');
+        if(typeof keyAuthDigest !== 'string')
+            throw new TypeError(`Invalid keyAuthDigest parameter type! Expected 'string', received '${typeof keyAuthDigest}'!`);
+    }
+}
+
+module.exports = { ACMEChallengeHelper, getChallengeName };
@@ -0,0 +1,255 @@
+// porkbun-client
+// Copyright (C) 2025  Oxtaly
+
+// // This program is free software: you can redistribute it and/or modify
+// // it under the terms of the GNU General Public License as published by
+// // the Free Software Foundation, either version 3 of the License, or
+// // (at your option) any later version.
+
+// // This program is distributed in the hope that it will be useful,
+// // but WITHOUT ANY WARRANTY; without even the implied warranty of
+// // MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// // GNU General Public License for more details.
+
+// // You should have received a copy of the GNU General Public License
+// // along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+"use strict";
+
+const { parseAPIDate, toBoolean } = require('./normalize.js');
+const { normalizeHost } = require('./utils.js');
+
+/**
+ * @typedef {import('../index.js').PorkbunClient<boolean>} PorkbunClient
+ * @typedef {import('../types.d.ts').PorkbunAuditOptions}   PorkbunAuditOptions
+ * @typedef {import('../types.d.ts').PorkbunDomainAudit}    PorkbunDomainAudit
+ * @typedef {import('../types.d.ts').PorkbunAuditIssue}     PorkbunAuditIssue
+ * @typedef {import('../types.d.ts').PorkbunAuditIssueType} PorkbunAuditIssueType
+ */
+
+/** @type {Record<PorkbunAuditIssueType, string>} Titles of the issue types, in report order. */
+const ISSUE_TITLES = {
+    expiring:             'Expiring soon',
+    autoRenewDisabled:    'Auto renew disabled',
+    securityLockDisabled: 'Security lock disabled',
+    whoisPrivacyDisabled: 'WHOIS privacy disabled',
+    nameServerMismatch:   'Unexpected name servers',
+    noDNSRecords:         'No DNS records',
+    checkFailed:          'Check failed'
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {number} days - Whole number of days, 0 for less than a day.
+ */
+function formatDays(days) {
+    return days === 0 ? 'less than a day' : `${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * @param {string} value 
+ */
+function escapeMarkdown(value) {
+    return `${value}`.replace(/[|\\]/g, '\\$&').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Runs the task for every item with at most `concurrency` tasks in flight.
+ * 
+ * @template T
+ * @param {T[]} items 
+ * @param {number} concurrency 
+ * @param {(item: T) => Promise<void>} task 
+ */
+async function runConcurrently(items, concurrency, task) {
+    let next = 0;
+    const worker = async () => {
+        while(next < items.length)
+            await task(items[next++]);
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+}
+
+/**
+ * Results of {@link PorkbunClient.auditDomains}, with Markdown and JSON rendering.
+ */
+class DomainAuditReport {
+    /** @readonly @type {Date} */
+    generatedAt = null;
+    /** @readonly @type {number} Expiry window of the report in days. */
+    expiresWithinDays = null;
+    /** @readonly @type {string[] | null} Expected name servers, null if they were not checked. */
+    expectedNameServers = null;
+    /** @readonly @type {boolean} Whether the DNS records were checked. */
+    checkDNSRecords = null;
+    /** @readonly @type {PorkbunDomainAudit[]} */
+    domains = [];
+
+    /**
+     * @param {{ generatedAt: Date, expiresWithinDays: number, expectedNameServers: string[] | null, checkDNSRecords: boolean, domains: PorkbunDomainAudit[] }} data 
+     */
+    constructor(data) {
+        this.generatedAt = data.generatedAt;
+        this.expiresWithinDays = data.expiresWithinDays;
+        this.expectedNameServers = data.expectedNameServers;
+        this.checkDNSRecords = data.checkDNSRecords;
+        this.domains = data.domains;
+    }
+
+    /** Audits of the domains with at least one issue. */
+    get domainsWithIssues() {
+        return this.domains.filter((domain) => domain.issues.length);
+    }
+
+    /**
+     * Number of domains with each issue type.
+     * 
+     * @returns {Record<PorkbunAuditIssueType, number>}
+     */
+    get summary() {
+        const summary = /** @type {Record<PorkbunAuditIssueType, number>} */ (Object.fromEntries(Object.keys(ISSUE_TITLES).map((type) => [type, 0])));
+        for (const domain of this.domains) {
+            for (const type of new Set(domain.issues.map((issue) => issue.type)))
+                summary[type]++;
+        }
+        return summary;
+    }
+
+    /**
+     * Plain object form of the report, used by JSON.stringify.
+     */
+    toJSON() {
+        return {
+            generatedAt:         this.generatedAt.toISOString(),
+            expiresWithinDays:   this.expiresWithinDays,
+            expectedNameServers: this.expectedNameServers,
+            checkDNSRecords:     this.checkDNSRecords,
+            summary:             { domains: this.domains.length, domainsWithIssues: this.domainsWithIssues.length, ...this.summary },
+            domains:             this.domains.map((domain) => ({ ...domain, expireDate: domain.expireDate?.toISOString() ?? null }))
+        };
+    }
+
+    /**
+     * Render the report as Markdown: a summary table of the issue types, followed by a table of the issues by domain.
+     */
+    toMarkdown() {
+        const summary = this.summary;
+        const lines = [
+            '# Domain audit report',
+            '',
+            `Generated on ${this.generatedAt.toISOString()}, ${this.domains.length} domain${this.domains.length === 1 ? '' : 's'} audited, ${this.domainsWithIssues.length} with issues.`,
+            '',
+            '| Check | Domains |',
+            '| --- | ---: |'
+        ];
+        for (const [type, title] of Object.entries(ISSUE_TITLES)) {
+            if((type === 'nameServerMismatch' && !this.expectedNameServers) || (type === 'noDNSRecords' && !this.checkDNSRecords))
+                continue;
+            lines.push(`| ${type === 'expiring' ? `Expiring within ${this.expiresWithinDays} days` : title} | ${summary[type]} |`);
+        }
+
+        lines.push('', '## Issues', '');
+        if(!this.domainsWithIssues.length) {
+            lines.push('No issues found.');
+        } else {
+            lines.push('| Domain | Expires | Issue |', '| --- | --- | --- |');
+            for (const domain of this.domainsWithIssues) {
+                const expires = domain.expireDate?.toISOString().slice(0, 10) ?? '';
+                for (const issue of domain.issues)
+                    lines.push(`| ${escapeMarkdown(domain.domain)} | ${expires} | ${escapeMarkdown(issue.message)} |`);
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+/**
+ * Audit the domains of an account, see {@link PorkbunClient.auditDomains}.
+ * 
+ * @param {PorkbunClient} client 
+ * @param {PorkbunAuditOptions} [options] 
+ * @returns {Promise<DomainAuditReport>}
+ */
+async function auditDomains(client, options) {
+    if(options !== undefined && options !== null && typeof options !== 'object')
+        throw new TypeError(`Invalid options parameter type! Expected 'object', received '${typeof options}'!`);
+    const expiresWithinDays = options?.expiresWithinDays ?? 30;
+    if(typeof expiresWithinDays !== 'number' || Number.isNaN(expiresWithinDays) || expiresWithinDays < 0)
+        throw new TypeError(`Invalid options.expiresWithinDays parameter value! Expected a positive number, received '${expiresWithinDays}'!`);
+    if(options?.nameservers !== undefined && options?.nameservers !== null && (!Array.isArray(options.nameservers) || options.nameservers.some((host) => typeof host !== 'string')))
+        throw new TypeError(`Invalid options.nameservers parameter type! Expected 'array<string>', received '${typeof options.nameservers}'!`);
+    if(options?.checkDNSRecords !== undefined && typeof options.checkDNSRecords !== 'boolean')
+        throw new TypeError(`Invalid options.checkDNSRecords parameter type! Expected 'boolean', received '${typeof options.checkDNSRecords}'!`);
+    if(options?.concurrency !== undefined && (!Number.isInteger(options.concurrency) || options.concurrency < 1))
+        throw new TypeError(`Invalid options.concurrency parameter value! Expected a positive integer, received '${options.concurrency}'!`);
+
+    const requestOptions = { signal: options?.signal, timeout: options?.timeout };
+    const expectedNameServers = options?.nameservers ? [...new Set(options.nameservers.map(normalizeHost))].sort() : null;
+    const checkDNSRecords = options?.checkDNSRecords ?? true;
+    const generatedAt = new Date();
+
+    const domains = [];
+    for await (const domain of client.iterateDomains({ tld: options?.tld, label: options?.label, status: options?.status, ...requestOptions }))
+        domains.push(domain);
+
+    /** @type {PorkbunDomainAudit[]} */
+    const audits = domains.map((domain) => {
+        const expireDate = parseAPIDate(domain.expireDate);
+        return {
+            domain:          domain.domain,
+            expireDate:      Number.isNaN(expireDate.getTime()) ? null : expireDate,
+            daysUntilExpiry: Number.isNaN(expireDate.getTime()) ? null : Math.trunc((expireDate.getTime() - generatedAt.getTime()) / DAY) || 0,
+            autoRenew:       toBoolean(domain.autoRenew),
+            securityLock:    toBoolean(domain.securityLock),
+            whoisPrivacy:    toBoolean(domain.whoisPrivacy),
+            nameservers:     null,
+            dnsRecordCount:  null,
+            issues:          []
+        };
+    });
+
+    await runConcurrently(audits, options?.concurrency ?? 1, async (audit) => {
+        /** @type {PorkbunAuditIssue[]} */
+        const issues = [];
+        if(audit.daysUntilExpiry !== null && audit.daysUntilExpiry <= expiresWithinDays) {
+            const when = audit.expireDate.getTime() <= generatedAt.getTime() ? `Expired ${formatDays(-audit.daysUntilExpiry)} ago` : `Expires in ${formatDays(audit.daysUntilExpiry)}`;
+            issues.push({ type: 'expiring', message: `${when} (${audit.expireDate.toISOString().slice(0, 10)})` });
+        }
+        if(!audit.autoRenew)
+            issues.push({ type: 'autoRenewDisabled', message: 'Auto renew is disabled' });
+        if(!audit.securityLock)
+            issues.push({ type: 'securityLockDisabled', message: 'Security lock is disabled' });
+        if(!audit.whoisPrivacy)
+            issues.push({ type: 'whoisPrivacyDisabled', message: 'WHOIS privacy is disabled' });
+
+        if(expectedNameServers) {
+            try {
+                audit.nameservers = (await client.getNameServers(audit.domain, requestOptions)).ns.map(normalizeHost).sort();
+                const actual = new Set(audit.nameservers);
+                if(actual.size !== expectedNameServers.length || expectedNameServers.some((host) => !actual.has(host)))
+                    issues.push({ type: 'nameServerMismatch', message: `Name servers are ${audit.nameservers.join(', ') || 'not set'}, expected ${expectedNameServers.join(', ')}` });
+            } catch (error) {
+                if(requestOptions.signal?.aborted)
+                    throw error;
+                issues.push({ type: 'checkFailed', message: `Could not get the name servers: ${error.message}` });
+            }
+        }
+        if(checkDNSRecords) {
+            try {
+                audit.dnsRecordCount = (await client.getDNSRecords(audit.domain, null, null, requestOptions)).records.length;
+                if(!audit.dnsRecordCount)
+                    issues.push({ type: 'noDNSRecords', message: 'No DNS records' });
+            } catch (error) {
+                if(requestOptions.signal?.aborted)
+                    throw error;
+                issues.push({ type: 'checkFailed', message: `Could not get the DNS records: ${error.message}` });
+            }
+        }
+        audit.issues = issues;
+    });
+
+    return new DomainAuditReport({ generatedAt, expiresWithinDays, expectedNameServers, checkDNSRecords, domains: audits });
+}
+
+module.exports = { auditDomains, DomainAuditReport };
@@ -0,0 +1,243 @@
+// porkbun-client
+// Copyright (C) 2025  Oxtaly
+
+// // This program is free software: you can redistribute it and/or modify
+// // it under the terms of the GNU General Public License as published by
+// // the Free Software Foundation, either version 3 of the License, or
+// // (at your option) any later version.
+
+// // This program is distributed in the hope that it will be useful,
+// // but WITHOUT ANY WARRANTY; without even the implied warranty of
+// // MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// // GNU General Public License for more details.
+
+// // You should have received a copy of the GNU General Public License
+// // along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+"use strict";
+
+const { toBoolean, toNumber } = require('./normalize.js');
+const { APIError, isRateLimitError } = require('./errors.js');
+const { sleep } = require('./utils.js');
+
+/**
+ * @typedef {import('../index.js').PorkbunClient<boolean>} PorkbunClient
+ * @typedef {import('../types.d.ts').PorkbunAvailabilitySearchOptions} PorkbunAvailabilitySearchOptions
+ * @typedef {import('../types.d.ts').PorkbunAvailabilityResult}        PorkbunAvailabilityResult
+ */
+
+/**
+ * Expands candidate names across TLDs (eg: ["acme", "getacme"] × ["com", ".dev"]), lowercased and without duplicates.
+ * 
+ * @param {string[]} names 
+ * @param {string[]} tlds 
+ * @returns {{ domain: string, name: string, tld: string }[]}
+ */
+function expandCandidates(names, tlds) {
+    const candidates = new Map();
+    for (const rawName of names) {
+        const name = rawName.trim().toLowerCase().replace(/\.$/, '');
+        for (const rawTLD of tlds) {
+            const tld = rawTLD.trim().toLowerCase().replace(/^\./, '').replace(/\.$/, '');
+            if(name && tld && !candidates.has(`${name}.${tld}`))
+                candidates.set(`${name}.${tld}`, { domain: `${name}.${tld}`, name, tld });
+        }
+    }
+    return [...candidates.values()];
+}
+
+/**
+ * Availability search over a name × TLD matrix, see {@link PorkbunClient.searchAvailability}. 
+ * Iterating yields results as checks complete, and stops early (without throwing) if the checkDomain quota runs out, 
+ * the unchecked domains staying pending: iterating the search again continues where it stopped, and the checked domains 
+ * can be passed as the skip option of a new search to resume it later on.
+ */
+class AvailabilitySearch {
+    /** @private @readonly @type {PorkbunClient} */
+    _client = null;
+    /** @private @readonly @type {Map<string, { domain: string, name: string, tld: string }>} Unchecked candidates by domain. */
+    _pending = new Map();
+    /** @private @readonly @type {PorkbunAvailabilitySearchOptions} */
+    _options = null;
+    /** @private @type {boolean} */
+    _iterating = false;
+    /** @readonly @type {string[]} Domains checked so far, in completion order. */
+    checked = [];
+    /** @type {boolean} Whether the last iteration stopped early because the checkDomain quota ran out. */
+    rateLimited = false;
+
+    /**
+     * @param {PorkbunClient} client 
+     * @param {string[]} names 
+     * @param {string[]} tlds 
+     * @param {PorkbunAvailabilitySearchOptions} [options] 
+     */
+    constructor(client, names, tlds, options) {
+        if(names === undefined)
+            throw new TypeError('Missing names parameter!');
+        if(!Array.isArray(names) || names.some((name) => typeof name !== 'string'))
+            throw new TypeError(`Invalid names parameter type! Expected 'array<string>', received '${typeof names}'!`);
+        if(tlds === undefined)
+            throw new TypeError('Missing tlds parameter!');
+        if(!Array.isArray(tlds) || tlds.some((tld) => typeof tld !== 'string'))
+            throw new TypeError(`Invalid tlds parameter type! Expected 'array<string>', received '${typeof tlds}'!`);
+        if(options !== undefined && options !== null && typeof options !== 'object')
+            throw new TypeError(`Invalid options parameter type! Expected 'object', received '${typeof options}'!`);
+        if(options?.concurrency !== undefined && (!Number.isInteger(options.concurrency) || options.concurrency < 1))
+            throw new TypeError(`Invalid options.concurrency parameter value! Expected a positive integer, received '${options.concurrency}'!`);
+        if(options?.skip !== undefined && (!Array.isArray(options.skip) || options.skip.some((domain) => typeof domain !== 'string')))
+            throw new TypeError(`Invalid options.skip parameter type! Expected 'array<string>', received '${typeof options.skip}'!`);
+        if(options?.wait !== undefined && typeof options.wait !== 'boolean')
+            throw new TypeError(`Invalid options.wait parameter type! Expected 'boolean', received '${typeof options.wait}'!`);
+        if(options?.signal !== undefined && !(options.signal instanceof AbortSignal))
+            throw new TypeError(`Invalid options.signal parameter type! Expected 'AbortSignal', received '${typeof options.signal}'!`);
+
+        this._client = client;
+        this._options = { ...options };
+        const skip = new Set((options?.skip ?? []).map((domain) => domain.toLowerCase()));
+        for (const candidate of expandCandidates(names, tlds)) {
+            if(!skip.has(candidate.domain))
+                this._pending.set(candidate.domain, candidate);
+        }
+    }
+
+    /** Domains not checked yet. */
+    get pending() {
+        return [...this._pending.keys()];
+    }
+
+    /** Whether every domain was checked. */
+    get done() {
+        return this._pending.size === 0;
+    }
+
+    /**
+     * @returns {AsyncGenerator<PorkbunAvailabilityResult, void, undefined>}
+     */
+    async *[Symbol.asyncIterator]() {
+        if(this._iterating)
+            throw new Error('The search is already being iterated!');
+        this._iterating = true;
+        this.rateLimited = false;
+        const { signal, timeout } = this._options;
+        const concurrency = this._options.concurrency ?? 1;
+        const queue = [...this._pending.values()];
+        /** @type {Map<string, Promise<{ candidate: { domain: string, name: string, tld: string }, response?: any, error?: any, rateLimited?: boolean }>>} */
+        const running = new Map();
+        /** @type {Set<string>} */
+        const retried = new Set();
+        try {
+            while(queue.length || running.size) {
+                while(queue.length && running.size < concurrency && !this.rateLimited) {
+                    // Only wait for the rate limit window to reset once the checks in flight completed, so they are yielded meanwhile
+                    if(running.size && !this._hasBudget(running.size))
+                        break;
+                    if(!(await this._waitForBudget(running.size))) {
+                        this.rateLimited = true;
+                        break;
+                    }
+                    const candidate = queue.shift();
+                    running.set(candidate.domain, this._client.checkDomain(candidate.domain, { signal, timeout })
+                        .then((response) => ({ candidate, response }), (error) => ({ candidate, error, rateLimited: isRateLimitError(error) })));
+                }
+                if(!running.size)
+                    break;
+
+                const { candidate, response, error, rateLimited } = await Promise.race(running.values());
+                running.delete(candidate.domain);
+                if(error) {
+                    if(rateLimited) {
+                        // The budget was used up outside of what the client tracked, wait for the window to reset and check once more
+                        if(this._options.wait !== false && !retried.has(candidate.domain)) {
+                            retried.add(candidate.domain);
+                            queue.unshift(candidate);
+                            continue;
+                        }
+                        // Rate limited even after waiting for the window to reset (or without waiting), keep the domain pending
+                        this.rateLimited = true;
+                        continue;
+                    }
+                    if(!(error instanceof APIError))
+                        throw error;
+                }
+                this._pending.delete(candidate.domain);
+                this.checked.push(candidate.domain);
+                yield error ? this._toErrorResult(candidate, error) : this._toResult(candidate, response);
+            }
+        } finally {
+            this._iterating = false;
+        }
+    }
+
+    /**
+     * Used internally to wait until the checkDomain rate limit has budget for one more check, on top of the ones in flight.
+     * Resolves to false if the budget is exhausted and options.wait is set to false.
+     * 
+     * @private
+     * @param {number} inFlight 
+     */
+    async _waitForBudget(inFlight) {
+        while(!this._hasBudget(inFlight)) {
+            if(this._options.wait === false)
+                return false;
+            await sleep(this._client.getRateLimitState().resetsAt.getTime() - Date.now(), this._options.signal);
+        }
+        return true;
+    }
+
+    /**
+     * Used internally to check if the checkDomain rate limit has budget for one more check, on top of the ones in flight.
+     * 
+     * @private
+     * @param {number} inFlight 
+     */
+    _hasBudget(inFlight) {
+        const state = this._client.getRateLimitState();
+        return state.limit === null || state.resetsAt === null || state.remaining > inFlight;
+    }
+
+    /**
+     * @private
+     * @param {{ domain: string, name: string, tld: string }} candidate 
+     * @param {any} response - Raw or normalized checkDomain response.
+     * @returns {PorkbunAvailabilityResult}
+     */
+    _toResult(candidate, response) {
+        const availability = response.response;
+        return {
+            ...candidate,
+            avail:               toBoolean(availability.avail),
+            premium:             toBoolean(availability.premium),
+            firstYearPromo:      toBoolean(availability.firstYearPromo),
+            price:               toNumber(availability.price),
+            regularPrice:        toNumber(availability.regularPrice),
+            renewalPrice:        toNumber(availability.additional?.renewal?.price),
+            renewalRegularPrice: toNumber(availability.additional?.renewal?.regularPrice),
+            transferPrice:       toNumber(availability.additional?.transfer?.price),
+            error:               null
+        };
+    }
+
+    /**
+     * @private
+     * @param {{ domain: string, name: string, tld: string }} candidate 
+     * @param {Error} error 
+     * @returns {PorkbunAvailabilityResult}
+     */
+    _toErrorResult(candidate, error) {
+        return {
+            ...candidate,
+            avail:               null,
+            premium:             null,
+            firstYearPromo:      null,
+            price:               null,
+            regularPrice:        null,
+            renewalPrice:        null,
+            renewalRegularPrice: null,
+            transferPrice:       null,
+            error
+        };
+    }
+}
+
+module.exports = { AvailabilitySearch, expandCandidates };
@@ -0,0 +1,371 @@
+// porkbun-client
+// Copyright (C) 2025  Oxtaly
+
+// // This program is free software: you can redistribute it and/or modify
+// // it under the terms of the GNU General Public License as published by
+// // the Free Software Foundation, either version 3 of the License, or
+// // (at your option) any later version.
+
+// // This program is distributed in the hope that it will be useful,
+// // but WITHOUT ANY WARRANTY; without even the implied warranty of
+// // MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// // GNU General Public License for more details.
+
+// // You should have received a copy of the GNU General Public License
+// // along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+"use strict";
+
+const path = require('node:path');
+const { toBoolean, toNumber } = require('./normalize.js');
+const { toRelativeName } = require('./zone.js');
+const { getRecordKey, toFQDN } = require('./reconcile.js');
+const { writeFilesAtomically } = require('./ssl.js');
+const { normalizeHost } = require('./utils.js');
+
+/**
+ * @typedef {import('../index.js').PorkbunClient<boolean>} PorkbunClient
+ * @typedef {import('../types.d.ts').PorkbunBackup}               PorkbunBackup
+ * @typedef {import('../types.d.ts').PorkbunDomainBackup}         PorkbunDomainBackup
+ * @typedef {import('../types.d.ts').PorkbunBackupSection}        PorkbunBackupSection
+ * @typedef {import('../types.d.ts').PorkbunBackupOptions}        PorkbunBackupOptions
+ * @typedef {import('../types.d.ts').PorkbunRestoreOptions}       PorkbunRestoreOptions
+ * @typedef {import('../types.d.ts').PorkbunRestoreResult}        PorkbunRestoreResult
+ * @typedef {import('../types.d.ts').PorkbunRestoreOperation}     PorkbunRestoreOperation
+ * @typedef {import('../types.d.ts').PorkbunDomainRestoreResult}  PorkbunDomainRestoreResult
+ * @typedef {import('../types.d.ts').PorkbunRequestOptions}       PorkbunRequestOptions
+ */
+
+/** Value of the format property of backups. */
+const BACKUP_FORMAT = 'porkbun-wrapper-backup';
+/** Version of the backup format, increased on breaking changes. Backups of a newer version are rejected by restore. */
+const BACKUP_VERSION = 1;
+/** 
+ * @type {PorkbunBackupSection[]} Sections of a domain's backup, in restore order: glue records are set before the name servers that may depend on them 
+ * (glue records deletions being made after the name servers update).
+ */
+const BACKUP_SECTIONS = ['glue', 'nameservers', 'records', 'forwards', 'dnssec'];
+
+/**
+ * @param {string} host - Fully qualified glue host name.
+ * @param {string} domain 
+ */
+function toGlueSubdomain(host, domain) {
+    const relative = toRelativeName(host, domain);
+    return relative === '@' ? '' : relative;
+}
+
+/**
+ * Reads a section of a domain's backup from the live state.
+ * 
+ * @param {PorkbunClient} client 
+ * @param {string} domain 
+ * @param {PorkbunBackupSection} section 
+ * @param {PorkbunRequestOptions} requestOptions 
+ */
+async function readSection(client, domain, section, requestOptions) {
+    if(section === 'nameservers')
+        return (await client.getNameServers(domain, requestOptions)).ns.map(normalizeHost);
+    if(section === 'records') {
+        return (await client.getDNSRecords(domain, null, null, requestOptions)).records.map((record) => {
+            const name = toRelativeName(record.name, domain);
+            return {
+                id:       `${record.id}`,
+                name:     name === '@' ? '' : name,
+                type:     record.type,
+                content:  record.content,
+                ttl:      toNumber(record.ttl),
+                priority: toNumber(record.prio)
+            };
+        });
+    }
+    if(section === 'forwards') {
+        return (await client.getURLForwardings(domain, requestOptions)).forwards.map((forward) => ({
+            id:          `${forward.id}`,
+            subdomain:   forward.subdomain ?? '',
+            location:    forward.location,
+            type:        forward.type,
+            includePath: toBoolean(forward.includePath),
+            wildcard:    toBoolean(forward.wildcard)
+        }));
+    }
+    if(section === 'glue') {
+        return ((await client.getGlueRecords(domain, requestOptions)).hosts ?? []).map(([host, ips]) => ({
+            host: toGlueSubdomain(host, domain),
+            ips:  [...(ips.v4 ?? []), ...(ips.v6 ?? [])]
+        }));
+    }
+    return Object.values((await client.getDNSSECRecords(domain, requestOptions)).records ?? {}).map((record) => ({
+        keyTag:     `${record.keyTag}`,
+        alg:        `${record.alg}`,
+        digestType: `${record.digestType}`,
+        digest:     record.digest
+    }));
+}
+
+/**
+ * @param {any} sections 
+ * @returns {PorkbunBackupSection[]}
+ */
+function parseSections(sections) {
+    if(sections === undefined || sections === null)
+        return BACKUP_SECTIONS;
+    if(!Array.isArray(sections) || sections.some((section) => !BACKUP_SECTIONS.includes(section)))
+        throw new TypeError(`Invalid options.sections parameter value! Expected 'array<${BACKUP_SECTIONS.map((section) => `"${section}"`).join(' | ')}>', received '${sections}'!`);
+    return BACKUP_SECTIONS.filter((section) => sections.includes(section));
+}
+
+/**
+ * @param {any} options 
+ */
+function validateCommonOptions(options) {
+    if(options !== undefined && options !== null && typeof options !== 'object')
+        throw new TypeError(`Invalid options parameter type! Expected 'object', received '${typeof options}'!`);
+    if(options?.domains !== undefined && options?.domains !== null && (!Array.isArray(options.domains) || options.domains.some((domain) => typeof domain !== 'string')))
+        throw new TypeError(`Invalid options.domains parameter type! Expected 'array<string>', received '${typeof options.domains}'!`);
+    return parseSections(options?.sections);
+}
+
+/**
+ * Snapshot the DNS configuration of domains, see {@link PorkbunClient.backup}.
+ * 
+ * @param {PorkbunClient} client 
+ * @param {PorkbunBackupOptions} [options] 
+ * @returns {Promise<PorkbunBackup>}
+ */
+async function createBackup(client, options) {
+    const sections = validateCommonOptions(options);
+    if(options?.file !== undefined && options?.file !== null && typeof options.file !== 'string')
+        throw new TypeError(`Invalid options.file parameter type! Expected 'string', received '${typeof options.file}'!`);
+    const requestOptions = { signal: options?.signal, timeout: options?.timeout };
+
+    /** @type {string[]} */
+    let domains = options?.domains?.map((domain) => domain.toLowerCase());
+    if(!domains) {
+        domains = [];
+        for await (const domain of client.iterateDomains(requestOptions))
+            domains.push(domain.domain.toLowerCase());
+    }
+
+    /** @type {PorkbunBackup} */
+    const backup = {
+        format:        BACKUP_FORMAT,
+        version:       BACKUP_VERSION,
+        clientVersion: require('../package.json').version,
+        createdAt:     new Date().toISOString(),
+        domains:       {}
+    };
+    for (const domain of domains) {
+        /** @type {PorkbunDomainBackup} */
+        const domainBackup = { nameservers: null, records: null, forwards: null, glue: null, dnssec: null, errors: {} };
+        for (const section of sections) {
+            try {
+                domainBackup[section] = /** @type {any} */ (await readSection(client, domain, section, requestOptions));
+            } catch (error) {
+                if(requestOptions.signal?.aborted)
+                    throw error;
+                domainBackup.errors[section] = error.message;
+            }
+        }
+        backup.domains[domain] = domainBackup;
+    }
+
+    if(options?.file)
+        await writeFilesAtomically([{ file: path.resolve(options.file), data: JSON.stringify(backup, null, 2) + '\n', mode: 0o600 }]);
+    return backup;
+}
+
+/**
+ * Computes the operations of a section needed to go from the live state to the backed up one.
+ * 
+ * @param {PorkbunClient} client 
+ * @param {string} domain 
+ * @param {PorkbunBackupSection} section 
+ * @param {any} backedUp - The section's backup.
+ * @param {PorkbunRequestOptions} requestOptions 
+ * @returns {Promise<PorkbunRestoreOperation[]>}
+ */
+async function planSection(client, domain, section, backedUp, requestOptions) {
+    if(section === 'records') {
+        /** @type {Map<string, import('../types.d.ts').PorkbunDNSRecordData>} */
+        const desired = new Map();
+        for (const record of /** @type {PorkbunDomainBackup['records']} */ (backedUp))
+            desired.set(getRecordKey(toFQDN(record.name, domain), record.type, record.content), { name: record.name, type: record.type, content: record.content, ttl: record.ttl ?? undefined, priority: record.priority ?? undefined });
+        const plan = await client.planDNS(domain, [...desired.values()], { ...requestOptions, unmanaged: 'delete' });
+        return plan.operations.map((operation) => ({ section, ...operation }));
+    }
+
+    const live = await readSection(client, domain, section, requestOptions);
+    /** @type {PorkbunRestoreOperation[]} */
+    const operations = [];
+    if(section === 'nameservers') {
+        const expected = /** @type {string[]} */ (backedUp).map(normalizeHost);
+        const current = /** @type {string[]} */ (live);
+        if(expected.length !== current.length || expected.some((host) => !current.includes(host)))
+            operations.push({ section, action: 'update', key: domain, data: expected, previous: current, status: 'planned' });
+    } else if(section === 'forwards') {
+        /** @param {PorkbunDomainBackup['forwards'][number]} forward */
+        const getKey = (forward) => JSON.stringify([forward.subdomain.toLowerCase(), forward.location, forward.type, forward.includePath, forward.wildcard]);
+        const expected = new Map(/** @type {PorkbunDomainBackup['forwards']} */ (backedUp).map((forward) => [getKey(forward), forward]));
+        const current = new Map(/** @type {PorkbunDomainBackup['forwards']} */ (live).map((forward) => [getKey(forward), forward]));
+        // Additions first, so that subdomains are redirected at all times
+        for (const [key, forward] of expected) {
+            if(!current.has(key))
+                operations.push({ section, action: 'create', key: forward.subdomain, data: forward, status: 'planned' });
+        }
+        for (const [key, forward] of current) {
+            if(!expected.has(key))
+                operations.push({ section, action: 'delete', key: forward.id, previous: forward, status: 'planned' });
+        }
+    } else if(section === 'glue') {
+        /** @type {(a: string[], b: string[]) => boolean} */
+        const sameIPs = (a, b) => a.length === b.length && a.every((ip) => b.includes(ip));
+        const expected = new Map(/** @type {PorkbunDomainBackup['glue']} */ (backedUp).map((glue) => [glue.host.toLowerCase(), glue]));
+        const current = new Map(/** @type {PorkbunDomainBackup['glue']} */ (live).map((glue) => [glue.host.toLowerCase(), glue]));
+        for (const [host, glue] of expected) {
+            if(!current.has(host))
+                operations.push({ section, action: 'create', key: glue.host, data: glue.ips, status: 'planned' });
+            else if(!sameIPs(glue.ips, current.get(host).ips))
+                operations.push({ section, action: 'update', key: glue.host, data: glue.ips, previous: current.get(host).ips, status: 'planned' });
+        }
+        for (const [host, glue] of current) {
+            if(!expected.has(host))
+                operations.push({ section, action: 'delete', key: glue.host, previous: glue.ips, status: 'planned' });
+        }
+    } else if(section === 'dnssec') {
+        /** @param {PorkbunDomainBackup['dnssec'][number]} record */
+        const getKey = (record) => JSON.stringify([record.keyTag, record.alg, record.digestType, record.digest.toUpperCase()]);
+        const expected = new Map(/** @type {PorkbunDomainBackup['dnssec']} */ (backedUp).map((record) => [getKey(record), record]));
+        const current = new Map(/** @type {PorkbunDomainBackup['dnssec']} */ (live).map((record) => [getKey(record), record]));
+        // Deletions first, records being deleted by key tag
+        for (const [key, record] of current) {
+            if(!expected.has(key))
+                operations.push({ section, action: 'delete', key: record.keyTag, previous: record, status: 'planned' });
+        }
+        for (const [key, record] of expected) {
+            if(!current.has(key))
+                operations.push({ section, action: 'create', key: record.keyTag, data: record, status: 'planned' });
+        }
+    }
+    return operations;
+}
+
+/**
+ * Applies the operations of a domain one after the other, updating their status. Failed operations do not stop the following ones, except that 
+ * the name servers are not updated if a glue record could not be set, glue records are not deleted unless the name servers were updated 
+ * (or left as they are), and the forwards of a subdomain are not deleted if adding one of its backed up forwards failed. Skipped operations keep their "planned" status.
+ * 
+ * @param {PorkbunClient} client 
+ * @param {string} domain 
+ * @param {PorkbunRestoreOperation[]} operations 
+ * @param {PorkbunRequestOptions} requestOptions 
+ */
+async function applyOperations(client, domain, operations, requestOptions) {
+    const nameservers = operations.find((operation) => operation.section === 'nameservers');
+    let glueFailed = false;
+    /** @type {Set<string>} */
+    const failedSubdomains = new Set();
+    for (const operation of operations) {
+        requestOptions.signal?.throwIfAborted();
+        if(operation.section === 'nameservers' && glueFailed)
+            continue;
+        if(operation.section === 'glue' && operation.action === 'delete' && nameservers && nameservers.status !== 'applied')
+            continue;
+        if(operation.section === 'forwards' && operation.action === 'delete' && failedSubdomains.has(operation.previous.subdomain.toLowerCase()))
+            continue;
+        if(operation.section === 'records') {
+            await client.applyDNS({ domain, operations: [operation], unchanged: [] }, requestOptions);
+            continue;
+        }
+        try {
+            if(operation.section === 'nameservers')
+                await client.updateNameServers(domain, operation.data, requestOptions);
+            else if(operation.section === 'forwards' && operation.action === 'delete')
+                await client.deleteURLForward(domain, operation.key, requestOptions);
+            else if(operation.section === 'forwards' && operation.action === 'create')
+                await client.addURLForward(domain, operation.data, requestOptions);
+            else if(operation.section === 'glue' && operation.action === 'create')
+                await client.createGlueRecord(domain, operation.key, operation.data, requestOptions);
+            else if(operation.section === 'glue' && operation.action === 'update')
+                await client.updateGlueRecord(domain, operation.key, operation.data, requestOptions);
+            else if(operation.section === 'glue' && operation.action === 'delete')
+                await client.deleteGlueRecord(domain, operation.key, requestOptions);
+            else if(operation.section === 'dnssec' && operation.action === 'delete')
+                await client.deleteDNSSECRecord(domain, operation.key, requestOptions);
+            else if(operation.section === 'dnssec' && operation.action === 'create')
+                await client.createDNSSECRecord(domain, operation.data, requestOptions);
+            operation.status = 'applied';
+        } catch (error) {
+            operation.status = 'failed';
+            operation.error = error;
+            if(operation.section === 'glue' && operation.action !== 'delete')
+                glueFailed = true;
+            else if(operation.section === 'forwards' && operation.action === 'create')
+                failedSubdomains.add(operation.key.toLowerCase());
+        }
+    }
+}
+
+/**
+ * Restore a backup, see {@link PorkbunClient.restore}.
+ * 
+ * @param {PorkbunClient} client 
+ * @param {PorkbunBackup} backup 
+ * @param {PorkbunRestoreOptions} [options] 
+ * @returns {Promise<PorkbunRestoreResult>}
+ */
+async function restoreBackup(client, backup, options) {
+    if(!backup)
+        throw new TypeError('Missing backup parameter!');
+    if(typeof backup !== 'object')
+        throw new TypeError(`Invalid backup parameter type! Expected 'object', received '${typeof backup}'!`);
+    if(backup.format !== BACKUP_FORMAT || typeof backup.domains !== 'object' || !backup.domains)
+        throw new TypeError(`Invalid backup parameter value! Expected a backup created by PorkbunClient.backup()!`);
+    if(typeof backup.version !== 'number' || backup.version > BACKUP_VERSION)
+        throw new TypeError(`Invalid backup.version parameter value! Expected a version up to ${BACKUP_VERSION}, received '${backup.version}'!`);
+    const sections = validateCommonOptions(options);
+    if(options?.dryRun !== undefined && options?.dryRun !== null && typeof options.dryRun !== 'boolean')
+        throw new TypeError(`Invalid options.dryRun parameter type! Expected 'boolean', received '${typeof options.dryRun}'!`);
+    const dryRun = options?.dryRun === true;
+    const requestOptions = { signal: options?.signal, timeout: options?.timeout };
+
+    const domains = options?.domains?.map((domain) => domain.toLowerCase()) ?? Object.keys(backup.domains);
+    const missing = domains.filter((domain) => !backup.domains[domain]);
+    if(missing.length)
+        throw new TypeError(`Invalid options.domains parameter value! Domains not in the backup: ${missing.join(', ')}!`);
+
+    /** @type {PorkbunRestoreResult} */
+    const result = { dryRun, domains: [] };
+    for (const domain of domains) {
+        /** @type {PorkbunDomainRestoreResult} */
+        const domainResult = { domain, operations: [], errors: {} };
+        result.domains.push(domainResult);
+        for (const section of sections) {
+            const backedUp = backup.domains[domain][section];
+            // Sections that could not be backed up are left as they are
+            if(!Array.isArray(backedUp))
+                continue;
+            try {
+                domainResult.operations.push(...await planSection(client, domain, section, backedUp, requestOptions));
+            } catch (error) {
+                if(requestOptions.signal?.aborted)
+                    throw error;
+                domainResult.errors[section] = error;
+            }
+        }
+        // Glue records are deleted once the name servers no longer point to them
+        const glueDeletions = domainResult.operations.filter((operation) => operation.section === 'glue' && operation.action === 'delete');
+        const nameservers = domainResult.operations.filter((operation) => operation.section === 'nameservers');
+        domainResult.operations = [
+            ...domainResult.operations.filter((operation) => operation.section === 'glue' && operation.action !== 'delete'),
+            ...nameservers,
+            ...glueDeletions,
+            ...domainResult.operations.filter((operation) => operation.section !== 'glue' && operation.section !== 'nameservers')
+        ];
+        if(!dryRun)
+            await applyOperations(client, domain, domainResult.operations, requestOptions);
+    }
+    return result;
+}
+
+module.exports = { createBackup, restoreBackup, BACKUP_FORMAT, BACKUP_VERSION, BACKUP_SECTIONS };
@@ -0,0 +1,560 @@
+// porkbun-client
+// Copyright (C) 2025  Oxtaly
+
+// // This program is free software: you can redistribute it and/or modify
+// // it under the terms of the GNU General Public License as published by
+// // the Free Software Foundation, either version 3 of the License, or
+// // (at your option) any later version.
+
+// // This program is distributed in the hope that it will be useful,
+// // but WITHOUT ANY WARRANTY; without even the implied warranty of
+// // MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// // GNU General Public License for more details.
+
+// // You should have received a copy of the GNU General Public License
+// // along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+"use strict";
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { parseArgs } = require('node:util');
+
+/**
+ * @typedef {import('../index.js').PorkbunClient<boolean>} PorkbunClient
+ * @typedef {import('node:util').ParseArgsConfig['options']} ParseArgsOptions
+ */
+
+/**
+ * @typedef {Object} CLICommand
+ * @property {string} usage - Arguments and options of the command, excluding the command name.
+ * @property {string} description
+ * @property {ParseArgsOptions} [options]
+ * @property {number} [args] - Minimum amount of positional arguments.
+ * @property {boolean} [public] - Whether the command can be used without API keys.
+ * @property {(client: PorkbunClient, args: string[], values: Record<string, any>) => Promise<any>} run
+ * @property {(response: any) => Object[] | Object | string} [format] - Converts the response to table rows, an object (shown as key/value pairs) or raw text for the table output.
+ */
+
+/** Exit codes of the CLI. */
+const EXIT_CODES = {
+    success: 0,
+    error: 1,
+    usage: 2,
+    apiError: 3,
+    responseError: 4
+};
+
+/** @type {ParseArgsOptions} Global options, available for every command. */
+const GLOBAL_OPTIONS = {
+    output:   { type: 'string', short: 'o' },
+    json:     { type: 'boolean' },
+    quiet:    { type: 'boolean', short: 'q' },
+    config:   { type: 'string' },
+    endpoint: { type: 'string' },
+    debug:    { type: 'boolean' },
+    help:     { type: 'boolean', short: 'h' }
+};
+
+/** @type {ParseArgsOptions} Options shared by commands creating or editing DNS records. */
+const RECORD_OPTIONS = {
+    name:     { type: 'string' },
+    type:     { type: 'string' },
+    content:  { type: 'string' },
+    ttl:      { type: 'string' },
+    priority: { type: 'string' }
+};
+
+/** Error thrown on invalid command line usage. */
+class UsageError extends Error {}
+
+/**
+ * @param {Record<string, any>} values 
+ */
+function getRecordData(values) {
+    const recordData = {};
+    for (const key of ['name', 'type', 'content', 'ttl', 'priority']) {
+        if(values[key] !== undefined)
+            recordData[key] = values[key];
+    }
+    if(recordData.type)
+        recordData.type = recordData.type.toUpperCase();
+    return recordData;
+}
+
+/**
+ * @param {string} file 
+ */
+function readInput(file) {
+    return file === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(file, 'utf8');
+}
+
+/** @type {Record<string, CLICommand>} */
+const COMMANDS = {
+    'ping': {
+        usage: '',
+        description: 'Test the API keys and get your public IP address.',
+        run: (client) => client.ping(),
+        format: (response) => ({ ip: response.yourIp, ...(response.xForwardedFor ? { xForwardedFor: response.xForwardedFor } : {}) })
+    },
+    'pricing': {
+        usage: '[tld...]',
+        description: 'Get the default registration, renewal and transfer pricing of all (or the given) TLDs.',
+        public: true,
+        run: async (client, tlds) => {
+            const response = await client.getPricing();
+            if(!tlds.length)
+                return response;
+            const pricing = {};
+            for (const tld of tlds.map((tld) => tld.replace(/^\./, '').toLowerCase())) {
+                if(!response.pricing[tld])
+                    throw new UsageError(`Unknown TLD '${tld}'!`);
+                pricing[tld] = response.pricing[tld];
+            }
+            return { ...response, pricing };
+        },
+        format: (response) => Object.entries(response.pricing)
+            .map(([tld, pricing]) => ({ tld, registration: pricing.registration, renewal: pricing.renewal, transfer: pricing.transfer }))
+    },
+    'domains list': {
+        usage: '[--start <index>] [--labels]',
+        description: 'List the domains of the account, in chunks of 1000.',
+        options: { start: { type: 'string' }, labels: { type: 'boolean' } },
+        run: (client, args, values) => client.getDomains({ start: values.start, includeLabels: values.labels }),
+        format: (response) => response.domains.map((domain) => ({
+            domain:       domain.domain,
+            status:       domain.status,
+            expireDate:   domain.expireDate,
+            autoRenew:    domain.autoRenew,
+            securityLock: domain.securityLock,
+            whoisPrivacy: domain.whoisPrivacy,
+            ...(domain.labels ? { labels: domain.labels.map((label) => label.title).join(', ') } : {})
+        }))
+    },
+    'domains check': {
+        usage: '<domain>',
+        description: 'Check the availability of a domain.',
+        args: 1,
+        run: (client, [domain]) => client.checkDomain(domain),
+        format: (response) => ({
+            avail:          response.response.avail,
+            price:          response.response.price,
+            regularPrice:   response.response.regularPrice,
+            firstYearPromo: response.response.firstYearPromo,
+            premium:        response.response.premium,
+            limits:         response.limits.naturalLanguage
+        })
+    },
+    'ns get': {
+        usage: '<domain>',
+        description: 'Get the name servers of a domain.',
+        args: 1,
+        run: (client, [domain]) => client.getNameServers(domain),
+        format: (response) => response.ns.map((ns) => ({ nameserver: ns }))
+    },
+    'ns update': {
+        usage: '<domain> <nameserver...>',
+        description: 'Replace the name servers of a domain.',
+        args: 2,
+        run: (client, [domain, ...nameservers]) => client.updateNameServers(domain, nameservers)
+    },
+    'forward list': {
+        usage: '<domain>',
+        description: 'List the URL forwards of a domain.',
+        args: 1,
+        run: (client, [domain]) => client.getURLForwardings(domain),
+        format: (response) => response.forwards
+    },
+    'forward add': {
+        usage: '<domain> --location <url> [--subdomain <subdomain>] [--type temporary|permanent] [--include-path] [--wildcard]',
+        description: 'Add an URL forward to a domain. The type defaults to temporary.',
+        args: 1,
+        options: { subdomain: { type: 'string' }, location: { type: 'string' }, type: { type: 'string' }, 'include-path': { type: 'boolean' }, wildcard: { type: 'boolean' } },
+        run: (client, [domain], values) => client.addURLForward(domain, {
+            subdomain:   values.subdomain,
+            location:    values.location,
+            type:        values.type ?? 'temporary',
+            includePath: values['include-path'] ?? false,
+            wildcard:    values.wildcard ?? false
+        })
+    },
+    'forward delete': {
+        usage: '<domain> <id>',
+        description: 'Delete an URL forward of a domain.',
+        args: 2,
+        run: (client, [domain, id]) => client.deleteURLForward(domain, id)
+    },
+    'glue list': {
+        usage: '<domain>',
+        description: 'List the glue records of a domain.',
+        args: 1,
+        run: (client, [domain]) => client.getGlueRecords(domain),
+        format: (response) => (response.hosts ?? []).map(([host, ips]) => ({ host, ipv4: ips.v4.join(', '), ipv6: ips.v6.join(', ') }))
+    },
+    'glue create': {
+        usage: '<domain> <subdomain> <ip...>',
+        description: 'Create a glue record for a subdomain (eg: ns1).',
+        args: 3,
+        run: (client, [domain, subdomain, ...ips]) => client.createGlueRecord(domain, subdomain, ips)
+    },
+    'glue update': {
+        usage: '<domain> <subdomain> <ip...>',
+        description: 'Replace the addresses of a glue record.',
+        args: 3,
+        run: (client, [domain, subdomain, ...ips]) => client.updateGlueRecord(domain, subdomain, ips)
+    },
+    'glue delete': {
+        usage: '<domain> <subdomain>',
+        description: 'Delete a glue record.',
+        args: 2,
+        run: (client, [domain, subdomain]) => client.deleteGlueRecord(domain, subdomain)
+    },
+    'dns list': {
+        usage: '<domain> [--type <type> [--name <subdomain>]]',
+        description: 'List the DNS records of a domain, optionally filtered by type and subdomain.',
+        args: 1,
+        options: { type: { type: 'string' }, name: { type: 'string' } },
+        run: (client, [domain], values) => values.type ? client.getDNSRecords(domain, values.type.toUpperCase(), values.name) : client.getDNSRecords(domain),
+        format: (response) => response.records
+    },
+    'dns get': {
+        usage: '<domain> <id>',
+        description: 'Get a DNS record by its ID.',
+        args: 2,
+        run: (client, [domain, id]) => client.getDNSRecord(domain, id),
+        format: (response) => response.records
+    },
+    'dns create': {
+        usage: '<domain> --type <type> --content <content> [--name <subdomain>] [--ttl <seconds>] [--priority <priority>]',
+        description: 'Create a DNS record, outputs the ID of the created record.',
+        args: 1,
+        options: RECORD_OPTIONS,
+        run: (client, [domain], values) => client.createDNSRecord(domain, /** @type {any} */ (getRecordData(values))),
+        format: (response) => ({ id: response.id })
+    },
+    'dns edit': {
+        usage: '<domain> <id> --name <subdomain> [--type <type>] [--content <content>] [--ttl <seconds>] [--priority <priority>]',
+        description: 'Edit a DNS record by its ID. The name is required by the API, pass the current one to keep it.',
+        args: 2,
+        options: RECORD_OPTIONS,
+        run: (client, [domain, id], values) => client.editDNSRecord(domain, id, /** @type {any} */ (getRecordData(values)))
+    },
+    'dns edit-by-type': {
+        usage: '<domain> <type> [--name <subdomain>] --content <content> [--ttl <seconds>] [--priority <priority>]',
+        description: 'Edit all DNS records of a type and subdomain.',
+        args: 2,
+        options: RECORD_OPTIONS,
+        run: (client, [domain, type], values) => {
+            const { name, ...recordData } = getRecordData(values);
+            return client.editDNSRecords(domain, /** @type {any} */ (type.toUpperCase()), name, /** @type {any} */ (recordData));
+        }
+    },
+    'dns delete': {
+        usage: '<domain> <id>',
+        description: 'Delete a DNS record by its ID.',
+        args: 2,
+        run: (client, [domain, id]) => client.deleteDNSRecord(domain, id)
+    },
+    'dns delete-by-type': {
+        usage: '<domain> <type> [--name <subdomain>]',
+        description: 'Delete all DNS records of a type and subdomain.',
+        args: 2,
+        options: { name: { type: 'string' } },
+        run: (client, [domain, type], values) => client.deleteDNSRecords(domain, /** @type {any} */ (type.toUpperCase()), values.name)
+    },
+    'dns export': {
+        usage: '<domain> [--ttl <seconds>]',
+        description: 'Export the DNS records of a domain as a BIND zone file.',
+        args: 1,
+        options: { ttl: { type: 'string' } },
+        run: async (client, [domain], values) => ({ zone: await client.exportZone(domain, { ttl: values.ttl ? parseInt(values.ttl) : undefined }) }),
+        format: (response) => response.zone
+    },
+    'dns import': {
+        usage: '<domain> <file|-> [--mode merge|replace] [--dry-run]',
+        description: 'Import a BIND zone file into the DNS records of a domain.',
+        args: 2,
+        options: { mode: { type: 'string' }, 'dry-run': { type: 'boolean' } },
+        run: (client, [domain, file], values) => client.importZone(domain, readInput(file), { mode: /** @type {any} */ (values.mode), dryRun: values['dry-run'] }),
+        format: (response) => [
+            ...response.warnings.map((warning) => ({ action: 'skip', status: '', record: `line ${warning.line}: ${warning.message}` })),
+            ...response.operations.map((operation) => ({ action: operation.action, status: operation.status, record: `${operation.record.name || '@'} ${operation.record.type} ${operation.record.content}`, error: operation.error?.message ?? '' }))
+        ]
+    },
+    'dns sync': {
+        usage: '<domain> <file|-> [--unmanaged keep|delete] [--dry-run]',
+        description: 'Make the DNS records of a domain match a JSON array of records ({ name, type, content, ttl?, priority? }).',
+        args: 2,
+        options: { unmanaged: { type: 'string' }, 'dry-run': { type: 'boolean' } },
+        run: async (client, [domain, file], values) => {
+            let desired;
+            try {
+                desired = JSON.parse(readInput(file));
+            } catch (error) {
+                throw new UsageError(`Invalid records file! ${error.message}`);
+            }
+            const plan = await client.planDNS(domain, desired, { unmanaged: /** @type {any} */ (values.unmanaged) });
+            return values['dry-run'] ? plan : client.applyDNS(plan);
+        },
+        format: (response) => response.operations.map((operation) => ({ action: operation.action, status: operation.status, record: `${operation.record.name || '@'} ${operation.record.type} ${operation.record.content}`, error: operation.error?.message ?? '' }))
+    },
+    'dnssec list': {
+        usage: '<domain>',
+        description: 'List the DNSSEC records of a domain at the registry.',
+        args: 1,
+        run: (client, [domain]) => client.getDNSSECRecords(domain),
+        format: (response) => Object.values(response.records)
+    },
+    'dnssec create': {
+        usage: '<domain> --key-tag <tag> --alg <alg> --digest-type <type> --digest <digest>',
+        description: 'Create a DNSSEC record at the registry.',
+        args: 1,
+        options: { 'key-tag': { type: 'string' }, alg: { type: 'string' }, 'digest-type': { type: 'string' }, digest: { type: 'string' } },
+        run: (client, [domain], values) => client.createDNSSECRecord(domain, {
+            keyTag:     values['key-tag'],
+            alg:        values.alg,
+            digestType: values['digest-type'],
+            digest:     values.digest
+        })
+    },
+    'dnssec delete': {
+        usage: '<domain> <key-tag>',
+        description: 'Delete a DNSSEC record at the registry.',
+        args: 2,
+        run: (client, [domain, keyTag]) => client.deleteDNSSECRecord(domain, keyTag)
+    },
+    'ssl get': {
+        usage: '<domain> [--out-dir <directory>]',
+        description: 'Retrieve the SSL certificate bundle of a domain, optionally writing it to certificatechain.pem, privatekey.pem and publickey.pem.',
+        args: 1,
+        options: { 'out-dir': { type: 'string' } },
+        run: async (client, [domain], values) => {
+            if(!values['out-dir'])
+                return client.getSSLBundle(domain);
+            const { files, certificate } = await client.ssl.writeBundle(domain, values['out-dir']);
+            return { status: 'SUCCESS', files: Object.values(files), validTo: certificate.validTo };
+        },
+        format: (response) => response.files ? response.files.map((file) => ({ file })) : `${response.certificatechain}\n${response.publickey}`
+    }
+};
+
+/**
+ * Formats a value for a table cell.
+ * 
+ * @param {any} value 
+ */
+function formatCell(value) {
+    if(value === null || value === undefined)
+        return '';
+    if(typeof value === 'object')
+        return JSON.stringify(value);
+    return `${value}`;
+}
+
+/**
+ * Renders rows as an aligned text table.
+ * 
+ * @param {Object[]} rows 
+ */
+function renderTable(rows) {
+    if(!rows.length)
+        return '';
+    const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+    const cells = rows.map((row) => columns.map((column) => formatCell(row[column])));
+    const widths = columns.map((column, i) => Math.max(column.length, ...cells.map((row) => row[i].length)));
+    const renderRow = (row) => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+    return [renderRow(columns.map((column) => column.toUpperCase())), ...cells.map(renderRow)].join('\n') + '\n';
+}
+
+/**
+ * Renders a command response for the table output.
+ * 
+ * @param {CLICommand} command 
+ * @param {any} response 
+ */
+function renderResponse(command, response) {
+    const formatted = command.format ? command.format(response) : { status: response.status };
+    if(typeof formatted === 'string')
+        return formatted.endsWith('\n') ? formatted : `${formatted}\n`;
+    if(Array.isArray(formatted))
+        return renderTable(formatted);
+    const entries = Object.entries(formatted);
+    const width = Math.max(...entries.map(([key]) => key.length));
+    return entries.map(([key, value]) => `${key.padEnd(width)}  ${formatCell(value)}`).join('\n') + '\n';
+}
+
+/**
+ * Renders the help message.
+ */
+function renderHelp() {
+    const lines = [
+        'Usage: porkbun <command> [arguments] [options]',
+        '',
+        'Commands:'
+    ];
+    for (const [name, command] of Object.entries(COMMANDS)) {
+        lines.push(`  ${name} ${command.usage}`.trimEnd());
+        lines.push(`      ${command.description}`);
+    }
+    lines.push(
+        '',
+        'Global options:',
+        '  -o, --output <format>  Output format: table (default), json or quiet',
+        '      --json             Shortcut for --output json',
+        '  -q, --quiet            Shortcut for --output quiet, only the exit code is meaningful',
+        '      --config <file>    JSON config file with apiKey, secretKey and endpoint properties',
+        '                         (defaults to $PORKBUN_CONFIG or ~/.config/porkbun/config.json)',
+        '      --endpoint <url>   Base API endpoint',
+        '      --debug            Print stack traces of unexpected errors',
+        '  -h, --help             Show this help',
+        '',
+        'API keys are read from the PORKBUN_API_KEY and PORKBUN_SECRET_KEY environment variables, or from the config file.',
+        '',
+        'Exit codes:',
+        `  ${EXIT_CODES.success}  Success`,
+        `  ${EXIT_CODES.error}  Unexpected error (eg: network error)`,
+        `  ${EXIT_CODES.usage}  Invalid usage or arguments`,
+        `  ${EXIT_CODES.apiError}  The API responded with an error (APIError)`,
+        `  ${EXIT_CODES.responseError}  The API responded with an unexpected response (ResponseError)`
+    );
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Finds the command name in the arguments, skipping global options.
+ * 
+ * @param {string[]} argv 
+ * @returns {string | null}
+ */
+function findCommandName(argv) {
+    /** @type {string[]} */
+    const words = [];
+    for (let i = 0; i < argv.length && words.length < 2; i++) {
+        const arg = argv[i];
+        if(arg.startsWith('-')) {
+            const option = Object.entries(GLOBAL_OPTIONS).find(([name, option]) => arg === `--${name}` || arg === `-${option.short}`);
+            if(option && option[1].type === 'string')
+                i++;
+            if(words.length)
+                break;
+            continue;
+        }
+        words.push(arg);
+    }
+    if(words.length === 2 && COMMANDS[words.join(' ')])
+        return words.join(' ');
+    if(words.length && COMMANDS[words[0]])
+        return words[0];
+    return null;
+}
+
+/**
+ * Loads the client options from the config file and environment variables, the latter taking precedence.
+ * 
+ * @param {Record<string, any>} values 
+ * @param {NodeJS.ProcessEnv} env 
+ */
+function loadClientOptions(values, env) {
+    const configPath = values.config ?? env.PORKBUN_CONFIG ?? path.join(env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'porkbun', 'config.json');
+    let config = {};
+    if(values.config || env.PORKBUN_CONFIG || fs.existsSync(configPath)) {
+        try {
+            config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        } catch (error) {
+            throw new UsageError(`Could not read config file '${configPath}'! ${error.message}`);
+        }
+    }
+    return {
+        apiKey:    env.PORKBUN_API_KEY    ?? config.apiKey,
+        secretKey: env.PORKBUN_SECRET_KEY ?? config.secretKey,
+        endpoint:  values.endpoint ?? env.PORKBUN_ENDPOINT ?? config.endpoint
+    };
+}
+
+/**
+ * Runs the CLI.
+ * 
+ * @param {string[]} argv - Arguments, excluding the node executable and script path.
+ * @param {Object} [io]
+ * @param {NodeJS.WritableStream} [io.stdout]
+ * @param {NodeJS.WritableStream} [io.stderr]
+ * @param {NodeJS.ProcessEnv} [io.env]
+ * @returns {Promise<number>} The exit code.
+ */
+async function main(argv, io) {
+    const { PorkbunClient, APIError, ResponseError } = require('../index.js');
+    const stdout = io?.stdout ?? process.stdout;
+    const stderr = io?.stderr ?? process.stderr;
+    const env = io?.env ?? process.env;
+
+    const commandName = findCommandName(argv);
+    if(!commandName) {
+        const wantsHelp = argv.length === 0 || argv.includes('--help') || argv.includes('-h') || argv[0] === 'help';
+        (wantsHelp ? stdout : stderr).write(wantsHelp ? renderHelp() : `Unknown command '${argv.filter((arg) => !arg.startsWith('-')).slice(0, 2).join(' ')}'! Run 'porkbun --help' for the list of commands.\n`);
+        return wantsHelp ? EXIT_CODES.success : EXIT_CODES.usage;
+    }
+    const command = COMMANDS[commandName];
+
+    let output = 'table';
+    try {
+        const { values, positionals } = parseArgs({
+            args: argv,
+            options: { ...GLOBAL_OPTIONS, ...command.options },
+            allowPositionals: true,
+            strict: true
+        });
+        if(values.help) {
+            stdout.write(`Usage: porkbun ${commandName} ${command.usage}\n\n${command.description}\n`);
+            return EXIT_CODES.success;
+        }
+
+        output = values.quiet ? 'quiet' : values.json ? 'json' : /** @type {string} */ (values.output ?? 'table');
+        if(!['table', 'json', 'quiet'].includes(output))
+            throw new UsageError(`Invalid output format '${output}'! Expected 'table', 'json' or 'quiet'.`);
+
+        const args = positionals.slice(commandName.split(' ').length);
+        if(args.length < (command.args ?? 0))
+            throw new UsageError(`Missing arguments! Usage: porkbun ${commandName} ${command.usage}`);
+
+        const clientOptions = loadClientOptions(values, env);
+        if(!command.public && (!clientOptions.apiKey || !clientOptions.secretKey))
+            throw new UsageError('Missing API keys! Set the PORKBUN_API_KEY and PORKBUN_SECRET_KEY environment variables or use a config file.');
+        const client = new PorkbunClient({
+            apiKey:    clientOptions.apiKey ?? '',
+            secretKey: clientOptions.secretKey ?? '',
+            ...(clientOptions.endpoint ? { endpoint: clientOptions.endpoint } : {})
+        });
+
+        const response = await command.run(client, args, values);
+
+        if(output === 'json')
+            stdout.write(JSON.stringify(response, null, 2) + '\n');
+        else if(output === 'table')
+            stdout.write(renderResponse(command, response));
+        return EXIT_CODES.success;
+    } catch (error) {
+        if(error instanceof APIError) {
+            if(output === 'json')
+                stdout.write(JSON.stringify(error.apiResponse, null, 2) + '\n');
+            stderr.write(`API error: ${error.message}\n`);
+            return EXIT_CODES.apiError;
+        }
+        if(error instanceof ResponseError) {
+            stderr.write(`Unexpected API response: ${error.message}\n`);
+            return EXIT_CODES.responseError;
+        }
+        if(error instanceof UsageError || error instanceof TypeError && !error.cause || error?.code?.startsWith?.('ERR_PARSE_ARGS')) {
+            stderr.write(`${error.message}\n`);
+            return EXIT_CODES.usage;
+        }
+        // Network failures are TypeErrors (eg: "fetch failed") caused by the underlying error (eg: "connect ECONNREFUSED 127.0.0.1:9")
+        const cause = error?.cause?.message ? ` (${error.cause.message})` : '';
+        stderr.write(`Error: ${error?.message ?? error}${cause}\n`);
+        if(argv.includes('--debug') && error?.stack)
+            stderr.write(`${error.stack}\n`);
+        return EXIT_CODES.error;
+    }
+}
+
+module.exports = { main, COMMANDS, EXIT_CODES };
@@ -0,0 +1,222 @@
+// porkbun-client
+// Copyright (C) 2025  Oxtaly
+
+// // This program is free software: you can redistribute it and/or modify
+// // it under the terms of the GNU General Public License as published by
+// // the Free Software Foundation, either version 3 of the License, or
+// // (at your option) any later version.
+
+// // This program is distributed in the hope that it will be useful,
+// // but WITHOUT ANY WARRANTY; without even the implied warranty of
+// // MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// // GNU General Public License for more details.
+
+// // You should have received a copy of the GNU General Public License
+// // along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+"use strict";
+
+const { EventEmitter } = require('node:events');
+const { isIPv4, isIPv6 } = require('node:net');
+const { toFQDN } = require('./reconcile.js');
+
+/**
+ * @typedef {import('../index.js').PorkbunClient<boolean>} PorkbunClient
+ * @typedef {import('../types.d.ts').DynamicDNSUpdaterOptions} DynamicDNSUpdaterOptions
+ * @typedef {import('../types.d.ts').DynamicDNSUpdateResult}   DynamicDNSUpdateResult
+ * @typedef {import('../types.d.ts').DynamicDNSIPSource}       DynamicDNSIPSource
+ */
+
+/**
+ * Creates an IP source detecting the public address from the ping endpoint's yourIp (and xForwardedFor) fields. 
+ * IPv4 addresses are detected through the IPv4 only host (see {@link PorkbunClient.ping}), IPv6 addresses through the (dual-stack) endpoint of the client, 
+ * the address of the family being picked among the returned ones.
+ * 
+ * @param {PorkbunClient} client 
+ * @param {"ipv4"|"ipv6"} family 
+ * @returns {DynamicDNSIPSource}
+ */
+function pingIPSource(client, family) {
+    const isFamily = family === 'ipv4' ? isIPv4 : isIPv6;
+    return async () => {
+        const response = await client.ping(undefined, { ipv4Only: family === 'ipv4' });
+        const candidates = [response.yourIp, ...(response.xForwardedFor ?? '').split(',')].map((ip) => ip?.trim());
+        return candidates.find((ip) => ip && isFamily(ip)) ?? null;
+    };
+}
+
+/**
+ * Keeps A/AAAA records of a domain's subdomains pointed at the current public IP addresses.
+ * 
+ * Events:
+ * - "update" `(result: DynamicDNSUpdateResult)` - A record was created or edited.
+ * - "unchanged" `(result: DynamicDNSUpdateResult)` - The records already point to the current address.
+ * - "check" `(results: DynamicDNSUpdateResult[])` - A check finished.
+ * - "checkError" `(error: Error)` - A check failed while running on an interval, the next one running as planned. 
+ *   Reported as a process warning if there are no listeners, so that a transient failure does not take down the process.
+ */
+class DynamicDNSUpdater extends EventEmitter {
+    /** @private @readonly @type {PorkbunClient} */
+    _client = null;
+    /** @private @readonly @type {string} */
+    _domain = null;
+    /** @private @readonly @type {string[]} */
+    _subdomains = null;
+    /** @private @readonly @type {number} */
+    _interval = 5 * 60 * 1000;
+    /** @private @readonly @type {number | null} */
+    _ttl = null;
+    /** @private @readonly @type {{ ipv4: DynamicDNSIPSource | null, ipv6: DynamicDNSIPSource | null }} */
+    _sources = { ipv4: null, ipv6: null };
+    /** @private @type {NodeJS.Timeout | null} */
+    _timer = null;
+    /** @private @type {Promise<DynamicDNSUpdateResult[]> | null} */
+    _pendingCheck = null;
+
+    /**
+     * @param {PorkbunClient} client 
+     * @param {DynamicDNSUpdaterOptions} options 
+     */
+    constructor(client, options) {
+        super();
+        if(!client)
+            throw new TypeError('Missing client parameter!');
+        if(typeof client !== 'object' || typeof client.getDNSRecords !== 'function')
+            throw new TypeError(`Invalid client parameter type! Expected 'PorkbunClient', received '${typeof client}'!`);
+        this._client = client;
+
+        if(options === undefined)
+            throw new TypeError('Missing options parameter!');
+        if(typeof options !== 'object')
+            throw new TypeError(`Invalid options parameter type! Expected 'object', received '${typeof options}'!`);
+
+        if(!options.domain)
+            throw new TypeError('Missing options.domain parameter!');
+        if(typeof options.domain !== 'string')
+            throw new TypeError(`Invalid options.domain parameter type! Expected 'string', received '${typeof options.domain}'!`);
+        this._domain = options.domain;
+
+        if(!options.subdomains)
+            throw new TypeError('Missing options.subdomains parameter!');
+        if(!Array.isArray(options.subdomains))
+            throw new TypeError(`Invalid options.subdomains parameter type! Expected 'array<string>', received '${typeof options.subdomains}'!`);
+        const wrongTypedEntries = options.subdomains.map((subdomain, i) => [subdomain, i]).filter(([subdomain]) => typeof subdomain !== 'string');
+        if(wrongTypedEntries.length)
+            throw new TypeError(`Invalid options.subdomains parameter entries type! Expected 'string', received [${wrongTypedEntries.map(([subdomain, i]) => `${i}: '${typeof subdomain}'`).join(', ')}]!`);
+        this._subdomains = options.subdomains.map((subdomain) => subdomain === '@' ? '' : subdomain);
+
+        if(options.interval !== undefined && options.interval !== null && (typeof options.interval !== 'number' || !Number.isFinite(options.interval) || options.interval <= 0))
+            throw new TypeError(`Invalid options.interval parameter value! Expected a positive number, received '${options.interval}'!`);
+        if(options.interval)
+            this._interval = options.interval;
+
+        if(options.ttl !== undefined && options.ttl !== null && (typeof options.ttl !== 'number' || !Number.isInteger(options.ttl)))
+            throw new TypeError(`Invalid options.ttl parameter value! Expected an integer, received '${options.ttl}'!`);
+        if(options.ttl)
+            this._ttl = options.ttl;
+
+        for (const family of /** @type {const} */ (['ipv4', 'ipv6'])) {
+            const source = options[family] ?? (family === 'ipv4');
+            if(typeof source !== 'boolean' && typeof source !== 'function')
+                throw new TypeError(`Invalid options.${family} parameter type! Expected 'boolean' | 'function', received '${typeof source}'!`);
+            if(typeof source === 'function')
+                this._sources[family] = source;
+            else if(source)
+                this._sources[family] = pingIPSource(client, family);
+        }
+        if(!this._sources.ipv4 && !this._sources.ipv6)
+            throw new TypeError('Invalid options.ipv4 and options.ipv6 parameter values! At least one of them must be enabled!');
+    }
+
+    /** Whether the updater is running on an interval. */
+    get running() {
+        return this._timer !== null;
+    }
+
+    /**
+     * Start checking and updating the records on the set interval, starting with an immediate check. Errors are emitted as "checkError" events.
+     */
+    start() {
+        if(this._timer)
+            return this;
+        const run = () => {
+            this.check().catch((error) => {
+                if(!this.emit('checkError', error))
+                    process.emitWarning(`Dynamic DNS check of '${this._domain}' failed: ${error.message}`, 'DynamicDNSUpdaterWarning');
+            });
+        };
+        this._timer = setInterval(run, this._interval);
+        run();
+        return this;
+    }
+
+    /**
+     * Stop checking on an interval. A check in progress is not interrupted.
+     */
+    stop() {
+        if(this._timer)
+            clearInterval(this._timer);
+        this._timer = null;
+        return this;
+    }
+
+    /**
+     * Detect the current public addresses and create or edit the records that do not point to them. 
+     * If a check is already in progress, its result is returned instead of starting a new one.
+     * 
+     * @returns {Promise<DynamicDNSUpdateResult[]>}
+     */
+    check() {
+        if(!this._pendingCheck)
+            this._pendingCheck = this._check().finally(() => this._pendingCheck = null);
+        return this._pendingCheck;
+    }
+
+    /**
+     * @private
+     * @returns {Promise<DynamicDNSUpdateResult[]>}
+     */
+    async _check() {
+        /** @type {{ type: "A"|"AAAA", address: string }[]} */
+        const addresses = [];
+        for (const [family, type, isFamily] of /** @type {const} */ ([['ipv4', 'A', isIPv4], ['ipv6', 'AAAA', isIPv6]])) {
+            if(!this._sources[family])
+                continue;
+            const address = await this._sources[family]();
+            if(!address)
+                throw new Error(`Could not detect the current public ${family === 'ipv4' ? 'IPv4' : 'IPv6'} address!`);
+            if(!isFamily(address))
+                throw new Error(`Invalid ${family} source result! Expected a valid ${family === 'ipv4' ? 'IPv4' : 'IPv6'} address, received '${address}'!`);
+            addresses.push({ type, address });
+        }
+
+        const { records } = await this._client.getDNSRecords(this._domain);
+
+        /** @type {DynamicDNSUpdateResult[]} */
+        const results = [];
+        for (const subdomain of this._subdomains) {
+            const fqdn = toFQDN(subdomain, this._domain).toLowerCase();
+            for (const { type, address } of addresses) {
+                const previous = records
+                    .filter((record) => record.type === type && record.name.toLowerCase() === fqdn)
+                    .map((record) => record.content);
+
+                /** @type {DynamicDNSUpdateResult} */
+                const result = { subdomain, type, address, previous, action: 'unchanged' };
+                if(!previous.length) {
+                    await this._client.createDNSRecord(this._domain, { name: subdomain, type, content: address, ttl: this._ttl ?? undefined });
+                    result.action = 'created';
+                } else if(previous.some((content) => content !== address)) {
+                    await this._client.editDNSRecords(this._domain, type, subdomain, { content: address, ttl: this._ttl ?? undefined });
+                    result.action = 'edited';
+                }
+                results.push(result);
+                this.emit(result.action === 'unchanged' ? 'unchanged' : 'update', result);
+            }
+        }
+        this.emit('check', results);
+        return results;
+    }
+}
+
+module.exports = { DynamicDNSUpdater, pingIPSource };
@@ -0,0 +1,270 @@
+// porkbun-client
+// Copyright (C) 2025  Oxtaly
+
+// // This program is free software: you can redistribute it and/or modify
+// // it under the terms of the GNU General Public License as published by
+// // the Free Software Foundation, either version 3 of the License, or
+// // (at your option) any later version.
+
+// // This program is distributed in the hope that it will be useful,
+// // but WITHOUT ANY WARRANTY; without even the implied warranty of
+// // MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// // GNU General Public License for more details.
+
+// // You should have received a copy of the GNU General Public License
+// // along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+"use strict";
+
+const crypto = require('node:crypto');
+const { toNumber } = require('./normalize.js');
+const { normalizeHost } = require('./utils.js');
+
+/**
+ * @typedef {import('../index.js').PorkbunClient<boolean>} PorkbunClient
+ * @typedef {import('../types.d.ts').PorkbunRequestOptions}        PorkbunRequestOptions
+ * @typedef {import('../types.d.ts').PorkbunDNSKEY}                PorkbunDNSKEY
+ * @typedef {import('../types.d.ts').PorkbunDSData}                PorkbunDSData
+ * @typedef {import('../types.d.ts').PorkbunDSDigestType}          PorkbunDSDigestType
+ * @typedef {import('../types.d.ts').PorkbunDNSSECAddOptions}      PorkbunDNSSECAddOptions
+ * @typedef {import('../types.d.ts').PorkbunDNSSECVerifyResult}    PorkbunDNSSECVerifyResult
+ */
+
+/** Hash algorithms of the DS digest types, by digest type number (RFC 3658, RFC 4509 and RFC 6605). */
+const DS_DIGEST_ALGORITHMS = { 1: 'sha1', 2: 'sha256', 4: 'sha384' };
+/** Flag of DNSKEY records holding a zone key (RFC 4034 section 2.1.1). */
+const ZONE_KEY_FLAG = 0x0100;
+/** Flag of DNSKEY records holding a key signing key, meant to be referenced by DS records (RFC 4034 section 2.1.1). */
+const SECURE_ENTRY_POINT_FLAG = 0x0001;
+
+/**
+ * Converts a domain name to its canonical wire format (RFC 4034 section 6.2): lowercase length-prefixed labels ending with the root label.
+ * 
+ * @param {string} name 
+ */
+function toWireName(name) {
+    const labels = normalizeHost(name).split('.').filter(Boolean).map((label) => Buffer.from(label, 'ascii'));
+    return Buffer.concat([...labels.flatMap((label) => [Buffer.from([label.length]), label]), Buffer.from([0])]);
+}
+
+/**
+ * Computes the key tag of a DNSKEY record from its RDATA (RFC 4034 appendix B).
+ * 
+ * @param {Buffer} rdata 
+ */
+function getKeyTag(rdata) {
+    // RSA/MD5 keys use the most significant 16 bits of the least significant 24 bits of the modulus (appendix B.1)
+    if(rdata[3] === 1)
+        return rdata.readUInt16BE(rdata.length - 3);
+    let sum = 0;
+    for (let i = 0; i < rdata.length; i++)
+        sum += i & 1 ? rdata[i] : rdata[i] << 8;
+    sum += (sum >> 16) & 0xFFFF;
+    return sum & 0xFFFF;
+}
+
+/**
+ * Parses a DNSKEY record, either as a zone file entry (eg: "example.com. 3600 IN DNSKEY 257 3 13 mdsswUyr3DPW...") 
+ * or its data only (eg: "257 3 13 mdsswUyr3DPW..."). Parentheses and comments of multi-line entries are supported.
+ * 
+ * @param {string} text 
+ * @param {string} [domain] - Domain the key belongs to, the owner name of zone file entries must match it.
+ * @returns {PorkbunDNSKEY}
+ */
+function parseDNSKEY(text, domain) {
+    if(!text)
+        throw new TypeError('Missing dnskey parameter!');
+    if(typeof text !== 'string')
+        throw new TypeError(`Invalid dnskey parameter type! Expected 'string', received '${typeof text}'!`);
+
+    const tokens = text.split('\n').map((line) => line.replace(/;.*$/, '')).join(' ').replace(/[()]/g, ' ').trim().split(/\s+/).filter(Boolean);
+    const typeIndex = tokens.findIndex((token) => token.toUpperCase() === 'DNSKEY');
+    if(typeIndex !== -1 && domain && /^[^\d]/.test(tokens[0]) && !['IN', '@'].includes(tokens[0].toUpperCase()) && normalizeHost(tokens[0]) !== normalizeHost(domain))
+        throw new TypeError(`Invalid dnskey parameter value! Expected a DNSKEY record of '${domain}', received one of '${tokens[0]}'!`);
+
+    const [flags, protocol, algorithm, ...key] = tokens.slice(typeIndex + 1);
+    const publicKey = key.join('');
+    if(!/^\d+$/.test(flags ?? '') || Number(flags) > 0xFFFF)
+        throw new TypeError(`Invalid dnskey parameter value! Expected flags between 0 and 65535, received '${flags}'!`);
+    if(!(Number(flags) & ZONE_KEY_FLAG))
+        throw new TypeError(`Invalid dnskey parameter value! Expected a zone key (flags 256 or 257), received flags '${flags}'!`);
+    if(protocol !== '3')
+        throw new TypeError(`Invalid dnskey parameter value! Expected protocol 3, received '${protocol}'!`);
+    if(!/^\d+$/.test(algorithm ?? '') || Number(algorithm) > 0xFF)
+        throw new TypeError(`Invalid dnskey parameter value! Expected an algorithm between 0 and 255, received '${algorithm}'!`);
+    if(!publicKey || !/^[A-Za-z0-9+/]+={0,2}$/.test(publicKey) || publicKey.length % 4)
+        throw new TypeError(`Invalid dnskey parameter value! Expected a base64 encoded public key, received '${publicKey}'!`);
+
+    const rdata = Buffer.concat([Buffer.from([Number(flags) >> 8, Number(flags) & 0xFF, 3, Number(algorithm)]), Buffer.from(publicKey, 'base64')]);
+    return {
+        flags:     Number(flags),
+        protocol:  3,
+        algorithm: Number(algorithm),
+        publicKey,
+        keyTag:    getKeyTag(rdata),
+        isKSK:     !!(Number(flags) & SECURE_ENTRY_POINT_FLAG)
+    };
+}
+
+/**
+ * Computes the DS data of a DNSKEY record (RFC 4034 section 5.1.4): digest of the owner name in canonical wire format followed by the DNSKEY RDATA.
+ * 
+ * @param {string} domain - Owner name of the DNSKEY record.
+ * @param {string | PorkbunDNSKEY} dnskey - DNSKEY record, see {@link parseDNSKEY}.
+ * @param {PorkbunDSDigestType} [digestType] - Defaults to 2 (SHA-256).
+ * @returns {PorkbunDSData}
+ */
+function computeDS(domain, dnskey, digestType = 2) {
+    if(!DS_DIGEST_ALGORITHMS[digestType])
+        throw new TypeError(`Invalid digestType parameter value! Expected ${Object.keys(DS_DIGEST_ALGORITHMS).join(' | ')}, received '${digestType}'!`);
+    const key = typeof dnskey === 'string' ? parseDNSKEY(dnskey, domain) : dnskey;
+    const rdata = Buffer.concat([Buffer.from([key.flags >> 8, key.flags & 0xFF, key.protocol, key.algorithm]), Buffer.from(key.publicKey, 'base64')]);
+    const digest = crypto.createHash(DS_DIGEST_ALGORITHMS[digestType]).update(Buffer.concat([toWireName(domain), rdata])).digest('hex').toUpperCase();
+    return { keyTag: key.keyTag, alg: key.algorithm, digestType, digest };
+}
+
+/**
+ * @param {any} options 
+ */
+function validateDigestType(options) {
+    if(options !== null && options !== undefined && typeof options !== 'object')
+        throw new TypeError(`Invalid options parameter type! Expected 'object', received '${typeof options}'!`);
+    const digestType = options?.digestType ?? 2;
+    if(digestType !== 2 && digestType !== 4)
+        throw new TypeError(`Invalid options.digestType parameter value! Expected 2 (SHA-256) | 4 (SHA-384), received '${digestType}'!`);
+    return digestType;
+}
+
+/**
+ * DNSSEC helper, deriving DS data from DNSKEY records and checking the DS records at the registry. Available as `client.dnssec`.
+ */
+class DNSSECHelper {
+    /** @private @readonly @type {PorkbunClient} */
+    _client = null;
+
+    /**
+     * @param {PorkbunClient} client 
+     */
+    constructor(client) {
+        this._client = client;
+    }
+
+    /**
+     * Parse a DNSKEY record, computing its key tag.
+     * 
+     * @param {string} dnskey - Zone file entry (eg: "example.com. 3600 IN DNSKEY 257 3 13 mdsswUyr3DPW...") or data only (eg: "257 3 13 mdsswUyr3DPW...").
+     * @param {string} [domain] - Domain the key belongs to, the owner name of zone file entries must match it.
+     * @returns {PorkbunDNSKEY}
+     */
+    parseDNSKEY(dnskey, domain) {
+        return parseDNSKEY(dnskey, domain);
+    }
+
+    /**
+     * Compute the DS data of a DNSKEY record locally.
+     * 
+     * @param {string} domain 
+     * @param {string} dnskey - Zone file entry or data only, see {@link DNSSECHelper.parseDNSKEY}.
+     * @param {Object} [options] 
+     * @param {2 | 4} [options.digestType] - 2 (SHA-256) or 4 (SHA-384), defaults to 2.
+     * @returns {PorkbunDSData}
+     */
+    computeDS(domain, dnskey, options) {
+        this._validateDomain(domain);
+        return computeDS(domain, parseDNSKEY(dnskey, domain), validateDigestType(options));
+    }
+
+    /**
+     * Derive the DS data of a DNSKEY record (key tag, algorithm, digest type and digest) and submit it to the registry with {@link PorkbunClient.createDNSSECRecord}.
+     * 
+     * @example
+     * await client.dnssec.addFromDNSKEY("example.com", "example.com. 3600 IN DNSKEY 257 3 13 mdsswUyr3DPW132mOi8V9xESWE8jTo0dxCjjnopKl+GqJxpVXckHAeF+KkxLbxILfDLUT0rAK9iUzy1L53eKGQ==");
+     * 
+     * @param {string} domain 
+     * @param {string} dnskey - Zone file entry or data only, see {@link DNSSECHelper.parseDNSKEY}.
+     * @param {PorkbunDNSSECAddOptions} [options] 
+     * @returns {Promise<PorkbunDSData>} The submitted DS data.
+     */
+    async addFromDNSKEY(domain, dnskey, options) {
+        this._validateDomain(domain);
+        const key = parseDNSKEY(dnskey, domain);
+        const ds = computeDS(domain, key, validateDigestType(options));
+        if(options?.includeKeyData !== null && options?.includeKeyData !== undefined && typeof options.includeKeyData !== 'boolean')
+            throw new TypeError(`Invalid options.includeKeyData parameter type! Expected 'boolean', received '${typeof options.includeKeyData}'!`);
+
+        await this._client.createDNSSECRecord(domain, {
+            ...ds,
+            ...(options?.includeKeyData ? {
+                keyDataFlags:    `${key.flags}`,
+                keyDataProtocol: `${key.protocol}`,
+                keyDataAlgo:     `${key.algorithm}`,
+                keyDataPubKey:   key.publicKey
+            } : {})
+        }, { signal: options?.signal, timeout: options?.timeout });
+        return ds;
+    }
+
+    /**
+     * Compare the DS records at the registry with the DNSKEY records expected to be referenced. 
+     * Registry records match a key if their key tag, algorithm and digest (of any supported digest type) match its DS data.
+     * Stale records, matching none of the keys, are flagged with sharesKeyTag if one of the keys has the same key tag: as most registries delete all 
+     * records with matching data, deleting them with {@link PorkbunClient.deleteDNSSECRecord} could also delete the valid record.
+     * 
+     * @example
+     * const { valid, missing, stale } = await client.dnssec.verify("example.com", [ksk]);
+     * 
+     * @param {string} domain 
+     * @param {string[]} dnskeys - DNSKEY records expected to be referenced, see {@link DNSSECHelper.parseDNSKEY}. Usually the key signing keys only.
+     * @param {PorkbunRequestOptions} [requestOptions] - Abort signal and timeout of the request.
+     * @returns {Promise<PorkbunDNSSECVerifyResult>}
+     */
+    async verify(domain, dnskeys, requestOptions) {
+        this._validateDomain(domain);
+        if(!dnskeys)
+            throw new TypeError('Missing dnskeys parameter!');
+        if(!Array.isArray(dnskeys))
+            throw new TypeError(`Invalid dnskeys parameter type! Expected 'array<string>', received '${typeof dnskeys}'!`);
+        const keys = dnskeys.map((dnskey) => parseDNSKEY(dnskey, domain));
+
+        const records = Object.values((await this._client.getDNSSECRecords(domain, requestOptions)).records ?? {}).map((record) => ({
+            keyTag:     toNumber(record.keyTag),
+            alg:        toNumber(record.alg),
+            digestType: toNumber(record.digestType),
+            digest:     `${record.digest}`.replace(/\s/g, '').toUpperCase()
+        }));
+
+        /** @type {PorkbunDNSSECVerifyResult} */
+        const result = { domain, valid: false, matched: [], missing: [], stale: [] };
+        /** @type {Set<typeof records[number]>} */
+        const matchedRecords = new Set();
+        for (const key of keys) {
+            const matches = records.filter((record) => record.keyTag === key.keyTag && record.alg === key.algorithm && DS_DIGEST_ALGORITHMS[record.digestType] 
+                && computeDS(domain, key, /** @type {PorkbunDSDigestType} */ (record.digestType)).digest === record.digest);
+            for (const record of matches)
+                matchedRecords.add(record);
+            if(matches.length)
+                result.matched.push({ dnskey: key, records: matches });
+            else
+                result.missing.push({ dnskey: key, ds: computeDS(domain, key) });
+        }
+        for (const record of records) {
+            if(!matchedRecords.has(record))
+                result.stale.push({ ...record, sharesKeyTag: keys.some((key) => key.keyTag === record.keyTag) });
+        }
+        result.valid = !result.missing.length && !result.stale.length;
+        return result;
+    }
+
+    /**
+     * @private
+     * @param {string} domain 
+     */
+    _validateDomain(domain) {
+        if(!domain)
+            throw new TypeError('Missing domain parameter!');
+        if(typeof domain !== 'string')
+            throw new TypeError(`Invalid domain parameter type! Expected 'string', received '${typeof domain}'!`);
+    }
+}
+
+module.exports = { DNSSECHelper, parseDNSKEY, computeDS, getKeyTag, DS_DIGEST_ALGORITHMS };
@@ -0,0 +1,84 @@
+// porkbun-client
+// Copyright (C) 2025  Oxtaly
+
+// // This program is free software: you can redistribute it and/or modify
+// // it under the terms of the GNU General Public License as published by
+// // the Free Software Foundation, either version 3 of the License, or
+// // (at your option) any later version.
+
+// // This program is distributed in the hope that it will be useful,
+// // but WITHOUT ANY WARRANTY; without even the implied warranty of
+// // MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// // GNU General Public License for more details.
+
+// // You should have received a copy of the GNU General Public License
+// // along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+"use strict";
+
+/**
+ * @typedef {import('../types.d.ts').PorkbunAPIResponses} PorkbunAPIResponses
+ */
+
+/** Error thrown when the API does not respond as expected (eg: content-type is not set to application/json). */
+class ResponseError extends Error {
+    /** @type {{ url: string, body: Object }} */
+    context = null;
+    /** @type {Response} */
+    response = null;
+}
+
+/** Error thrown when the API responds with a status of "ERROR". */
+class APIError extends Error {
+    /** @type {{ url: string, body: Object }} */
+    context = null;
+    /** @type {Object} */
+    apiResponse = null;
+}
+
+/** Error thrown when a request does not complete before its timeout (see the timeout client and request options). */
+class TimeoutError extends Error {
+    /** @type {{ url: string, body: Object }} */
+    context = null;
+    /** @type {number} Timeout of the request in milliseconds. */
+    timeout = null;
+}
+
+/** Error thrown (or reported) when a response does not match its expected schema (see the validateResponses client option). */
+class SchemaMismatchError extends Error {
+    /** @type {{ url: string, body: Object }} */
+    context = null;
+    /** @type {Object} */
+    apiResponse = null;
+    /** @type {keyof PorkbunAPIResponses} Name of the response, as in PorkbunAPIResponses. */
+    responseName = null;
+    /** @type {import('../types.d.ts').PorkbunSchemaIssue[]} */
+    issues = null;
+}
+
+/** Error thrown when a transaction's callback fails, after rolling back the changes already applied (see PorkbunClient.transaction). The original error is set as cause. */
+class TransactionError extends Error {
+    /** @type {string} */
+    domain = null;
+    /** @type {import('../types.d.ts').PorkbunTransactionStep[]} Steps of the transaction, with their status after the rollback. */
+    steps = null;
+    /** @type {boolean} Whether every applied step, and every failed step that may still have been applied (eg: timed out), was rolled back. If false, the zone may differ from before the transaction. */
+    rolledBack = null;
+}
+
+/** Error thrown when a DNS record is not served by all of the name servers before the timeout. */
+class PropagationTimeoutError extends Error {
+    /** @type {import('../types.d.ts').PorkbunPropagationReport} */
+    report = null;
+}
+
+/**
+ * Checks if an error is an APIError caused by hitting one of the API's rate limits.
+ * 
+ * @param {any} error 
+ */
+function isRateLimitError(error) {
+    return error instanceof APIError && /rate.?limit|too many/i.test(error.message);
+}
+
+module.exports = { ResponseError, APIError, TimeoutError, SchemaMismatchError, TransactionError, PropagationTimeoutError, isRateLimitError };
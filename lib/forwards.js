@@ -0,0 +1,146 @@
+// porkbun-client
+// Copyright (C) 2025  Oxtaly
+
+// // This program is free software: you can redistribute it and/or modify
+// // it under the terms of the GNU General Public License as published by
+// // the Free Software Foundation, either version 3 of the License, or
+// // (at your option) any later version.
+
+// // This program is distributed in the hope that it will be useful,
+// // but WITHOUT ANY WARRANTY; without even the implied warranty of
+// // MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// // GNU General Public License for more details.
+
+// // You should have received a copy of the GNU General Public License
+// // along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+"use strict";
+
+const { toBoolean } = require('./normalize.js');
+
+/**
+ * @typedef {import('../types.d.ts').PorkbunURLForwardData}      PorkbunURLForwardData
+ * @typedef {import('../types.d.ts').PorkbunURLForward}          PorkbunURLForward
+ * @typedef {import('../types.d.ts').PorkbunURLForwardOperation} PorkbunURLForwardOperation
+ */
+
+/**
+ * Checks that a location is an absolute http(s) URL.
+ * 
+ * @param {string} location 
+ */
+function isAbsoluteURL(location) {
+    try {
+        const url = new URL(location);
+        return (url.protocol === 'http:' || url.protocol === 'https:') && !!url.hostname;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Validates URL forward data, returning the error to reject with if invalid.
+ * 
+ * @param {any} forward 
+ * @param {string} name - Name of the parameter, used in error messages.
+ * @param {boolean} [partial] - Whether all properties are optional (eg: changes of a forward).
+ * @returns {TypeError | null}
+ */
+function getForwardError(forward, name, partial) {
+    if(!forward || typeof forward !== 'object')
+        return new TypeError(`Invalid ${name} parameter type! Expected 'object', received '${typeof forward}'!`);
+    if(forward.subdomain !== null && forward.subdomain !== undefined && typeof forward.subdomain !== 'string')
+        return new TypeError(`Invalid ${name}.subdomain parameter type! Expected 'string', received '${typeof forward.subdomain}'!`);
+    if(!partial && !forward.location)
+        return new TypeError(`Missing ${name}.location parameter!`);
+    if(forward.location !== undefined && typeof forward.location !== 'string')
+        return new TypeError(`Invalid ${name}.location parameter type! Expected 'string', received '${typeof forward.location}'!`);
+    if(forward.location !== undefined && !isAbsoluteURL(forward.location))
+        return new TypeError(`Invalid ${name}.location parameter value! Expected an absolute http(s) URL, received '${forward.location}'!`);
+    if(!partial && !forward.type)
+        return new TypeError(`Missing ${name}.type parameter!`);
+    if(forward.type !== undefined && forward.type !== 'permanent' && forward.type !== 'temporary')
+        return new TypeError(`Invalid ${name}.type parameter value! Expected 'permanent' | 'temporary', received '${forward.type}'!`);
+    for (const key of ['includePath', 'wildcard']) {
+        if(forward[key] !== undefined && forward[key] !== null && typeof forward[key] !== 'boolean')
+            return new TypeError(`Invalid ${name}.${key} parameter type! Expected 'boolean', received '${typeof forward[key]}'!`);
+    }
+    return null;
+}
+
+/**
+ * Converts a forward as returned by the API (raw or normalized) to forward data.
+ * 
+ * @param {any} forward 
+ * @returns {PorkbunURLForward}
+ */
+function toForward(forward) {
+    return {
+        id:          `${forward.id}`,
+        subdomain:   forward.subdomain ?? '',
+        location:    forward.location,
+        type:        forward.type,
+        includePath: toBoolean(forward.includePath),
+        wildcard:    toBoolean(forward.wildcard)
+    };
+}
+
+/**
+ * @param {PorkbunURLForwardData} a 
+ * @param {PorkbunURLForwardData} b 
+ */
+function isSameForward(a, b) {
+    return (a.subdomain ?? '').toLowerCase() === (b.subdomain ?? '').toLowerCase()
+        && a.location === b.location
+        && a.type === b.type
+        && !!a.includePath === !!b.includePath
+        && !!a.wildcard === !!b.wildcard;
+}
+
+/**
+ * Computes the operations needed for the forwards of each subdomain to go from the existing ones to the desired one. 
+ * Subdomains with a matching forward keep it and lose their duplicates, others get the desired forward added before their existing forwards are deleted, 
+ * so that they are redirected at all times. Existing subdomains without a desired forward are deleted if options.unmanaged is set to "delete".
+ * 
+ * @param {PorkbunURLForward[]} existingForwards 
+ * @param {PorkbunURLForwardData[]} desiredForwards - At most one forward per subdomain.
+ * @param {Object} options
+ * @param {"keep"|"delete"} options.unmanaged - What to do with the forwards of subdomains that are not desired.
+ * @returns {{ operations: PorkbunURLForwardOperation[], unchanged: PorkbunURLForward[] }}
+ */
+function planForwardOperations(existingForwards, desiredForwards, options) {
+    /** @type {Map<string, PorkbunURLForward[]>} */
+    const existing = new Map();
+    for (const forward of existingForwards) {
+        const subdomain = forward.subdomain.toLowerCase();
+        existing.set(subdomain, [...(existing.get(subdomain) ?? []), forward]);
+    }
+
+    /** @type {PorkbunURLForwardOperation[]} */
+    const operations = [];
+    /** @type {PorkbunURLForward[]} */
+    const unchanged = [];
+    for (const desired of desiredForwards) {
+        const subdomain = (desired.subdomain ?? '').toLowerCase();
+        const forwards = existing.get(subdomain) ?? [];
+        existing.delete(subdomain);
+        const match = forwards.find((forward) => isSameForward(forward, desired));
+        if(match)
+            unchanged.push(match);
+        else
+            operations.push({ action: 'add', forward: { ...desired, subdomain: desired.subdomain ?? '', includePath: !!desired.includePath, wildcard: !!desired.wildcard }, status: 'planned' });
+        for (const forward of forwards) {
+            if(forward !== match)
+                operations.push({ action: 'delete', id: forward.id, forward, status: 'planned' });
+        }
+    }
+    for (const forwards of existing.values()) {
+        if(options.unmanaged === 'delete')
+            operations.push(...forwards.map((forward) => /** @type {PorkbunURLForwardOperation} */ ({ action: 'delete', id: forward.id, forward, status: 'planned' })));
+        else
+            unchanged.push(...forwards);
+    }
+    return { operations, unchanged };
+}
+
+module.exports = { isAbsoluteURL, getForwardError, toForward, planForwardOperations };
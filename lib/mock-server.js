@@ -0,0 +1,610 @@
+// porkbun-client
+// Copyright (C) 2025  Oxtaly
+
+// // This program is free software: you can redistribute it and/or modify
+// // it under the terms of the GNU General Public License as published by
+// // the Free Software Foundation, either version 3 of the License, or
+// // (at your option) any later version.
+
+// // This program is distributed in the hope that it will be useful,
+// // but WITHOUT ANY WARRANTY; without even the implied warranty of
+// // MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// // GNU General Public License for more details.
+
+// // You should have received a copy of the GNU General Public License
+// // along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+"use strict";
+
+const http = require('node:http');
+const { isIPv4, isIPv6 } = require('node:net');
+
+/**
+ * @typedef {import('../types.d.ts').PorkbunAPIDNSRecord}      PorkbunAPIDNSRecord
+ * @typedef {import('../types.d.ts').PorkbunAPIDNSRecordTypes} PorkbunAPIDNSRecordTypes
+ * @typedef {import('../types.d.ts').PorkbunAPIResponses}      PorkbunAPIResponses
+ * @typedef {import('../types.d.ts').MockPorkbunServerOptions} MockPorkbunServerOptions
+ * @typedef {import('../types.d.ts').MockPorkbunDomainOptions} MockPorkbunDomainOptions
+ * @typedef {import('../types.d.ts').MockPorkbunFault}         MockPorkbunFault
+ */
+
+/**
+ * @typedef {Object} MockDomain
+ * @property {PorkbunAPIResponses['getDomains']['domains'][number]} info
+ * @property {string[]} nameservers
+ * @property {PorkbunAPIDNSRecord[]} records
+ * @property {PorkbunAPIResponses['getURLForwardings']['forwards']} forwards
+ * @property {Map<string, { v4: string[], v6: string[] }>} glue - Glue records by host (subdomain + domain).
+ * @property {Map<string, { keyTag: string, alg: string, digestType: string, digest: string }>} dnssec - DNSSEC records by key tag.
+ * @property {PorkbunAPIResponses['getSSLBundle'] | null} ssl
+ */
+
+/** @type {PorkbunAPIDNSRecordTypes[]} */
+const RECORD_TYPES = ["A", "MX", "CNAME", "ALIAS", "TXT", "NS", "AAAA", "SRV", "TLSA", "CAA", "HTTPS", "SVCB"];
+
+/** Records that use the prio field. */
+const PRIORITY_RECORD_TYPES = ["MX", "SRV"];
+
+const DEFAULT_NAMESERVERS = ["curitiba.ns.porkbun.com", "fortaleza.ns.porkbun.com", "maceio.ns.porkbun.com", "salvador.ns.porkbun.com"];
+
+/** @type {PorkbunAPIResponses['getPricing']['pricing']} */
+const DEFAULT_PRICING = {
+    com: { registration: "11.08", renewal: "11.08", transfer: "11.08", coupons: [] },
+    net: { registration: "12.52", renewal: "12.52", transfer: "12.52", coupons: [] },
+    org: { registration: "7.98",  renewal: "10.74", transfer: "10.74", coupons: [] },
+    dev: { registration: "12.87", renewal: "12.87", transfer: "12.87", coupons: [] },
+    xyz: { registration: "2.04",  renewal: "12.98", transfer: "12.98", coupons: [] }
+};
+
+const HTML_ERROR_PAGE = '<!DOCTYPE html>\n<html><head><title>400 Bad Request</title></head><body><h1>Bad Request</h1></body></html>\n';
+
+/** Error used internally to respond with a status of "ERROR". */
+class MockAPIError extends Error {
+    /** @type {number} */
+    httpStatus = 400;
+
+    /**
+     * @param {string} message 
+     * @param {number} [httpStatus] 
+     */
+    constructor(message, httpStatus) {
+        super(message);
+        if(httpStatus)
+            this.httpStatus = httpStatus;
+    }
+}
+
+/**
+ * @param {Date} date 
+ */
+function formatDate(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * In-process mock of the Porkbun v3 API for offline testing, keeping its state in memory. 
+ * Point a client's endpoint option to {@link MockPorkbunServer.endpoint} once listening.
+ */
+class MockPorkbunServer {
+    /** @private @readonly @type {string} */
+    _apiKey = null;
+    /** @private @readonly @type {string} */
+    _secretKey = null;
+    /** @private @type {http.Server | null} */
+    _server = null;
+    /** @private @type {(MockPorkbunFault & { remaining: number })[]} */
+    _faults = [];
+    /** @private @type {number} */
+    _nextID = 100000000;
+    /** @private @type {{ limit: number, ttl: number, used: number, resetsAt: number }} */
+    _checkDomainLimit = { limit: 1, ttl: 10, used: 0, resetsAt: 0 };
+    /** @private @type {Set<string>} */
+    _unavailableDomains = new Set();
+
+    /** @readonly @type {Map<string, MockDomain>} Domains of the account by name. */
+    domains = new Map();
+    /** @readonly @type {PorkbunAPIResponses['getPricing']['pricing']} */
+    pricing = structuredClone(DEFAULT_PRICING);
+    /** @readonly @type {{ method: string, path: string, body: Object }[]} Requests received, without the api keys. */
+    requests = [];
+    /** @type {string | null} IP address returned by ping. Defaults to the address of the request. */
+    ip = null;
+
+    /**
+     * @param {MockPorkbunServerOptions} [options] 
+     */
+    constructor(options) {
+        if(options !== undefined && options !== null && typeof options !== 'object')
+            throw new TypeError(`Invalid options parameter type! Expected 'object', received '${typeof options}'!`);
+
+        this._apiKey = options?.apiKey ?? 'pk1_mock';
+        this._secretKey = options?.secretKey ?? 'sk1_mock';
+        if(typeof this._apiKey !== 'string')
+            throw new TypeError(`Invalid options.apiKey parameter type! Expected 'string', received '${typeof this._apiKey}'!`);
+        if(typeof this._secretKey !== 'string')
+            throw new TypeError(`Invalid options.secretKey parameter type! Expected 'string', received '${typeof this._secretKey}'!`);
+
+        if(options?.checkDomainLimit) {
+            this._checkDomainLimit.limit = options.checkDomainLimit.limit ?? this._checkDomainLimit.limit;
+            this._checkDomainLimit.ttl = options.checkDomainLimit.ttl ?? this._checkDomainLimit.ttl;
+        }
+        if(options?.pricing)
+            this.pricing = structuredClone(options.pricing);
+        if(options?.ip)
+            this.ip = options.ip;
+        for (const domain of options?.domains ?? [])
+            typeof domain === 'string' ? this.addDomain(domain) : this.addDomain(domain.domain, domain);
+    }
+
+    /** Base API endpoint of the server, to use as the client's endpoint option. Null if the server is not listening. */
+    get endpoint() {
+        const address = this._server?.address();
+        if(!address || typeof address !== 'object')
+            return null;
+        return `http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}/api/json/v3`;
+    }
+
+    /**
+     * Start listening. Resolves to the base API endpoint.
+     * 
+     * @param {number} [port] - Defaults to a random available port.
+     * @param {string} [host] - Defaults to "127.0.0.1".
+     * @returns {Promise<string>}
+     */
+    listen(port, host) {
+        return new Promise((resolve, reject) => {
+            if(this._server)
+                return reject(new Error('Server is already listening!'));
+            this._server = http.createServer((request, response) => this._handle(request, response));
+            this._server.once('error', reject);
+            this._server.listen(port ?? 0, host ?? '127.0.0.1', () => resolve(this.endpoint));
+        });
+    }
+
+    /**
+     * Stop listening and close all connections.
+     * 
+     * @returns {Promise<void>}
+     */
+    close() {
+        return new Promise((resolve, reject) => {
+            if(!this._server)
+                return resolve();
+            const server = this._server;
+            this._server = null;
+            server.close((error) => error ? reject(error) : resolve());
+            server.closeAllConnections();
+        });
+    }
+
+    /**
+     * Add a domain to the account.
+     * 
+     * @param {string} domain 
+     * @param {MockPorkbunDomainOptions} [options] 
+     */
+    addDomain(domain, options) {
+        if(!domain)
+            throw new TypeError('Missing domain parameter!');
+        if(typeof domain !== 'string')
+            throw new TypeError(`Invalid domain parameter type! Expected 'string', received '${typeof domain}'!`);
+
+        const createDate = options?.createDate ?? new Date();
+        const expireDate = options?.expireDate ?? new Date(createDate.getTime() + 365 * 24 * 60 * 60 * 1000);
+        /** @type {MockDomain} */
+        const mockDomain = {
+            info: {
+                domain,
+                status:       'ACTIVE',
+                tld:          domain.slice(domain.indexOf('.') + 1),
+                createDate:   formatDate(createDate),
+                expireDate:   formatDate(expireDate),
+                securityLock: options?.securityLock === false ? '0' : '1',
+                whoisPrivacy: options?.whoisPrivacy === false ? '0' : '1',
+                autoRenew:    options?.autoRenew    === false ? '0' : '1',
+                notLocal:     '0',
+                ...(options?.labels ? { labels: options.labels.map((title, i) => ({ id: /** @type {`${number}`} */ (`${i + 1}`), color: '#000000', title })) } : {})
+            },
+            nameservers: [...(options?.nameservers ?? DEFAULT_NAMESERVERS)],
+            records:     [],
+            forwards:    [],
+            glue:        new Map(),
+            dnssec:      new Map(),
+            ssl:         options?.ssl ?? null
+        };
+        this.domains.set(domain.toLowerCase(), mockDomain);
+        for (const record of options?.records ?? [])
+            this._createRecord(mockDomain, record);
+        return mockDomain;
+    }
+
+    /**
+     * Make domains unavailable when checked with checkDomain. Domains of the account are always unavailable.
+     * 
+     * @param {...string} domains 
+     */
+    setUnavailable(...domains) {
+        for (const domain of domains)
+            this._unavailableDomains.add(domain.toLowerCase());
+    }
+
+    /**
+     * Inject a fault, making the matching requests fail in the given way.
+     * 
+     * @param {MockPorkbunFault} fault 
+     */
+    injectFault(fault) {
+        if(!fault || typeof fault !== 'object')
+            throw new TypeError(`Invalid fault parameter type! Expected 'object', received '${typeof fault}'!`);
+        const types = ['html', 'contentType', 'invalidJSON', 'serverError', 'rateLimit', 'apiError', 'networkError', 'delay'];
+        if(!types.includes(fault.type))
+            throw new TypeError(`Invalid fault.type parameter value! Expected ${types.map((type) => `'${type}'`).join(' | ')}, received '${fault.type}'!`);
+        this._faults.push({ ...fault, remaining: fault.times ?? 1 });
+        return this;
+    }
+
+    /** Remove all injected faults. */
+    clearFaults() {
+        this._faults = [];
+        return this;
+    }
+
+    /**
+     * @private
+     * @param {http.IncomingMessage} request 
+     * @param {http.ServerResponse} response 
+     */
+    _handle(request, response) {
+        let rawBody = '';
+        request.setEncoding('utf8');
+        request.on('data', (chunk) => rawBody += chunk);
+        request.on('end', async () => {
+            const url = new URL(request.url, 'http://localhost');
+            const path = url.pathname.replace(/^\/api\/json\/v3/, '').replace(/\/$/, '');
+
+            /** @type {any} */
+            let body = {};
+            try {
+                body = rawBody ? JSON.parse(rawBody) : {};
+            } catch (error) {
+                return this._send(response, 400, { status: 'ERROR', message: 'Invalid JSON body.' });
+            }
+            const { apikey, secretapikey, ...loggedBody } = body ?? {};
+            this.requests.push({ method: request.method, path, body: loggedBody });
+
+            const fault = this._faults.find((fault) => fault.remaining > 0 && (
+                fault.path === undefined ||
+                (typeof fault.path === 'string' ? path.startsWith(fault.path) : fault.path.test(path))
+            ));
+            if(fault) {
+                fault.remaining--;
+                if(fault.type === 'delay')
+                    await new Promise((resolve) => setTimeout(resolve, fault.delay ?? 1000));
+                else
+                    return this._sendFault(request, response, fault);
+            }
+
+            try {
+                const data = this._route(request, path, body);
+                this._send(response, 200, { status: 'SUCCESS', ...data });
+            } catch (error) {
+                if(!(error instanceof MockAPIError))
+                    return this._send(response, 500, { status: 'ERROR', message: `Mock server error: ${error.message}` });
+                this._send(response, error.httpStatus, { status: 'ERROR', message: error.message });
+            }
+        });
+    }
+
+    /**
+     * @private
+     * @param {http.ServerResponse} response 
+     * @param {number} httpStatus 
+     * @param {Object} data 
+     * @param {string} [contentType] 
+     */
+    _send(response, httpStatus, data, contentType) {
+        response.writeHead(httpStatus, { 'content-type': contentType ?? 'application/json' });
+        response.end(typeof data === 'string' ? data : JSON.stringify(data));
+    }
+
+    /**
+     * @private
+     * @param {http.IncomingMessage} request 
+     * @param {http.ServerResponse} response 
+     * @param {MockPorkbunFault} fault 
+     */
+    _sendFault(request, response, fault) {
+        switch (fault.type) {
+            case 'html':
+                return this._send(response, fault.status ?? 400, HTML_ERROR_PAGE, 'text/html');
+            case 'serverError':
+                return this._send(response, fault.status ?? 502, HTML_ERROR_PAGE.replace(/400 Bad Request|Bad Request/g, 'Bad Gateway'), 'text/html');
+            case 'contentType':
+                return this._send(response, fault.status ?? 200, { status: 'SUCCESS' }, fault.contentType ?? 'text/plain');
+            case 'invalidJSON':
+                return this._send(response, fault.status ?? 200, '{"status":"SUCC', 'application/json');
+            case 'rateLimit':
+                return this._send(response, fault.status ?? 503, { status: 'ERROR', message: fault.message ?? 'You have exceeded the rate limit, please try again later.' });
+            case 'apiError':
+                return this._send(response, fault.status ?? 400, { status: 'ERROR', message: fault.message ?? 'Mock API error.' });
+            case 'networkError':
+                request.socket.destroy();
+                return;
+        }
+    }
+
+    /**
+     * @private
+     * @param {http.IncomingMessage} request 
+     * @param {string} path 
+     * @param {any} body 
+     * @returns {Object}
+     */
+    _route(request, path, body) {
+        const [, group, action, ...params] = path.split('/').map(decodeURIComponent);
+
+        if(group === 'pricing' && action === 'get')
+            return { pricing: this.pricing };
+
+        if(request.method !== 'POST')
+            throw new MockAPIError('Invalid request method.', 405);
+        if(body?.apikey !== this._apiKey || body?.secretapikey !== this._secretKey)
+            throw new MockAPIError('Invalid API key. (002)');
+
+        if(group === 'ping' && !action)
+            return { yourIp: this.ip ?? request.socket.remoteAddress?.replace(/^::ffff:/, '') };
+
+        if(group === 'domain' && action === 'listAll') {
+            const start = parseInt(body.start ?? '0') || 0;
+            const domains = [...this.domains.values()]
+                .slice(start, start + 1000)
+                .map(({ info }) => {
+                    const { labels, ...domain } = info;
+                    return body.includeLabels === 'yes' && labels ? { ...domain, labels } : domain;
+                });
+            return { domains };
+        }
+
+        if(group === 'domain' && action === 'checkDomain')
+            return this._checkDomain(params[0]);
+
+        const domain = this._getDomain(params[0]);
+        switch (`${group}/${action}`) {
+            case 'domain/getNs':
+                return { ns: domain.nameservers };
+            case 'domain/updateNs':
+                if(!Array.isArray(body.ns) || !body.ns.length)
+                    throw new MockAPIError('Name servers are required.');
+                domain.nameservers = body.ns.map((ns) => `${ns}`);
+                return {};
+
+            case 'domain/getUrlForwarding':
+                return { forwards: domain.forwards };
+            case 'domain/addUrlForward': {
+                if(!body.location)
+                    throw new MockAPIError('A location is required.');
+                if(body.type !== 'temporary' && body.type !== 'permanent')
+                    throw new MockAPIError('Invalid forward type.');
+                domain.forwards.push({
+                    id:          /** @type {`${number}`} */ (`${this._nextID++}`),
+                    subdomain:   body.subdomain ?? '',
+                    location:    body.location,
+                    type:        body.type,
+                    includePath: body.includePath === 'yes' ? 'yes' : 'no',
+                    wildcard:    body.wildcard === 'yes' ? 'yes' : 'no'
+                });
+                return {};
+            }
+            case 'domain/deleteUrlForward': {
+                const index = domain.forwards.findIndex((forward) => forward.id === params[1]);
+                if(index === -1)
+                    throw new MockAPIError('Invalid forward ID.');
+                domain.forwards.splice(index, 1);
+                return {};
+            }
+
+            case 'domain/getGlue': {
+                const hosts = [...domain.glue.entries()].map(([host, ips]) => [host, { v6: [...ips.v6], v4: [...ips.v4] }]);
+                return { hosts: hosts.length ? hosts : null };
+            }
+            case 'domain/createGlue':
+            case 'domain/updateGlue': {
+                const host = `${params[1]}.${domain.info.domain}`.toLowerCase();
+                if(!params[1])
+                    throw new MockAPIError('A subdomain is required.');
+                if(action === 'createGlue' && domain.glue.has(host))
+                    throw new MockAPIError('Glue record already exists.');
+                if(action === 'updateGlue' && !domain.glue.has(host))
+                    throw new MockAPIError('Glue record does not exist.');
+                if(!Array.isArray(body.ips) || !body.ips.length)
+                    throw new MockAPIError('IP addresses are required.');
+                const invalid = body.ips.find((ip) => !isIPv4(ip) && !isIPv6(ip));
+                if(invalid !== undefined)
+                    throw new MockAPIError(`Invalid IP address: ${invalid}`);
+                domain.glue.set(host, { v4: body.ips.filter((ip) => isIPv4(ip)), v6: body.ips.filter((ip) => isIPv6(ip)) });
+                return {};
+            }
+            case 'domain/deleteGlue': {
+                const host = `${params[1]}.${domain.info.domain}`.toLowerCase();
+                if(!domain.glue.delete(host))
+                    throw new MockAPIError('Glue record does not exist.');
+                return {};
+            }
+
+            case 'dns/retrieve': {
+                if(params[1] === undefined)
+                    return { cloudflare: 'enabled', records: domain.records };
+                return { cloudflare: 'enabled', records: domain.records.filter((record) => record.id === params[1]) };
+            }
+            case 'dns/retrieveByNameType':
+                return { cloudflare: 'enabled', records: this._findRecords(domain, params[1], params[2]) };
+            case 'dns/create':
+                return { id: this._createRecord(domain, body).id };
+            case 'dns/edit': {
+                const record = domain.records.find((record) => record.id === params[1]);
+                if(!record)
+                    throw new MockAPIError('Invalid record ID.');
+                if(body.name === undefined)
+                    throw new MockAPIError('Edit error: We were unable to edit the DNS record.');
+                const edited = this._validateRecord(domain, {
+                    name:    body.name,
+                    type:    body.type ?? record.type,
+                    content: body.content ?? record.content,
+                    ttl:     body.ttl ?? record.ttl,
+                    prio:    body.prio ?? record.prio
+                });
+                Object.assign(record, edited);
+                return {};
+            }
+            case 'dns/editByNameType': {
+                for (const record of this._findRecords(domain, params[1], params[2])) {
+                    if(body.content !== undefined)
+                        record.content = `${body.content}`;
+                    if(body.ttl !== undefined)
+                        record.ttl = `${Math.max(600, parseInt(body.ttl) || 600)}`;
+                    if(body.prio !== undefined)
+                        record.prio = `${parseInt(body.prio) || 0}`;
+                }
+                return {};
+            }
+            case 'dns/delete': {
+                const index = domain.records.findIndex((record) => record.id === params[1]);
+                if(index === -1)
+                    throw new MockAPIError('Invalid record ID.');
+                domain.records.splice(index, 1);
+                return {};
+            }
+            case 'dns/deleteByNameType': {
+                const matching = new Set(this._findRecords(domain, params[1], params[2]));
+                domain.records = domain.records.filter((record) => !matching.has(record));
+                return {};
+            }
+
+            case 'dns/getDnssecRecords':
+                return { records: Object.fromEntries(domain.dnssec) };
+            case 'dns/createDnssecRecord': {
+                for (const key of ['keyTag', 'alg', 'digestType', 'digest']) {
+                    if(body[key] === undefined || body[key] === '')
+                        throw new MockAPIError(`Missing ${key}.`);
+                }
+                domain.dnssec.set(`${body.keyTag}`, { keyTag: `${body.keyTag}`, alg: `${body.alg}`, digestType: `${body.digestType}`, digest: `${body.digest}` });
+                return {};
+            }
+            case 'dns/deleteDnssecRecord':
+                if(!domain.dnssec.delete(params[1]))
+                    throw new MockAPIError('DNSSEC record does not exist.');
+                return {};
+
+            case 'ssl/retrieve':
+                if(!domain.ssl)
+                    throw new MockAPIError('The SSL certificate is not ready for this domain.');
+                return domain.ssl;
+        }
+        throw new MockAPIError('Invalid API endpoint.', 404);
+    }
+
+    /**
+     * @private
+     * @param {string} name 
+     * @returns {MockDomain}
+     */
+    _getDomain(name) {
+        const domain = this.domains.get(`${name}`.toLowerCase());
+        if(!domain)
+            throw new MockAPIError('Invalid domain.');
+        return domain;
+    }
+
+    /**
+     * @private
+     * @param {MockDomain} domain 
+     * @param {string} type 
+     * @param {string} [subdomain] 
+     */
+    _findRecords(domain, type, subdomain) {
+        const fqdn = (subdomain ? `${subdomain}.${domain.info.domain}` : domain.info.domain).toLowerCase();
+        return domain.records.filter((record) => record.type === type && record.name.toLowerCase() === fqdn);
+    }
+
+    /**
+     * @private
+     * @param {MockDomain} domain 
+     * @param {any} data 
+     * @returns {Omit<PorkbunAPIDNSRecord, 'id' | 'notes'>}
+     */
+    _validateRecord(domain, data) {
+        if(!RECORD_TYPES.includes(data.type))
+            throw new MockAPIError('Invalid type.');
+        if(!data.content)
+            throw new MockAPIError('Content is required.');
+        const name = data.name ? `${data.name}.${domain.info.domain}` : domain.info.domain;
+        const ttl = data.ttl === undefined || data.ttl === null ? 600 : Math.max(600, parseInt(data.ttl) || 600);
+        return {
+            name,
+            type:    data.type,
+            content: `${data.content}`,
+            ttl:     /** @type {`${number}`} */ (`${ttl}`),
+            prio:    data.prio !== undefined && data.prio !== null ? `${parseInt(data.prio) || 0}` : (PRIORITY_RECORD_TYPES.includes(data.type) ? '0' : null)
+        };
+    }
+
+    /**
+     * @private
+     * @param {MockDomain} domain 
+     * @param {any} data 
+     */
+    _createRecord(domain, data) {
+        const record = this._validateRecord(domain, { ...data, prio: data.prio ?? data.priority });
+        const conflicting = domain.records.find((existing) => existing.name.toLowerCase() === record.name.toLowerCase() && (existing.type === 'CNAME' || record.type === 'CNAME'));
+        if(conflicting)
+            throw new MockAPIError('Create error: A CNAME record can not coexist with other records of the same name.');
+        /** @type {PorkbunAPIDNSRecord} */
+        const created = { id: `${this._nextID++}`, ...record, notes: data.notes ?? '' };
+        domain.records.push(created);
+        return created;
+    }
+
+    /**
+     * @private
+     * @param {string} name 
+     */
+    _checkDomain(name) {
+        const now = Date.now();
+        const limit = this._checkDomainLimit;
+        if(now >= limit.resetsAt) {
+            limit.used = 0;
+            limit.resetsAt = now + limit.ttl * 1000;
+        }
+        if(limit.used >= limit.limit)
+            throw new MockAPIError(`You have exceeded your domain check rate limit of ${limit.limit} checks within ${limit.ttl} seconds.`, 503);
+        limit.used++;
+
+        const tld = `${name}`.slice(`${name}`.indexOf('.') + 1).toLowerCase();
+        const pricing = this.pricing[tld];
+        if(!pricing)
+            throw new MockAPIError('Unsupported TLD.');
+        const avail = !this.domains.has(`${name}`.toLowerCase()) && !this._unavailableDomains.has(`${name}`.toLowerCase());
+        return {
+            response: {
+                avail:          avail ? 'yes' : 'no',
+                type:           'registration',
+                price:          pricing.registration,
+                firstYearPromo: 'no',
+                regularPrice:   pricing.registration,
+                premium:        'no',
+                additional: {
+                    renewal:  { type: 'renewal',  price: pricing.renewal,  regularPrice: pricing.renewal },
+                    transfer: { type: 'transfer', price: pricing.transfer, regularPrice: pricing.transfer }
+                }
+            },
+            limits: {
+                TTL:             `${limit.ttl}`,
+                limit:           `${limit.limit}`,
+                used:            limit.used,
+                naturalLanguage: `${limit.used} out of ${limit.limit} checks within ${limit.ttl} seconds used.`
+            }
+        };
+    }
+}
+
+module.exports = { MockPorkbunServer };
@@ -0,0 +1,141 @@
+// porkbun-client
+// Copyright (C) 2025  Oxtaly
+
+// // This program is free software: you can redistribute it and/or modify
+// // it under the terms of the GNU General Public License as published by
+// // the Free Software Foundation, either version 3 of the License, or
+// // (at your option) any later version.
+
+// // This program is distributed in the hope that it will be useful,
+// // but WITHOUT ANY WARRANTY; without even the implied warranty of
+// // MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// // GNU General Public License for more details.
+
+// // You should have received a copy of the GNU General Public License
+// // along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+"use strict";
+
+/**
+ * @typedef {import('../types.d.ts').PorkbunAPIResponses}        PorkbunAPIResponses
+ * @typedef {import('../types.d.ts').PorkbunNormalizedResponses} PorkbunNormalizedResponses
+ * @typedef {import('../types.d.ts').PorkbunAPIDNSRecord}        PorkbunAPIDNSRecord
+ */
+
+/**
+ * Parses a date returned by the API (eg: "2025-08-20 23:59:59"), which are in UTC. Dates that were already parsed are returned as is.
+ * 
+ * @param {string | Date} date 
+ */
+function parseAPIDate(date) {
+    if(date instanceof Date)
+        return date;
+    return new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(date) ? `${date.replace(' ', 'T')}Z` : date);
+}
+
+/**
+ * Converts "1"/"0", "yes"/"no" and boolean values to booleans.
+ * 
+ * @param {any} value 
+ */
+function toBoolean(value) {
+    return value === true || value === 1 || value === '1' || (typeof value === 'string' && value.toLowerCase() === 'yes');
+}
+
+/**
+ * Converts numeric strings to numbers, keeping null and missing values as null.
+ * 
+ * @param {any} value 
+ * @returns {number | null}
+ */
+function toNumber(value) {
+    if(value === null || value === undefined || value === '')
+        return null;
+    const number = Number(value);
+    return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * @param {PorkbunAPIDNSRecord} record 
+ * @returns {import('../types.d.ts').PorkbunNormalizedDNSRecord}
+ */
+function normalizeDNSRecord(record) {
+    return { ...record, ttl: toNumber(record.ttl), prio: toNumber(record.prio), notes: record.notes || null };
+}
+
+/**
+ * Converts raw API responses (numeric strings, "1"/"0" and "yes"/"no" flags, date strings, objects keyed by index) to their normalized form, 
+ * by response name. Responses without an entry are the same in both forms.
+ * 
+ * @type {{ [K in keyof PorkbunNormalizedResponses]?: (response: PorkbunAPIResponses[K]) => PorkbunNormalizedResponses[K] }}
+ */
+const NORMALIZERS = {
+    getPricing: (response) => ({
+        ...response,
+        pricing: Object.fromEntries(Object.entries(response.pricing).map(([tld, pricing]) => [tld, {
+            ...pricing,
+            registration: toNumber(pricing.registration),
+            renewal:      toNumber(pricing.renewal),
+            transfer:     toNumber(pricing.transfer),
+            coupons:      Array.isArray(pricing.coupons) ? {} : Object.fromEntries(Object.entries(pricing.coupons ?? {}).map(([type, coupon]) => [type, {
+                ...coupon,
+                max_per_user:    toNumber(coupon.max_per_user),
+                first_year_only: toBoolean(coupon.first_year_only),
+                amount:          toNumber(coupon.amount)
+            }]))
+        }]))
+    }),
+    getDomains: (response) => ({
+        ...response,
+        domains: response.domains.map((domain) => ({
+            ...domain,
+            createDate:   parseAPIDate(domain.createDate),
+            expireDate:   parseAPIDate(domain.expireDate),
+            securityLock: toBoolean(domain.securityLock),
+            whoisPrivacy: toBoolean(domain.whoisPrivacy),
+            autoRenew:    toBoolean(domain.autoRenew),
+            notLocal:     toBoolean(domain.notLocal),
+            ...(domain.labels && { labels: domain.labels.map((label) => ({ ...label, id: toNumber(label.id) })) })
+        }))
+    }),
+    getURLForwardings: (response) => ({
+        ...response,
+        forwards: response.forwards.map((forward) => ({ ...forward, includePath: toBoolean(forward.includePath), wildcard: toBoolean(forward.wildcard) }))
+    }),
+    checkDomainAvailability: (response) => ({
+        ...response,
+        response: {
+            ...response.response,
+            avail:          toBoolean(response.response.avail),
+            price:          toNumber(response.response.price),
+            firstYearPromo: toBoolean(response.response.firstYearPromo),
+            regularPrice:   toNumber(response.response.regularPrice),
+            premium:        toBoolean(response.response.premium),
+            additional:     /** @type {PorkbunNormalizedResponses['checkDomainAvailability']['response']['additional']} */ (Object.fromEntries(Object.entries(response.response.additional ?? {}).map(([type, price]) => [type, {
+                ...price,
+                price:        toNumber(price.price),
+                regularPrice: toNumber(price.regularPrice)
+            }])))
+        },
+        limits: response.limits && {
+            ...response.limits,
+            TTL:   toNumber(response.limits.TTL),
+            limit: toNumber(response.limits.limit),
+            used:  toNumber(response.limits.used)
+        }
+    }),
+    getGlueRecords: (response) => ({ ...response, hosts: response.hosts ?? [] }),
+    getDNSRecords: (response) => ({ ...response, records: response.records.map(normalizeDNSRecord) }),
+    getDNSRecord: (response) => ({ ...response, records: /** @type {[import('../types.d.ts').PorkbunNormalizedDNSRecord]} */ (response.records.map(normalizeDNSRecord)) }),
+    getDNSSECRecords: (response) => ({
+        ...response,
+        records: Object.values(response.records ?? {}).map((record) => ({
+            ...record,
+            keyTag:     toNumber(record.keyTag),
+            alg:        toNumber(record.alg),
+            digestType: toNumber(record.digestType)
+        }))
+    })
+};
+
+module.exports = { NORMALIZERS, parseAPIDate, toBoolean, toNumber };
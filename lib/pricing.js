@@ -0,0 +1,334 @@
+// porkbun-client
+// Copyright (C) 2025  Oxtaly
+
+// // This program is free software: you can redistribute it and/or modify
+// // it under the terms of the GNU General Public License as published by
+// // the Free Software Foundation, either version 3 of the License, or
+// // (at your option) any later version.
+
+// // This program is distributed in the hope that it will be useful,
+// // but WITHOUT ANY WARRANTY; without even the implied warranty of
+// // MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// // GNU General Public License for more details.
+
+// // You should have received a copy of the GNU General Public License
+// // along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+"use strict";
+
+const { toBoolean, toNumber } = require('./normalize.js');
+
+/**
+ * @typedef {import('../index.js').PorkbunClient<boolean>} PorkbunClient
+ * @typedef {import('../types.d.ts').PorkbunRequestOptions}    PorkbunRequestOptions
+ * @typedef {import('../types.d.ts').PorkbunTLDPricing}        PorkbunTLDPricing
+ * @typedef {import('../types.d.ts').PorkbunPriceType}         PorkbunPriceType
+ * @typedef {import('../types.d.ts').PorkbunPricingFilter}     PorkbunPricingFilter
+ * @typedef {import('../types.d.ts').PorkbunPricingEstimate}   PorkbunPricingEstimate
+ * @typedef {import('../types.d.ts').PorkbunPricingCSVOptions} PorkbunPricingCSVOptions
+ */
+
+/** @type {PorkbunPriceType[]} */
+const PRICE_TYPES = ['registration', 'renewal', 'transfer'];
+
+/**
+ * @param {string} tld 
+ */
+function normalizeTLD(tld) {
+    return tld.trim().toLowerCase().replace(/^\./, '');
+}
+
+/**
+ * Rounds an amount to cents, avoiding floating point leftovers (eg: 11.08 * 3 = 33.239999999999995).
+ * 
+ * @param {number} amount 
+ */
+function roundPrice(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * @param {string} tld 
+ * @param {Object} pricing - Raw or normalized pricing of the TLD.
+ * @returns {PorkbunTLDPricing}
+ */
+function toTLDPricing(tld, pricing) {
+    const coupon = pricing.coupons?.registration;
+    return {
+        tld,
+        registration: toNumber(pricing.registration),
+        renewal:      toNumber(pricing.renewal),
+        transfer:     toNumber(pricing.transfer),
+        coupon:       coupon ? {
+            code:          coupon.code,
+            amount:        toNumber(coupon.amount) ?? 0,
+            firstYearOnly: toBoolean(coupon.first_year_only),
+            maxPerUser:    toNumber(coupon.max_per_user)
+        } : null,
+        specialType:  pricing.specialType ?? null
+    };
+}
+
+/**
+ * @param {any} value 
+ */
+function toCSVField(value) {
+    const field = value === null || value === undefined ? '' : `${value}`;
+    return /[",\r\n]/.test(field) ? `"${field.replaceAll('"', '""')}"` : field;
+}
+
+/**
+ * Cached view of the default TLD pricing (see getPricing), with lookups, sorting, filtering, cost estimates and CSV export.
+ * The pricing is fetched on first use and refetched once older than the cache TTL (1 hour by default).
+ * 
+ * @example
+ * const catalog = new PricingCatalog(client, { ttl: 24 * 60 * 60 * 1000 });
+ * const cheapest = await catalog.list({ sortBy: "renewal", maxPrice: { renewal: 10 } });
+ * const { total } = await catalog.estimate("com", 5);
+ */
+class PricingCatalog {
+    /** @private @readonly @type {PorkbunClient} */
+    _client = null;
+    /** @private @readonly @type {number} Cache TTL in milliseconds. */
+    _ttl = 60 * 60 * 1000;
+    /** @private @type {Map<string, PorkbunTLDPricing> | null} */
+    _entries = null;
+    /** @private @type {number | null} */
+    _fetchedAt = null;
+    /** @private @type {Promise<Map<string, PorkbunTLDPricing>> | null} Pending fetch, shared by concurrent calls. */
+    _loading = null;
+
+    /**
+     * @param {PorkbunClient} client 
+     * @param {{ ttl?: number }} [options] - Cache TTL in milliseconds, 0 fetching the pricing on every call.
+     */
+    constructor(client, options) {
+        if(client === undefined)
+            throw new TypeError('Missing client parameter!');
+        if(!client || typeof client.getPricing !== 'function')
+            throw new TypeError(`Invalid client parameter type! Expected 'PorkbunClient', received '${typeof client}'!`);
+        this._client = client;
+
+        if(options !== undefined && options !== null && typeof options !== 'object')
+            throw new TypeError(`Invalid options parameter type! Expected 'object', received '${typeof options}'!`);
+        if(options?.ttl !== undefined && options?.ttl !== null && (typeof options.ttl !== 'number' || Number.isNaN(options.ttl) || options.ttl < 0))
+            throw new TypeError(`Invalid options.ttl parameter value! Expected a positive number, received '${options.ttl}'!`);
+        if(typeof options?.ttl === 'number')
+            this._ttl = options.ttl;
+    }
+
+    /** Timestamp at which the cached pricing was fetched, null if not fetched yet. */
+    get fetchedAt() {
+        return this._fetchedAt;
+    }
+
+    /**
+     * Fetch the pricing if it was not fetched yet, or if the cached pricing expired.
+     * 
+     * @param {PorkbunRequestOptions & { force?: boolean }} [options] - Set force to refetch regardless of the cache.
+     * @returns {Promise<PorkbunTLDPricing[]>}
+     */
+    async load(options) {
+        return [...(await this._load(options)).values()];
+    }
+
+    /**
+     * Clear the cached pricing, the next call fetching it again.
+     */
+    clear() {
+        this._entries = null;
+        this._fetchedAt = null;
+    }
+
+    /**
+     * Get the pricing of a TLD (eg: "com" or ".com"), null if the TLD is not supported.
+     * 
+     * @param {string} tld 
+     * @param {PorkbunRequestOptions} [requestOptions] 
+     * @returns {Promise<PorkbunTLDPricing | null>}
+     */
+    async get(tld, requestOptions) {
+        if(tld === undefined)
+            throw new TypeError('Missing tld parameter!');
+        if(typeof tld !== 'string')
+            throw new TypeError(`Invalid tld parameter type! Expected 'string', received '${typeof tld}'!`);
+        return (await this._load(requestOptions)).get(normalizeTLD(tld)) ?? null;
+    }
+
+    /**
+     * List the pricing of the TLDs, sorted by TLD unless sortBy is set. Handshake TLDs (specialType) are excluded unless includeSpecial is set.
+     * 
+     * @example
+     * // TLDs renewing for less than $15, cheapest registration first
+     * await catalog.list({ sortBy: "registration", maxPrice: { renewal: 15 } });
+     * 
+     * @param {PorkbunPricingFilter} [filter] 
+     * @returns {Promise<PorkbunTLDPricing[]>}
+     */
+    async list(filter) {
+        this._validateFilter(filter);
+        const entries = await this._load(filter);
+        const tlds = filter?.tlds ? new Set(filter.tlds.map(normalizeTLD)) : null;
+        const results = [...entries.values()].filter((entry) => {
+            if(entry.specialType && !filter?.includeSpecial)
+                return false;
+            if(tlds && !tlds.has(entry.tld))
+                return false;
+            if(filter?.hasCoupon !== undefined && filter.hasCoupon !== !!entry.coupon)
+                return false;
+            return PRICE_TYPES.every((type) => {
+                const bounded = filter?.minPrice?.[type] !== undefined || filter?.maxPrice?.[type] !== undefined;
+                // A TLD without a price of this type can not match a price bound
+                if(bounded && entry[type] === null)
+                    return false;
+                return (filter?.minPrice?.[type] === undefined || entry[type] >= filter.minPrice[type])
+                    && (filter?.maxPrice?.[type] === undefined || entry[type] <= filter.maxPrice[type]);
+            });
+        });
+
+        const sortBy = filter?.sortBy ?? 'tld';
+        const direction = filter?.order === 'desc' ? -1 : 1;
+        return results.sort((a, b) => {
+            if(sortBy === 'tld' || a[sortBy] === b[sortBy])
+                return a.tld.localeCompare(b.tld) * (sortBy === 'tld' ? direction : 1);
+            return (a[sortBy] - b[sortBy]) * direction;
+        });
+    }
+
+    /**
+     * Estimate the total cost of registering (or transferring, or renewing) a domain for a number of years.
+     * Registrations and transfers include the first year, following years being billed at the renewal price. 
+     * The registration coupon is applied to the first year if it is first year only, to every year of a registration otherwise.
+     * 
+     * @example
+     * // Yearly renewal forecast of the account's domains
+     * const { domains } = await client.getDomains();
+     * const estimates = await Promise.all(domains.map((domain) => catalog.estimate(domain.tld, 1, { action: "renewal" })));
+     * const total = estimates.reduce((sum, estimate) => sum + estimate.total, 0);
+     * 
+     * @param {string} tld 
+     * @param {number} [years] - Defaults to 1.
+     * @param {PorkbunRequestOptions & { action?: PorkbunPriceType, applyCoupon?: boolean }} [options] - Action defaults to "registration", applyCoupon to true.
+     * @returns {Promise<PorkbunPricingEstimate>}
+     */
+    async estimate(tld, years = 1, options) {
+        if(!Number.isInteger(years) || years < 1)
+            throw new TypeError(`Invalid years parameter value! Expected a positive integer, received '${years}'!`);
+        if(options !== undefined && options !== null && typeof options !== 'object')
+            throw new TypeError(`Invalid options parameter type! Expected 'object', received '${typeof options}'!`);
+        const action = options?.action ?? 'registration';
+        if(!PRICE_TYPES.includes(action))
+            throw new TypeError(`Invalid options.action parameter value! Expected '${PRICE_TYPES.join("' | '")}', received '${action}'!`);
+
+        const pricing = await this.get(tld, options);
+        if(!pricing)
+            throw new Error(`Unsupported TLD '${normalizeTLD(tld)}'!`);
+        return this._estimate(pricing, years, action, options?.applyCoupon ?? true);
+    }
+
+    /**
+     * Export the pricing as CSV, one line per TLD, with the same filtering and sorting options as list().
+     * Columns: tld, registration, renewal, transfer, coupon_code, coupon_amount, coupon_first_year_only, special_type, 
+     * followed by the estimated registration, renewal and transfer totals if options.years is set (eg: registration_3y).
+     * 
+     * @param {PorkbunPricingCSVOptions} [options] 
+     * @returns {Promise<string>}
+     */
+    async toCSV(options) {
+        if(options?.years !== undefined && (!Number.isInteger(options.years) || options.years < 1))
+            throw new TypeError(`Invalid options.years parameter value! Expected a positive integer, received '${options.years}'!`);
+        const entries = await this.list(options);
+        const header = ['tld', ...PRICE_TYPES, 'coupon_code', 'coupon_amount', 'coupon_first_year_only', 'special_type'];
+        if(options?.years)
+            header.push(...PRICE_TYPES.map((type) => `${type}_${options.years}y`));
+
+        const lines = entries.map((entry) => {
+            const fields = [
+                entry.tld,
+                ...PRICE_TYPES.map((type) => entry[type]?.toFixed(2)),
+                entry.coupon?.code,
+                entry.coupon?.amount.toFixed(2),
+                entry.coupon ? (entry.coupon.firstYearOnly ? 'yes' : 'no') : null,
+                entry.specialType
+            ];
+            if(options?.years)
+                fields.push(...PRICE_TYPES.map((type) => this._estimate(entry, options.years, type, options.applyCoupon ?? true).total.toFixed(2)));
+            return fields.map(toCSVField).join(',');
+        });
+        return [header.join(','), ...lines].join('\n') + '\n';
+    }
+
+    /**
+     * @private
+     * @param {PorkbunTLDPricing} pricing 
+     * @param {number} years 
+     * @param {PorkbunPriceType} action 
+     * @param {boolean} applyCoupon 
+     * @returns {PorkbunPricingEstimate}
+     */
+    _estimate(pricing, years, action, applyCoupon) {
+        const coupon = applyCoupon && action === 'registration' ? pricing.coupon : null;
+        const yearly = Array.from({ length: years }, (_, i) => {
+            const price = i === 0 ? pricing[action] : pricing.renewal;
+            const discount = coupon && (i === 0 || !coupon.firstYearOnly) ? Math.min(coupon.amount, price) : 0;
+            return roundPrice(price - discount);
+        });
+        return {
+            tld: pricing.tld,
+            action,
+            years,
+            total: roundPrice(yearly.reduce((total, price) => total + price, 0)),
+            yearly,
+            coupon: coupon?.code ?? null
+        };
+    }
+
+    /**
+     * @private
+     * @param {PorkbunRequestOptions & { force?: boolean }} [options] 
+     */
+    async _load(options) {
+        const expired = this._fetchedAt === null || Date.now() - this._fetchedAt >= this._ttl;
+        if(this._entries && !expired && !options?.force)
+            return this._entries;
+        if(!this._loading) {
+            this._loading = this._client.getPricing({ signal: options?.signal, timeout: options?.timeout })
+                .then((response) => {
+                    this._entries = new Map(Object.entries(response.pricing).map(([tld, pricing]) => [tld, toTLDPricing(tld, pricing)]));
+                    this._fetchedAt = Date.now();
+                    return this._entries;
+                })
+                .finally(() => this._loading = null);
+        }
+        return this._loading;
+    }
+
+    /**
+     * @private
+     * @param {PorkbunPricingFilter} [filter] 
+     */
+    _validateFilter(filter) {
+        if(filter === undefined || filter === null)
+            return;
+        if(typeof filter !== 'object')
+            throw new TypeError(`Invalid filter parameter type! Expected 'object', received '${typeof filter}'!`);
+        if(filter.sortBy !== undefined && filter.sortBy !== 'tld' && !PRICE_TYPES.includes(filter.sortBy))
+            throw new TypeError(`Invalid filter.sortBy parameter value! Expected 'tld' | '${PRICE_TYPES.join("' | '")}', received '${filter.sortBy}'!`);
+        if(filter.order !== undefined && filter.order !== 'asc' && filter.order !== 'desc')
+            throw new TypeError(`Invalid filter.order parameter value! Expected 'asc' | 'desc', received '${filter.order}'!`);
+        if(filter.tlds !== undefined && (!Array.isArray(filter.tlds) || filter.tlds.some((tld) => typeof tld !== 'string')))
+            throw new TypeError(`Invalid filter.tlds parameter type! Expected 'array<string>', received '${typeof filter.tlds}'!`);
+        for (const key of /** @type {const} */ (['minPrice', 'maxPrice'])) {
+            if(filter[key] === undefined)
+                continue;
+            if(!filter[key] || typeof filter[key] !== 'object')
+                throw new TypeError(`Invalid filter.${key} parameter type! Expected 'object', received '${typeof filter[key]}'!`);
+            for (const [type, price] of Object.entries(filter[key])) {
+                if(!PRICE_TYPES.includes(/** @type {PorkbunPriceType} */ (type)) || typeof price !== 'number' || Number.isNaN(price))
+                    throw new TypeError(`Invalid filter.${key}.${type} parameter value! Expected a number for '${PRICE_TYPES.join("' | '")}', received '${price}'!`);
+            }
+        }
+    }
+}
+
+module.exports = { PricingCatalog };
@@ -0,0 +1,139 @@
+// porkbun-client
+// Copyright (C) 2025  Oxtaly
+
+// // This program is free software: you can redistribute it and/or modify
+// // it under the terms of the GNU General Public License as published by
+// // the Free Software Foundation, either version 3 of the License, or
+// // (at your option) any later version.
+
+// // This program is distributed in the hope that it will be useful,
+// // but WITHOUT ANY WARRANTY; without even the implied warranty of
+// // MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// // GNU General Public License for more details.
+
+// // You should have received a copy of the GNU General Public License
+// // along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+"use strict";
+
+const dns = require('node:dns');
+const { isIP } = require('node:net');
+
+/**
+ * @typedef {import('../types.d.ts').PorkbunPropagationNameserverResult} PorkbunPropagationNameserverResult
+ */
+
+/** Resolver methods and answer formatters of the record types that can be checked. */
+const RESOLVERS = {
+    A:     { method: 'resolve4',     format: (answer) => normalizeAddress(answer) },
+    AAAA:  { method: 'resolve6',     format: (answer) => normalizeAddress(answer) },
+    CNAME: { method: 'resolveCname', format: (answer) => normalizeHostname(answer) },
+    NS:    { method: 'resolveNs',    format: (answer) => normalizeHostname(answer) },
+    MX:    { method: 'resolveMx',    format: (answer) => normalizeHostname(answer.exchange) },
+    TXT:   { method: 'resolveTxt',   format: (answer) => answer.join('') },
+    SRV:   { method: 'resolveSrv',   format: (answer) => `${answer.weight} ${answer.port} ${normalizeHostname(answer.name)}` },
+    CAA:   { method: 'resolveCaa',   format: (answer) => {
+        const tag = ['issue', 'issuewild', 'iodef', 'contactemail', 'contactphone'].find((tag) => answer[tag] !== undefined);
+        return `${answer.critical} ${tag} ${answer[tag]}`;
+    } }
+};
+
+/**
+ * @param {string} address 
+ */
+function normalizeAddress(address) {
+    return isIP(address) === 6 ? new URL(`http://[${address}]`).hostname.slice(1, -1) : address;
+}
+
+/**
+ * @param {string} hostname 
+ */
+function normalizeHostname(hostname) {
+    return hostname.toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Normalizes record content as set through the API so that it can be compared to the formatted resolver answers.
+ * 
+ * @param {keyof typeof RESOLVERS} type 
+ * @param {string} content 
+ */
+function normalizeContent(type, content) {
+    switch (type) {
+        case 'A':
+        case 'AAAA':
+            return normalizeAddress(content.trim());
+        case 'CNAME':
+        case 'NS':
+        case 'MX':
+            return normalizeHostname(content.trim());
+        case 'SRV': {
+            const [weight, port, target] = content.trim().split(/\s+/);
+            return `${parseInt(weight)} ${parseInt(port)} ${normalizeHostname(target ?? '')}`;
+        }
+        case 'CAA': {
+            const [, flags, tag, value] = content.trim().match(/^(\d+)\s+(\S+)\s+"?(.*?)"?$/) ?? [];
+            return `${parseInt(flags)} ${tag?.toLowerCase()} ${value}`;
+        }
+        default:
+            return content;
+    }
+}
+
+/**
+ * Resolves the addresses of name servers from their host names. Host names that are already IP addresses (optionally with a port) are kept as is.
+ * 
+ * @param {string[]} nameservers 
+ * @param {string[]} [resolverServers] - DNS servers used to resolve the host names. Defaults to the system's resolver.
+ * @returns {Promise<{ nameserver: string, address: string | null, error?: string }[]>}
+ */
+async function resolveNameservers(nameservers, resolverServers) {
+    const resolver = new dns.promises.Resolver();
+    if(resolverServers)
+        resolver.setServers(resolverServers);
+
+    return Promise.all(nameservers.map(async (nameserver) => {
+        if(isIP(nameserver) || /^\[.+\]:\d+$/.test(nameserver) || /^[\d.]+:\d+$/.test(nameserver))
+            return { nameserver, address: nameserver };
+        try {
+            const addresses = resolverServers
+                ? await resolver.resolve4(nameserver).catch(() => resolver.resolve6(nameserver))
+                : (await dns.promises.lookup(nameserver, { all: true })).map((result) => result.address);
+            return { nameserver, address: addresses[0] };
+        } catch (error) {
+            return { nameserver, address: null, error: `Could not resolve name server: ${error.code ?? error.message}` };
+        }
+    }));
+}
+
+/**
+ * Queries a record on each name server directly and compares the answers to the expected content.
+ * 
+ * @param {{ nameserver: string, address: string | null, error?: string }[]} nameservers 
+ * @param {string} fqdn 
+ * @param {keyof typeof RESOLVERS} type 
+ * @param {string} content 
+ * @param {number} queryTimeout - Timeout of each query in milliseconds.
+ * @returns {Promise<PorkbunPropagationNameserverResult[]>}
+ */
+function queryNameservers(nameservers, fqdn, type, content, queryTimeout) {
+    const { method, format } = RESOLVERS[type];
+    const expected = normalizeContent(type, content);
+    return Promise.all(nameservers.map(async ({ nameserver, address, error }) => {
+        if(!address)
+            return { nameserver, address, values: [], matched: false, error };
+        const resolver = new dns.promises.Resolver({ timeout: queryTimeout, tries: 1 });
+        resolver.setServers([address]);
+        try {
+            /** @type {any[]} */
+            const answers = await resolver[method](fqdn);
+            const values = answers.map(format);
+            return { nameserver, address, values, matched: values.includes(expected) };
+        } catch (error) {
+            const noRecord = error.code === dns.NODATA || error.code === dns.NOTFOUND;
+            return { nameserver, address, values: [], matched: false, ...(noRecord ? {} : { error: `Query failed: ${error.code ?? error.message}` }) };
+        }
+    }));
+}
+
+module.exports = { RESOLVERS, resolveNameservers, queryNameservers };
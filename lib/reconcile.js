@@ -0,0 +1,105 @@
+// porkbun-client
+// Copyright (C) 2025  Oxtaly
+
+// // This program is free software: you can redistribute it and/or modify
+// // it under the terms of the GNU General Public License as published by
+// // the Free Software Foundation, either version 3 of the License, or
+// // (at your option) any later version.
+
+// // This program is distributed in the hope that it will be useful,
+// // but WITHOUT ANY WARRANTY; without even the implied warranty of
+// // MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// // GNU General Public License for more details.
+
+// // You should have received a copy of the GNU General Public License
+// // along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+"use strict";
+
+/**
+ * @typedef {import('../types.d.ts').PorkbunDNSRecord}     PorkbunDNSRecord
+ * @typedef {import('../types.d.ts').PorkbunDNSRecordData} PorkbunDNSRecordData
+ * @typedef {import('../types.d.ts').PorkbunDNSOperation}  PorkbunDNSOperation
+ */
+
+/**
+ * Gets the fully qualified name of a record's subdomain.
+ * 
+ * @param {string | null | undefined} subdomain - Empty, "@", null or undefined for the root domain.
+ * @param {string} domain 
+ */
+function toFQDN(subdomain, domain) {
+    return subdomain && subdomain !== '@' ? `${subdomain}.${domain}` : domain;
+}
+
+/**
+ * Gets the key records are matched on (name, type and content).
+ * 
+ * @param {string} fqdn 
+ * @param {string} type 
+ * @param {string} content 
+ */
+function getRecordKey(fqdn, type, content) {
+    return `${fqdn.toLowerCase()}|${type.toUpperCase()}|${content}`;
+}
+
+/**
+ * Computes the operations needed to go from the existing records of a domain to the desired ones. 
+ * Records are matched on name, type and content, matched records with a different TTL or priority are edited.
+ * Apex NS records are never deleted.
+ * 
+ * @param {string} domain 
+ * @param {PorkbunDNSRecord[]} existingRecords 
+ * @param {PorkbunDNSRecordData[]} desiredRecords 
+ * @param {Object} options
+ * @param {"keep"|"delete"} options.unmanaged - What to do with existing records that are not desired.
+ * @returns {{ operations: PorkbunDNSOperation[], unchanged: PorkbunDNSRecord[] }}
+ */
+function planRecordOperations(domain, existingRecords, desiredRecords, options) {
+    /** @type {Map<string, PorkbunDNSRecordData>} */
+    const desired = new Map();
+    for (const record of desiredRecords)
+        desired.set(getRecordKey(toFQDN(record.name, domain), record.type, record.content), record);
+
+    /** @type {PorkbunDNSOperation[]} */
+    const creates = [];
+    /** @type {PorkbunDNSOperation[]} */
+    const edits = [];
+    /** @type {PorkbunDNSOperation[]} */
+    const deletes = [];
+    /** @type {PorkbunDNSRecord[]} */
+    const unchanged = [];
+
+    /** @type {Set<string>} */
+    const matched = new Set();
+    for (const record of existingRecords) {
+        const key = getRecordKey(record.name, record.type, record.content);
+        const desiredRecord = desired.get(key);
+        if(desiredRecord && !matched.has(key)) {
+            matched.add(key);
+            const ttlChanged = desiredRecord.ttl !== undefined && desiredRecord.ttl !== null && parseInt(`${desiredRecord.ttl}`) !== parseInt(`${record.ttl}`);
+            const priorityChanged = desiredRecord.priority !== undefined && desiredRecord.priority !== null && parseInt(`${desiredRecord.priority}`) !== (parseInt(`${record.prio}`) || 0);
+            if(ttlChanged || priorityChanged)
+                edits.push({ action: 'edit', id: record.id, record: desiredRecord, previous: record, status: 'planned' });
+            else
+                unchanged.push(record);
+            continue;
+        }
+
+        const isApexNS = record.type === 'NS' && record.name.toLowerCase() === domain.toLowerCase();
+        if(options.unmanaged === 'delete' && !isApexNS)
+            deletes.push({ action: 'delete', id: record.id, record, status: 'planned' });
+        else
+            unchanged.push(record);
+    }
+
+    for (const [key, record] of desired) {
+        if(!matched.has(key))
+            creates.push({ action: 'create', record, status: 'planned' });
+    }
+
+    // Creations first and deletions last, so that records are replaced without any gap
+    return { operations: [...creates, ...edits, ...deletes], unchanged };
+}
+
+module.exports = { planRecordOperations, toFQDN, getRecordKey };
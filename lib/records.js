@@ -0,0 +1,361 @@
+// porkbun-client
+// Copyright (C) 2025  Oxtaly
+
+// // This program is free software: you can redistribute it and/or modify
+// // it under the terms of the GNU General Public License as published by
+// // the Free Software Foundation, either version 3 of the License, or
+// // (at your option) any later version.
+
+// // This program is distributed in the hope that it will be useful,
+// // but WITHOUT ANY WARRANTY; without even the implied warranty of
+// // MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// // GNU General Public License for more details.
+
+// // You should have received a copy of the GNU General Public License
+// // along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+"use strict";
+
+const { isIPv4, isIPv6 } = require('node:net');
+
+/**
+ * @typedef {import('../types.d.ts').PorkbunAPIDNSRecord}      PorkbunAPIDNSRecord
+ * @typedef {import('../types.d.ts').PorkbunAPIDNSRecordTypes} PorkbunAPIDNSRecordTypes
+ * @typedef {import('../types.d.ts').PorkbunDNSRecordContent}  PorkbunDNSRecordContent
+ * @typedef {import('../types.d.ts').PorkbunSvcParams}         PorkbunSvcParams
+ */
+
+/**
+ * @template T
+ * @typedef {{ value: T, error?: undefined } | { value?: undefined, error: string }} ParseResult
+ */
+
+/**
+ * @template {PorkbunAPIDNSRecordTypes} T
+ * @typedef {Object} RecordContentFormat
+ * @property {(content: string) => ParseResult<PorkbunDNSRecordContent[T]>} parse
+ * @property {(value: PorkbunDNSRecordContent[T]) => string} format - Formats the value without validating it, the result being validated by parse.
+ */
+
+/** SvcParamKeys of RFC 9460 and its extensions, other keys having to use the generic "keyNNNNN" form. */
+const SVC_PARAM_KEYS = ['mandatory', 'alpn', 'no-default-alpn', 'port', 'ipv4hint', 'ech', 'ipv6hint', 'dohpath', 'ohttp'];
+
+/** SvcParams whose values are comma separated lists. */
+const SVC_PARAM_LIST_KEYS = ['mandatory', 'alpn', 'ipv4hint', 'ipv6hint'];
+
+/** SvcParams without values. */
+const SVC_PARAM_FLAG_KEYS = ['no-default-alpn', 'ohttp'];
+
+/**
+ * @param {string} expectation
+ * @param {string} content
+ * @returns {{ error: string }}
+ */
+function invalid(expectation, content) {
+    return { error: `Expected ${expectation}, received '${content}'!` };
+}
+
+/**
+ * Checks if a value is a host name, optionally fully qualified with a trailing dot. Underscores are allowed for service labels (eg: "_sip._tcp").
+ * 
+ * @param {string} value
+ */
+function isHostname(value) {
+    const hostname = value.endsWith('.') ? value.slice(0, -1) : value;
+    return hostname.length > 0 && hostname.length <= 253 && hostname.split('.').every((label) => /^[a-zA-Z0-9_]([a-zA-Z0-9_-]{0,61}[a-zA-Z0-9_])?$/.test(label));
+}
+
+/**
+ * @param {string} value
+ * @param {number} max
+ */
+function parseUnsignedInteger(value, max) {
+    if(!/^\d+$/.test(value ?? ''))
+        return null;
+    const number = parseInt(value);
+    return number <= max ? number : null;
+}
+
+/**
+ * Splits presentation format content on whitespace, keeping quoted strings (and key="quoted values") together and unquoting them.
+ * 
+ * @param {string} content
+ * @returns {string[] | null} Null if a quoted string is not terminated.
+ */
+function tokenize(content) {
+    const tokens = [];
+    const regex = /\s*((?:[^\s"]|"(?:[^"\\]|\\.)*")+)/y;
+    let match;
+    let end = 0;
+    while ((match = regex.exec(content)) !== null) {
+        tokens.push(match[1].replace(/"((?:[^"\\]|\\.)*)"/g, (_, value) => value.replace(/\\(.)/g, '$1')));
+        end = regex.lastIndex;
+    }
+    return content.slice(end).trim() ? null : tokens;
+}
+
+/**
+ * @param {string} value
+ */
+function quote(value) {
+    return `"${value.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * @param {string} type
+ * @returns {RecordContentFormat<any>}
+ */
+function hostnameFormat(type) {
+    const key = type === 'MX' ? 'exchange' : 'target';
+    return {
+        parse: (content) => {
+            const hostname = content.trim();
+            if(!isHostname(hostname) && !(type === 'MX' && hostname === '.'))
+                return invalid(`a host name for ${type} records`, content);
+            return { value: { [key]: hostname } };
+        },
+        format: (value) => `${value[key]}`
+    };
+}
+
+/**
+ * Parses and validates SvcParams (eg: ["alpn=h2,h3", "port=8443"]).
+ * 
+ * @param {string[]} tokens
+ * @returns {{ value: PorkbunSvcParams, error?: undefined } | { value?: undefined, error: string }} Error without the received content.
+ */
+function parseSvcParams(tokens) {
+    /** @type {PorkbunSvcParams} */
+    const params = {};
+    for (const token of tokens) {
+        const [, key, value] = token.match(/^([a-z0-9-]+)(?:=(.*))?$/) ?? [];
+        if(!key || (!SVC_PARAM_KEYS.includes(key) && !/^key\d{1,5}$/.test(key)))
+            return { error: `known SvcParam keys (${SVC_PARAM_KEYS.join(', ')}) or keyNNNNN, got '${token}'` };
+        if(key in params)
+            return { error: `unique SvcParam keys, got '${key}' more than once` };
+        if(SVC_PARAM_FLAG_KEYS.includes(key)) {
+            if(value !== undefined)
+                return { error: `no value for the '${key}' SvcParam` };
+            params[key] = true;
+            continue;
+        }
+        if(!value)
+            return { error: `a value for the '${key}' SvcParam` };
+
+        if(key === 'port') {
+            const port = parseUnsignedInteger(value, 65535);
+            if(port === null)
+                return { error: `a port between 0 and 65535 for the 'port' SvcParam, got '${value}'` };
+            params.port = port;
+        } else if(SVC_PARAM_LIST_KEYS.includes(key)) {
+            const entries = value.split(',');
+            const isValid = { ipv4hint: isIPv4, ipv6hint: isIPv6, mandatory: (entry) => SVC_PARAM_KEYS.includes(entry) || /^key\d{1,5}$/.test(entry) }[key] ?? ((entry) => entry.length > 0);
+            const invalidEntry = entries.find((entry) => !isValid(entry));
+            if(invalidEntry !== undefined)
+                return { error: `valid entries for the '${key}' SvcParam, got '${invalidEntry}'` };
+            params[key] = entries;
+        } else
+            params[key] = value;
+    }
+    if(params['no-default-alpn'] && !params.alpn)
+        return { error: "the 'alpn' SvcParam when using 'no-default-alpn'" };
+    const missing = (params.mandatory ?? []).find((key) => !(key in params));
+    if(missing)
+        return { error: `the '${missing}' SvcParam listed as mandatory` };
+    return { value: params };
+}
+
+/**
+ * @param {PorkbunSvcParams} params
+ */
+function formatSvcParams(params) {
+    return Object.entries(params ?? {})
+        .filter(([, value]) => value !== undefined && value !== null && value !== false)
+        .map(([key, value]) => {
+            if(value === true)
+                return key;
+            const text = Array.isArray(value) ? value.join(',') : `${value}`;
+            return `${key}=${/[\s"]/.test(text) ? quote(text) : text}`;
+        })
+        .join(' ');
+}
+
+/**
+ * @param {"HTTPS"|"SVCB"} type
+ * @returns {RecordContentFormat<any>}
+ */
+function serviceBindingFormat(type) {
+    const expectation = `"<priority> <target> [params...]" content for ${type} records`;
+    return {
+        parse: (content) => {
+            const tokens = tokenize(content.trim());
+            if(!tokens || tokens.length < 2)
+                return invalid(expectation, content);
+            const [priorityToken, target, ...paramTokens] = tokens;
+            const priority = parseUnsignedInteger(priorityToken, 65535);
+            if(priority === null)
+                return invalid(`a priority between 0 and 65535 in ${expectation}`, content);
+            if(target !== '.' && !isHostname(target))
+                return invalid(`a host name or "." as target in ${expectation}`, content);
+            if(priority === 0 && paramTokens.length)
+                return invalid(`no params with a priority of 0 (alias mode) in ${type} records`, content);
+            const params = parseSvcParams(paramTokens);
+            if(params.error)
+                return invalid(`${params.error} in ${type} records`, content);
+            return { value: { priority, target, params: params.value } };
+        },
+        format: (value) => [value.priority, value.target, formatSvcParams(value.params)].join(' ').trim()
+    };
+}
+
+/** @type {{ [T in PorkbunAPIDNSRecordTypes]: RecordContentFormat<T> }} */
+const RECORD_CONTENT_FORMATS = {
+    A: {
+        parse: (content) => isIPv4(content.trim()) ? { value: { address: content.trim() } } : invalid('an IPv4 address for A records', content),
+        format: (value) => `${value.address}`
+    },
+    AAAA: {
+        parse: (content) => isIPv6(content.trim()) ? { value: { address: content.trim() } } : invalid('an IPv6 address for AAAA records', content),
+        format: (value) => `${value.address}`
+    },
+    CNAME: hostnameFormat('CNAME'),
+    ALIAS: hostnameFormat('ALIAS'),
+    NS: hostnameFormat('NS'),
+    MX: hostnameFormat('MX'),
+    TXT: {
+        parse: (content) => content.length ? { value: { text: content } } : invalid('non-empty content for TXT records', content),
+        format: (value) => `${value.text}`
+    },
+    SRV: {
+        parse: (content) => {
+            const expectation = '"<weight> <port> <target>" content for SRV records';
+            const [weightToken, portToken, target, ...rest] = content.trim().split(/\s+/);
+            const weight = parseUnsignedInteger(weightToken, 65535);
+            const port = parseUnsignedInteger(portToken, 65535);
+            if(weight === null || port === null || !target || rest.length)
+                return invalid(`${expectation}, with a weight and port between 0 and 65535`, content);
+            if(target !== '.' && !isHostname(target))
+                return invalid(`a host name or "." as target in ${expectation}`, content);
+            return { value: { weight, port, target } };
+        },
+        format: (value) => `${value.weight} ${value.port} ${value.target}`
+    },
+    TLSA: {
+        parse: (content) => {
+            const [usageToken, selectorToken, matchingTypeToken, ...dataTokens] = content.trim().split(/\s+/);
+            const usage = parseUnsignedInteger(usageToken, 3);
+            const selector = parseUnsignedInteger(selectorToken, 1);
+            const matchingType = parseUnsignedInteger(matchingTypeToken, 2);
+            const data = dataTokens.join('');
+            if(usage === null || selector === null || matchingType === null || !data)
+                return invalid('"<usage (0-3)> <selector (0-1)> <matching type (0-2)> <data>" content for TLSA records', content);
+            const expectedLength = { 1: 64, 2: 128 }[matchingType];
+            if(!/^([0-9a-fA-F]{2})+$/.test(data) || (expectedLength && data.length !== expectedLength))
+                return invalid(`hexadecimal data${expectedLength ? ` of ${expectedLength} characters for the matching type ${matchingType}` : ''} in TLSA records`, content);
+            return { value: { usage, selector, matchingType, data } };
+        },
+        format: (value) => `${value.usage} ${value.selector} ${value.matchingType} ${value.data}`
+    },
+    CAA: {
+        parse: (content) => {
+            const [, flagsToken, tag, rawValue] = content.trim().match(/^(\S+)\s+(\S+)\s+(.+)$/) ?? [];
+            const expectation = '"<flags> <tag> <value>" content for CAA records';
+            const flags = parseUnsignedInteger(flagsToken, 255);
+            if(flags === null || !tag || !rawValue)
+                return invalid(`${expectation}, with flags between 0 and 255`, content);
+            if(!/^[a-zA-Z0-9]{1,15}$/.test(tag))
+                return invalid(`an alphanumeric tag of at most 15 characters (eg: issue, issuewild, iodef) in ${expectation}`, content);
+            const tokens = tokenize(rawValue);
+            if(!tokens || tokens.length !== 1)
+                return invalid(`a single (optionally quoted) value in ${expectation}`, content);
+            const value = tokens[0];
+            if(tag.toLowerCase() === 'iodef' && !/^(mailto:|https?:\/\/)/i.test(value))
+                return invalid('a mailto: or http(s):// URL as value of iodef CAA records', content);
+            return { value: { flags, tag, value } };
+        },
+        format: (value) => `${value.flags} ${value.tag} ${quote(`${value.value}`)}`
+    },
+    HTTPS: serviceBindingFormat('HTTPS'),
+    SVCB: serviceBindingFormat('SVCB')
+};
+
+/**
+ * Checks if record content is valid for the given record type.
+ * 
+ * @param {string} type
+ * @param {string} content
+ * @returns {string | null} The reason the content is invalid (eg: "Expected an IPv4 address for A records, received 'localhost'!"), or null if it is valid or the record type is unknown.
+ */
+function getRecordContentError(type, content) {
+    const format = RECORD_CONTENT_FORMATS[/** @type {PorkbunAPIDNSRecordTypes} */ (type?.toUpperCase())];
+    return format ? format.parse(content).error ?? null : null;
+}
+
+/**
+ * Parses record content into its structured form (eg: `{ weight, port, target }` for SRV records).
+ * 
+ * @template {PorkbunAPIDNSRecordTypes} T
+ * @param {T} type
+ * @param {string} content
+ * @returns {PorkbunDNSRecordContent[T]}
+ */
+function parseRecordContent(type, content) {
+    if(!type)
+        throw new TypeError('Missing type parameter!');
+    const format = RECORD_CONTENT_FORMATS[/** @type {T} */ (`${type}`.toUpperCase())];
+    if(!format)
+        throw new TypeError(`Invalid type parameter value! Expected one of ${Object.keys(RECORD_CONTENT_FORMATS).join(', ')}, received '${type}'!`);
+    if(typeof content !== 'string')
+        throw new TypeError(`Invalid content parameter type! Expected 'string', received '${typeof content}'!`);
+
+    const result = format.parse(content);
+    if(result.error)
+        throw new TypeError(`Invalid content parameter value! ${result.error}`);
+    return result.value;
+}
+
+/**
+ * Builds and validates record content from its structured form (eg: `{ flags: 0, tag: "issue", value: "letsencrypt.org" }` for CAA records).
+ * 
+ * @template {PorkbunAPIDNSRecordTypes} T
+ * @param {T} type
+ * @param {PorkbunDNSRecordContent[T]} value
+ * @returns {string}
+ */
+function buildRecordContent(type, value) {
+    if(!type)
+        throw new TypeError('Missing type parameter!');
+    const format = RECORD_CONTENT_FORMATS[/** @type {T} */ (`${type}`.toUpperCase())];
+    if(!format)
+        throw new TypeError(`Invalid type parameter value! Expected one of ${Object.keys(RECORD_CONTENT_FORMATS).join(', ')}, received '${type}'!`);
+    if(!value)
+        throw new TypeError('Missing value parameter!');
+    if(typeof value !== 'object')
+        throw new TypeError(`Invalid value parameter type! Expected 'object', received '${typeof value}'!`);
+
+    const content = format.format(value);
+    const result = format.parse(content);
+    if(result.error)
+        throw new TypeError(`Invalid value parameter value! ${result.error}`);
+    return content;
+}
+
+/**
+ * Adds the structured form of a record's content as its `data` property, null if the type is unknown or the content could not be parsed.
+ * 
+ * @example
+ * const { records } = await client.getDNSRecords("example.com", "SRV", "_sip._tcp");
+ * const targets = records.map(parseDNSRecord).map((record) => `${record.data.target}:${record.data.port}`);
+ * 
+ * @template {PorkbunAPIDNSRecord} R
+ * @param {R} record
+ * @returns {R & { data: PorkbunDNSRecordContent[R['type']] | null }}
+ */
+function parseDNSRecord(record) {
+    const format = RECORD_CONTENT_FORMATS[record.type];
+    /** @type {any} */
+    const data = format ? format.parse(record.content).value ?? null : null;
+    return { ...record, data };
+}
+
+module.exports = { RECORD_CONTENT_FORMATS, getRecordContentError, parseRecordContent, buildRecordContent, parseDNSRecord };
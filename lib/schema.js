@@ -0,0 +1,326 @@
+// porkbun-client
+// Copyright (C) 2025  Oxtaly
+
+// // This program is free software: you can redistribute it and/or modify
+// // it under the terms of the GNU General Public License as published by
+// // the Free Software Foundation, either version 3 of the License, or
+// // (at your option) any later version.
+
+// // This program is distributed in the hope that it will be useful,
+// // but WITHOUT ANY WARRANTY; without even the implied warranty of
+// // MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// // GNU General Public License for more details.
+
+// // You should have received a copy of the GNU General Public License
+// // along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+"use strict";
+
+/**
+ * @typedef {import('../types.d.ts').PorkbunAPIResponses}    PorkbunAPIResponses
+ * @typedef {import('../types.d.ts').PorkbunSchemaIssue}     PorkbunSchemaIssue
+ */
+
+/**
+ * @typedef {Object} Schema
+ * @property {string} description - Expected value, as shown in issues (eg: "string", '"yes" | "no"').
+ * @property {(value: any, path: string, issues: PorkbunSchemaIssue[]) => void} check - Adds the issues of a value to the issues array.
+ */
+
+/**
+ * @param {any} value 
+ */
+function describeValue(value) {
+    if(value === null)
+        return 'null';
+    if(Array.isArray(value))
+        return 'array';
+    if(typeof value === 'string')
+        return JSON.stringify(value.length > 40 ? `${value.slice(0, 40)}...` : value);
+    if(typeof value === 'object')
+        return 'object';
+    return `${value}`;
+}
+
+/**
+ * @param {string} description 
+ * @param {(value: any) => boolean} isValid 
+ * @returns {Schema}
+ */
+function primitive(description, isValid) {
+    return {
+        description,
+        check: (value, path, issues) => {
+            if(!isValid(value))
+                issues.push({ path, kind: 'type', expected: description, received: describeValue(value) });
+        }
+    };
+}
+
+const string = primitive('string', (value) => typeof value === 'string');
+const number = primitive('number', (value) => typeof value === 'number');
+const numericString = primitive('`${number}`', (value) => typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+
+/**
+ * @param {...(string|number|boolean)} values 
+ */
+function literal(...values) {
+    return primitive(values.map((value) => JSON.stringify(value)).join(' | '), (value) => values.includes(value));
+}
+
+/**
+ * @param {Schema} schema 
+ * @returns {Schema}
+ */
+function nullable(schema) {
+    return {
+        description: `${schema.description} | null`,
+        check: (value, path, issues) => {
+            if(value !== null)
+                schema.check(value, path, issues);
+        }
+    };
+}
+
+/**
+ * @param {...Schema} schemas 
+ * @returns {Schema}
+ */
+function union(...schemas) {
+    const description = schemas.map((schema) => schema.description).join(' | ');
+    return {
+        description,
+        check: (value, path, issues) => {
+            const results = schemas.map((schema) => {
+                /** @type {PorkbunSchemaIssue[]} */
+                const schemaIssues = [];
+                schema.check(value, path, schemaIssues);
+                return schemaIssues;
+            });
+            if(results.some((schemaIssues) => !schemaIssues.length))
+                return;
+            // Report the issues of the closest schema, unless the value does not even have the right type for any of them
+            const closest = results.sort((a, b) => a.length - b.length)[0];
+            if(closest.some((issue) => issue.path === path))
+                issues.push({ path, kind: 'type', expected: description, received: describeValue(value) });
+            else
+                issues.push(...closest);
+        }
+    };
+}
+
+/**
+ * @param {Schema} schema 
+ * @returns {Schema}
+ */
+function array(schema) {
+    return {
+        description: `${schema.description}[]`,
+        check: (value, path, issues) => {
+            if(!Array.isArray(value))
+                return void issues.push({ path, kind: 'type', expected: 'array', received: describeValue(value) });
+            value.forEach((entry, i) => schema.check(entry, `${path}[${i}]`, issues));
+        }
+    };
+}
+
+/**
+ * @param {Schema[]} schemas 
+ * @returns {Schema}
+ */
+function tuple(schemas) {
+    return {
+        description: `[${schemas.map((schema) => schema.description).join(', ')}]`,
+        check: (value, path, issues) => {
+            if(!Array.isArray(value) || value.length !== schemas.length)
+                return void issues.push({ path, kind: 'type', expected: `tuple of ${schemas.length}`, received: describeValue(value) });
+            schemas.forEach((schema, i) => schema.check(value[i], `${path}[${i}]`, issues));
+        }
+    };
+}
+
+/**
+ * Object with known properties, reporting missing properties (unless optional) and unexpected ones.
+ * 
+ * @param {Record<string, Schema>} properties 
+ * @param {string[]} [optional] - Properties that may be missing.
+ * @returns {Schema}
+ */
+function object(properties, optional = []) {
+    return {
+        description: 'object',
+        check: (value, path, issues) => {
+            if(!value || typeof value !== 'object' || Array.isArray(value))
+                return void issues.push({ path, kind: 'type', expected: 'object', received: describeValue(value) });
+            for (const [key, schema] of Object.entries(properties)) {
+                const propertyPath = path ? `${path}.${key}` : key;
+                if(!(key in value)) {
+                    if(!optional.includes(key))
+                        issues.push({ path: propertyPath, kind: 'missing', expected: schema.description });
+                    continue;
+                }
+                schema.check(value[key], propertyPath, issues);
+            }
+            for (const key of Object.keys(value)) {
+                if(!(key in properties))
+                    issues.push({ path: path ? `${path}.${key}` : key, kind: 'unexpected', received: describeValue(value[key]) });
+            }
+        }
+    };
+}
+
+/**
+ * Object used as a map, with any keys. Empty arrays are accepted as empty maps, which is how PHP encodes them.
+ * 
+ * @param {Schema} schema 
+ * @returns {Schema}
+ */
+function record(schema) {
+    return {
+        description: `{ [key: string]: ${schema.description} }`,
+        check: (value, path, issues) => {
+            if(Array.isArray(value) && !value.length)
+                return;
+            if(!value || typeof value !== 'object' || Array.isArray(value))
+                return void issues.push({ path, kind: 'type', expected: 'object', received: describeValue(value) });
+            for (const [key, entry] of Object.entries(value))
+                schema.check(entry, path ? `${path}.${key}` : key, issues);
+        }
+    };
+}
+
+/**
+ * Success response, with its status.
+ * 
+ * @param {Record<string, Schema>} [properties] 
+ * @param {string[]} [optional] 
+ */
+function success(properties = {}, optional = []) {
+    return object({ status: literal('SUCCESS'), ...properties }, optional);
+}
+
+const yesNo = literal('yes', 'no');
+const flag = literal('1', '0');
+
+const dnsRecord = object({
+    id:      string,
+    name:    string,
+    type:    literal("A", "MX", "CNAME", "ALIAS", "TXT", "NS", "AAAA", "SRV", "TLSA", "CAA", "HTTPS", "SVCB"),
+    content: string,
+    ttl:     string,
+    prio:    nullable(string),
+    notes:   nullable(string)
+});
+
+/** Schemas of the success responses, mirroring PorkbunAPIResponses in types.d.ts. */
+const RESPONSE_SCHEMAS = /** @type {{ [K in keyof PorkbunAPIResponses]: Schema }} */ ({
+    getPricing: success({
+        pricing: record(object({
+            registration: numericString,
+            renewal:      numericString,
+            transfer:     numericString,
+            coupons:      union(array(object({})), object({
+                registration: object({
+                    code:            string,
+                    max_per_user:    number,
+                    first_year_only: yesNo,
+                    type:            literal('amount'),
+                    amount:          number
+                }, ['amount'])
+            })),
+            specialType:  literal('handshake')
+        }, ['specialType']))
+    }),
+    ping: success({ yourIp: string, xForwardedFor: string }, ['xForwardedFor']),
+    getNameServers: success({ ns: array(string) }),
+    updateNameServers: success(),
+    getDomains: success({
+        domains: array(object({
+            domain:       string,
+            status:       string,
+            tld:          string,
+            createDate:   string,
+            expireDate:   string,
+            securityLock: flag,
+            whoisPrivacy: flag,
+            autoRenew:    flag,
+            notLocal:     flag,
+            labels:       array(object({ id: numericString, color: string, title: string }))
+        }, ['labels']))
+    }),
+    getURLForwardings: success({
+        forwards: array(object({
+            id:          numericString,
+            subdomain:   string,
+            location:    string,
+            type:        literal('temporary', 'permanent'),
+            includePath: yesNo,
+            wildcard:    yesNo
+        }))
+    }),
+    addURLForwarding: success(),
+    deleteURLForwarding: success(),
+    checkDomainAvailability: success({
+        response: object({
+            avail:          yesNo,
+            type:           literal('registration'),
+            price:          numericString,
+            firstYearPromo: yesNo,
+            regularPrice:   numericString,
+            premium:        yesNo,
+            additional:     object({
+                renewal:  object({ type: literal('renewal'), price: numericString, regularPrice: numericString }),
+                transfer: object({ type: literal('transfer'), price: numericString, regularPrice: numericString })
+            })
+        }),
+        limits: object({ TTL: numericString, limit: numericString, used: number, naturalLanguage: string })
+    }),
+    getGlueRecords: success({ hosts: nullable(array(tuple([string, object({ v6: array(string), v4: array(string) })]))) }),
+    createGlueRecord: success(),
+    updateGlueRecord: success(),
+    deleteGlueRecord: success(),
+    getDNSRecords: success({ cloudflare: literal('enabled', 'disabled'), records: array(dnsRecord) }, ['cloudflare']),
+    getDNSRecord: success({ cloudflare: literal('enabled', 'disabled'), records: array(dnsRecord) }, ['cloudflare']),
+    createDNSRecord: success({ id: numericString }),
+    editDNSRecord: success(),
+    editDNSRecords: success(),
+    deleteDNSRecord: success(),
+    deleteDNSRecords: success(),
+    getDNSSECRecords: success({
+        records: record(object({ keyTag: numericString, alg: numericString, digestType: numericString, digest: string }))
+    }),
+    createDNSSECRecord: success(),
+    deleteDNSSECRecord: success(),
+    getSSLBundle: success({ certificatechain: string, privatekey: string, publickey: string })
+});
+
+/**
+ * Checks a success response against the schema of its response name.
+ * 
+ * @param {keyof PorkbunAPIResponses} name 
+ * @param {any} data 
+ * @returns {PorkbunSchemaIssue[]}
+ */
+function validateResponse(name, data) {
+    /** @type {PorkbunSchemaIssue[]} */
+    const issues = [];
+    RESPONSE_SCHEMAS[name]?.check(data, '', issues);
+    return issues;
+}
+
+/**
+ * Formats schema issues as a list, one issue per line.
+ * 
+ * @param {PorkbunSchemaIssue[]} issues 
+ */
+function formatIssues(issues) {
+    return issues.map((issue) => {
+        if(issue.kind === 'missing')
+            return `- ${issue.path}: missing, expected ${issue.expected}`;
+        if(issue.kind === 'unexpected')
+            return `- ${issue.path}: unexpected field, received ${issue.received}`;
+        return `- ${issue.path || '(response)'}: expected ${issue.expected}, received ${issue.received}`;
+    }).join('\n');
+}
+
+module.exports = { RESPONSE_SCHEMAS, validateResponse, formatIssues };
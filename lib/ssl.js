@@ -0,0 +1,366 @@
+// porkbun-client
+// Copyright (C) 2025  Oxtaly
+
+// // This program is free software: you can redistribute it and/or modify
+// // it under the terms of the GNU General Public License as published by
+// // the Free Software Foundation, either version 3 of the License, or
+// // (at your option) any later version.
+
+// // This program is distributed in the hope that it will be useful,
+// // but WITHOUT ANY WARRANTY; without even the implied warranty of
+// // MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// // GNU General Public License for more details.
+
+// // You should have received a copy of the GNU General Public License
+// // along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+"use strict";
+
+const { EventEmitter } = require('node:events');
+const { X509Certificate, createPrivateKey, randomBytes } = require('node:crypto');
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+/**
+ * @typedef {import('../index.js').PorkbunClient<boolean>} PorkbunClient
+ * @typedef {import('../types.d.ts').PorkbunAPIResponses['getSSLBundle']} PorkbunSSLBundle
+ * @typedef {import('../types.d.ts').PorkbunSSLCertificateInfo} PorkbunSSLCertificateInfo
+ * @typedef {import('../types.d.ts').PorkbunSSLBundleInfo}      PorkbunSSLBundleInfo
+ * @typedef {import('../types.d.ts').PorkbunSSLWriteOptions}    PorkbunSSLWriteOptions
+ * @typedef {import('../types.d.ts').PorkbunSSLWriteResult}     PorkbunSSLWriteResult
+ * @typedef {import('../types.d.ts').PorkbunSSLWatchOptions}    PorkbunSSLWatchOptions
+ */
+
+/** File names of the written bundle, the same as the ones of the bundle downloaded from the Porkbun dashboard. */
+const BUNDLE_FILES = {
+    certificateChain: 'certificatechain.pem',
+    privateKey:       'privatekey.pem',
+    publicKey:        'publickey.pem'
+};
+
+/**
+ * @param {X509Certificate} certificate
+ * @returns {PorkbunSSLCertificateInfo}
+ */
+function getCertificateInfo(certificate) {
+    return {
+        subject:         certificate.subject,
+        issuer:          certificate.issuer,
+        subjectAltNames: (certificate.subjectAltName ?? '').split(',').map((name) => name.trim().replace(/^DNS:/, '')).filter(Boolean),
+        validFrom:       new Date(certificate.validFrom),
+        validTo:         new Date(certificate.validTo),
+        serialNumber:    certificate.serialNumber,
+        fingerprint256:  certificate.fingerprint256
+    };
+}
+
+/**
+ * Parses the certificate chain of an SSL bundle and checks that its private key matches the leaf (first) certificate.
+ * 
+ * @param {Pick<PorkbunSSLBundle, 'certificatechain' | 'privatekey'>} bundle
+ * @returns {PorkbunSSLBundleInfo}
+ */
+function inspectBundle(bundle) {
+    if(!bundle)
+        throw new TypeError('Missing bundle parameter!');
+    if(typeof bundle !== 'object')
+        throw new TypeError(`Invalid bundle parameter type! Expected 'object', received '${typeof bundle}'!`);
+    if(typeof bundle.certificatechain !== 'string')
+        throw new TypeError(`Invalid bundle.certificatechain parameter type! Expected 'string', received '${typeof bundle.certificatechain}'!`);
+
+    const certificates = (bundle.certificatechain.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) ?? [])
+        .map((pem) => new X509Certificate(pem));
+    if(!certificates.length)
+        throw new TypeError('Invalid bundle.certificatechain parameter value! Expected at least one PEM encoded certificate!');
+
+    let keyMatches = false;
+    if(typeof bundle.privatekey === 'string' && bundle.privatekey) {
+        try {
+            keyMatches = certificates[0].checkPrivateKey(createPrivateKey(bundle.privatekey));
+        } catch (error) {
+            keyMatches = false;
+        }
+    }
+    return { ...getCertificateInfo(certificates[0]), chain: certificates.map(getCertificateInfo), keyMatches };
+}
+
+/**
+ * Writes files, each to a temporary file in the same directory then renamed over the destination once all of them were written.
+ * Each file is replaced atomically, but not all of them at once: if a rename fails, the files already replaced are restored to their previous content.
+ * 
+ * @param {{ file: string, data: string, mode: number }[]} files
+ */
+async function writeFilesAtomically(files) {
+    const suffix = `.${process.pid}.${randomBytes(6).toString('hex')}`;
+    const written = [];
+    /** @type {{ file: string, backup: string | null }[]} Replaced files, with a hard link to their previous content (null if there was none). */
+    const replaced = [];
+    try {
+        for (const { file, data, mode } of files) {
+            await fs.writeFile(file + suffix + '.tmp', data, { mode, flag: 'wx' });
+            written.push(file);
+        }
+        for (const file of written) {
+            const backup = await fs.link(file, file + suffix + '.bak').then(() => file + suffix + '.bak', (error) => {
+                if(error.code === 'ENOENT')
+                    return null;
+                throw error;
+            });
+            replaced.push({ file, backup });
+            await fs.rename(file + suffix + '.tmp', file);
+        }
+    } catch (error) {
+        for (const { file, backup } of replaced.reverse())
+            await (backup ? fs.rename(backup, file) : fs.rm(file, { force: true })).catch(() => {});
+        await Promise.all(written.map((file) => fs.rm(file + suffix + '.tmp', { force: true })));
+        throw error;
+    }
+    await Promise.all(replaced.map(({ backup }) => backup && fs.rm(backup, { force: true })));
+}
+
+/**
+ * Checks that the private key of an SSL bundle matches its certificate, then writes the bundle's files to the given directory (see writeFilesAtomically).
+ * 
+ * @param {string} domain
+ * @param {PorkbunSSLBundle} bundle
+ * @param {string} directory
+ * @param {PorkbunSSLWriteOptions} [options]
+ * @returns {Promise<PorkbunSSLWriteResult>}
+ */
+async function writeBundleFiles(domain, bundle, directory, options) {
+    const certificate = inspectBundle(bundle);
+    if(!certificate.keyMatches)
+        throw new Error(`The private key of the SSL bundle of '${domain}' does not match its certificate!`);
+
+    await fs.mkdir(directory, { recursive: true });
+    const files = {
+        certificateChain: path.join(directory, BUNDLE_FILES.certificateChain),
+        privateKey:       path.join(directory, BUNDLE_FILES.privateKey),
+        publicKey:        path.join(directory, BUNDLE_FILES.publicKey)
+    };
+    await writeFilesAtomically([
+        { file: files.certificateChain, data: bundle.certificatechain, mode: 0o644 },
+        { file: files.privateKey,       data: bundle.privatekey,       mode: options?.mode ?? 0o600 },
+        { file: files.publicKey,        data: bundle.publickey,        mode: 0o644 }
+    ]);
+    return { domain, files, certificate };
+}
+
+/**
+ * Keeps the SSL bundle of a domain written to a directory, re-fetching it on an interval and rewriting it when a newer certificate is issued.
+ * 
+ * Events:
+ * - "renew" `(result: PorkbunSSLWriteResult)` - A newer certificate was written, after the onRenew hook finished.
+ * - "unchanged" `(certificate: PorkbunSSLBundleInfo)` - The fetched certificate is not newer than the written one.
+ * - "checkError" `(error: Error)` - A check failed while running on an interval, the next one running as planned. 
+ *   Reported as a process warning if there are no listeners, so that a transient failure does not take down the process.
+ */
+class SSLBundleWatcher extends EventEmitter {
+    /** @private @readonly @type {PorkbunClient} */
+    _client = null;
+    /** @private @readonly @type {string} */
+    _domain = null;
+    /** @private @readonly @type {string} */
+    _directory = null;
+    /** @private @readonly @type {PorkbunSSLWatchOptions} */
+    _options = null;
+    /** @private @type {PorkbunSSLCertificateInfo | null} Leaf certificate currently written. */
+    _current = null;
+    /** @private @type {PorkbunSSLWriteResult | null} Written bundle whose onRenew hook failed, retried on the next check. */
+    _pendingRenew = null;
+    /** @private @type {NodeJS.Timeout | null} */
+    _timer = null;
+    /** @private @type {Promise<PorkbunSSLWriteResult | null> | null} */
+    _pendingCheck = null;
+
+    /**
+     * @param {PorkbunClient} client
+     * @param {string} domain
+     * @param {string} directory
+     * @param {PorkbunSSLWatchOptions} options
+     */
+    constructor(client, domain, directory, options) {
+        super();
+        this._client = client;
+        this._domain = domain;
+        this._directory = directory;
+        this._options = options;
+    }
+
+    /** Whether the watcher is checking on an interval. */
+    get running() {
+        return this._timer !== null;
+    }
+
+    /**
+     * Start checking on the set interval, starting with an immediate check. Errors are emitted as "checkError" events.
+     */
+    start() {
+        if(this._timer)
+            return this;
+        const run = () => {
+            this.check().catch((error) => {
+                if(!this.emit('checkError', error))
+                    process.emitWarning(`SSL bundle check of '${this._domain}' failed: ${error.message}`, 'SSLBundleWatcherWarning');
+            });
+        };
+        this._timer = setInterval(run, this._options.interval ?? 12 * 60 * 60 * 1000);
+        run();
+        return this;
+    }
+
+    /**
+     * Stop checking on an interval. A check in progress is not interrupted.
+     */
+    stop() {
+        if(this._timer)
+            clearInterval(this._timer);
+        this._timer = null;
+        return this;
+    }
+
+    /**
+     * Fetch the bundle and write it if its certificate is newer than the written one (or if none was written yet), then run the onRenew hook.
+     * If the onRenew hook failed on a previous check, it is called again even if the certificate is unchanged.
+     * If a check is already in progress, its result is returned instead of starting a new one.
+     * 
+     * @returns {Promise<PorkbunSSLWriteResult | null>} The write result, or null if the certificate is unchanged.
+     */
+    check() {
+        if(!this._pendingCheck)
+            this._pendingCheck = this._check().finally(() => this._pendingCheck = null);
+        return this._pendingCheck;
+    }
+
+    /**
+     * @private
+     * @returns {Promise<PorkbunSSLWriteResult | null>}
+     */
+    async _check() {
+        if(!this._current) {
+            const existing = await fs.readFile(path.join(this._directory, BUNDLE_FILES.certificateChain), 'utf8').catch(() => null);
+            if(existing) {
+                try {
+                    this._current = inspectBundle({ certificatechain: existing, privatekey: '' });
+                } catch (error) {
+                    this._current = null;
+                }
+            }
+        }
+
+        const bundle = await this._client.getSSLBundle(this._domain);
+        const certificate = inspectBundle(bundle);
+        if(this._current && (certificate.fingerprint256 === this._current.fingerprint256 || certificate.validFrom <= this._current.validFrom)) {
+            if(this._pendingRenew)
+                return this._renew(this._pendingRenew);
+            this.emit('unchanged', certificate);
+            return null;
+        }
+
+        const result = await writeBundleFiles(this._domain, bundle, this._directory, this._options);
+        this._current = result.certificate;
+        return this._renew(result);
+    }
+
+    /**
+     * Used internally to run the onRenew hook once a newer certificate was written. If the hook fails, it is called again on the next check.
+     * 
+     * @private
+     * @param {PorkbunSSLWriteResult} result
+     */
+    async _renew(result) {
+        this._pendingRenew = result;
+        if(this._options.onRenew)
+            await this._options.onRenew(result);
+        this._pendingRenew = null;
+        this.emit('renew', result);
+        return result;
+    }
+}
+
+/**
+ * SSL bundle helper, writing and inspecting the certificates issued by Porkbun. Available as `client.ssl`.
+ */
+class SSLHelper {
+    /** @private @readonly @type {PorkbunClient} */
+    _client = null;
+
+    /**
+     * @param {PorkbunClient} client
+     */
+    constructor(client) {
+        this._client = client;
+    }
+
+    /**
+     * Parse the certificate chain of an SSL bundle, reporting its leaf certificate and whether the private key matches it.
+     * 
+     * @param {Pick<PorkbunSSLBundle, 'certificatechain' | 'privatekey'>} bundle
+     * @returns {PorkbunSSLBundleInfo}
+     */
+    inspect(bundle) {
+        return inspectBundle(bundle);
+    }
+
+    /**
+     * Retrieve the SSL bundle of a domain and write it to certificatechain.pem, privatekey.pem and publickey.pem in the given directory.
+     * Each file is replaced atomically, and the files already replaced are restored if replacing one of them fails.
+     * Nothing is written if the private key does not match the certificate.
+     * 
+     * @param {string} domain
+     * @param {string} directory - Created if missing.
+     * @param {PorkbunSSLWriteOptions} [options]
+     * @returns {Promise<PorkbunSSLWriteResult>}
+     */
+    async writeBundle(domain, directory, options) {
+        this._validate(domain, directory, options);
+        const bundle = await this._client.getSSLBundle(domain);
+        return writeBundleFiles(domain, bundle, directory, options);
+    }
+
+    /**
+     * Keep the SSL bundle of a domain written to the given directory, checking for a newer certificate on an interval (12 hours by default).
+     * The returned watcher is already started, see SSLBundleWatcher for its events.
+     * 
+     * @example
+     * const watcher = client.ssl.watch("example.com", "/etc/ssl/example.com", {
+     *     onRenew: () => execFileSync("systemctl", ["reload", "nginx"])
+     * });
+     * watcher.on("checkError", console.error);
+     * 
+     * @param {string} domain
+     * @param {string} directory
+     * @param {PorkbunSSLWatchOptions} [options]
+     */
+    watch(domain, directory, options) {
+        this._validate(domain, directory, options);
+        if(options?.interval !== undefined && options?.interval !== null && (typeof options.interval !== 'number' || !Number.isFinite(options.interval) || options.interval <= 0))
+            throw new TypeError(`Invalid options.interval parameter value! Expected a positive number, received '${options.interval}'!`);
+        if(options?.onRenew !== undefined && options?.onRenew !== null && typeof options.onRenew !== 'function')
+            throw new TypeError(`Invalid options.onRenew parameter type! Expected 'function', received '${typeof options.onRenew}'!`);
+        return new SSLBundleWatcher(this._client, domain, directory, { ...options }).start();
+    }
+
+    /**
+     * @private
+     * @param {string} domain
+     * @param {string} directory
+     * @param {PorkbunSSLWriteOptions} [options]
+     */
+    _validate(domain, directory, options) {
+        if(!domain)
+            throw new TypeError('Missing domain parameter!');
+        if(typeof domain !== 'string')
+            throw new TypeError(`Invalid domain parameter type! Expected 'string', received '${typeof domain}'!`);
+        if(!directory)
+            throw new TypeError('Missing directory parameter!');
+        if(typeof directory !== 'string')
+            throw new TypeError(`Invalid directory parameter type! Expected 'string', received '${typeof directory}'!`);
+        if(options !== null && options !== undefined && typeof options !== 'object')
+            throw new TypeError(`Invalid options parameter type! Expected 'object', received '${typeof options}'!`);
+        if(options?.mode !== undefined && options?.mode !== null && (!Number.isInteger(options.mode) || options.mode < 0 || options.mode > 0o777))
+            throw new TypeError(`Invalid options.mode parameter value! Expected a file mode (eg: 0o600), received '${options.mode}'!`);
+    }
+}
+
+module.exports = { SSLHelper, SSLBundleWatcher, inspectBundle, writeFilesAtomically, BUNDLE_FILES };
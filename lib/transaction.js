@@ -0,0 +1,337 @@
+// porkbun-client
+// Copyright (C) 2025  Oxtaly
+
+// // This program is free software: you can redistribute it and/or modify
+// // it under the terms of the GNU General Public License as published by
+// // the Free Software Foundation, either version 3 of the License, or
+// // (at your option) any later version.
+
+// // This program is distributed in the hope that it will be useful,
+// // but WITHOUT ANY WARRANTY; without even the implied warranty of
+// // MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// // GNU General Public License for more details.
+
+// // You should have received a copy of the GNU General Public License
+// // along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+"use strict";
+
+const { toRelativeName } = require('./zone.js');
+const { buildRecordContent } = require('./records.js');
+const { APIError } = require('./errors.js');
+
+/**
+ * @typedef {import('../index.js').PorkbunClient<boolean>} PorkbunClient
+ * @typedef {import('../types.d.ts').PorkbunAPIDNSRecordTypes}   PorkbunAPIDNSRecordTypes
+ * @typedef {import('../types.d.ts').PorkbunDNSRecord}           PorkbunDNSRecord
+ * @typedef {import('../types.d.ts').PorkbunRequestOptions}      PorkbunRequestOptions
+ * @typedef {import('../types.d.ts').PorkbunTransactionStep}     PorkbunTransactionStep
+ * @typedef {Parameters<PorkbunClient['createDNSRecord']>[1]}    RecordData
+ * @typedef {Parameters<PorkbunClient['editDNSRecords']>[3]}     RecordsData
+ */
+
+/**
+ * Converts a record as returned by the API back to the record data accepted by createDNSRecord and editDNSRecord.
+ * 
+ * @param {PorkbunDNSRecord} record 
+ * @param {string} domain 
+ * @returns {RecordData}
+ */
+function toRecordData(record, domain) {
+    const name = toRelativeName(record.name, domain);
+    const priority = parseInt(`${record.prio}`);
+    return {
+        name:     name === '@' ? '' : name,
+        type:     record.type,
+        content:  record.content,
+        ttl:      parseInt(`${record.ttl}`),
+        ...(Number.isNaN(priority) ? {} : { priority })
+    };
+}
+
+/**
+ * Checks whether a failed change may still have been applied by the API: the request failed without an API error response 
+ * (eg: timed out or lost its connection after being sent). APIErrors and parameter validation errors (TypeErrors without cause) are made before any change.
+ * 
+ * @param {any} error 
+ */
+function mayHaveBeenApplied(error) {
+    return !(error instanceof APIError) && !(error instanceof TypeError && !error.cause);
+}
+
+/**
+ * @param {PorkbunDNSRecord} a 
+ * @param {PorkbunDNSRecord} b 
+ */
+function isSameRecord(a, b) {
+    return a.name.toLowerCase() === b.name.toLowerCase() && a.type === b.type && a.content === b.content && `${a.ttl}` === `${b.ttl}` && `${a.prio ?? ''}` === `${b.prio ?? ''}`;
+}
+
+/**
+ * @param {PorkbunTransactionStep} step 
+ */
+function describeStep(step) {
+    const action = step.action === 'editByType' ? 'edit' : step.action === 'deleteByType' ? 'delete' : step.action;
+    const plural = step.action.endsWith('ByType') ? 's' : '';
+    const ids = step.ids.length ? ` (${step.ids.join(', ')})` : '';
+    return `${action} ${step.type} record${plural} '${step.name || '@'}'${ids}`;
+}
+
+/**
+ * DNS changes of a domain made through {@link PorkbunClient.transaction}, recording the state of the records before each change so they can be rolled back.
+ */
+class DNSTransaction {
+    /** @private @readonly @type {PorkbunClient} */
+    _client = null;
+    /** @private @readonly @type {PorkbunRequestOptions} */
+    _requestOptions = null;
+    /** @private @type {boolean} */
+    _closed = false;
+    /** @private @readonly @type {Set<Promise<any>>} Steps being applied. */
+    _pending = new Set();
+    /** @readonly @type {string} */
+    domain = null;
+    /** @readonly @type {PorkbunTransactionStep[]} Changes made through the transaction, in order. */
+    steps = [];
+
+    /**
+     * @param {PorkbunClient} client 
+     * @param {string} domain 
+     * @param {PorkbunRequestOptions} requestOptions 
+     */
+    constructor(client, domain, requestOptions) {
+        this._client = client;
+        this.domain = domain;
+        this._requestOptions = requestOptions;
+    }
+
+    /**
+     * Create a DNS record, deleted on rollback. See {@link PorkbunClient.createDNSRecord}.
+     * The existing records of the subdomain and type are read first, to find the created record if the creation fails without an API error (eg: times out).
+     * 
+     * @param {RecordData} recordData 
+     */
+    async createDNSRecord(recordData) {
+        this._assertOpen();
+        const { records } = recordData?.type ? await this._client.getDNSRecords(this.domain, recordData.type, recordData.name ?? '', this._requestOptions) : { records: [] };
+        return this._step({ action: 'create', type: recordData?.type, name: recordData?.name ?? '', record: recordData, previous: records }, async (step) => {
+            const response = await this._client.createDNSRecord(this.domain, recordData, this._requestOptions);
+            step.ids = [`${response.id}`];
+            return response;
+        });
+    }
+
+    /**
+     * Edit a DNS record by its ID, restored on rollback. See {@link PorkbunClient.editDNSRecord}.
+     * 
+     * @param {string} recordID 
+     * @param {RecordData} recordData 
+     */
+    async editDNSRecord(recordID, recordData) {
+        const previous = await this._getRecord(recordID);
+        return this._step({ action: 'edit', type: recordData?.type ?? previous.type, name: recordData?.name ?? '', ids: [`${recordID}`], record: recordData, previous: [previous] }, 
+            () => this._client.editDNSRecord(this.domain, recordID, recordData, this._requestOptions));
+    }
+
+    /**
+     * Edit the DNS records of a subdomain and type, restored on rollback. See {@link PorkbunClient.editDNSRecords}.
+     * 
+     * @param {PorkbunAPIDNSRecordTypes} recordType 
+     * @param {string | null | undefined} subdomain 
+     * @param {RecordsData} recordData 
+     */
+    async editDNSRecords(recordType, subdomain, recordData) {
+        this._assertOpen();
+        const { records } = await this._client.getDNSRecords(this.domain, recordType, subdomain ?? '', this._requestOptions);
+        return this._step({ action: 'editByType', type: recordType, name: subdomain ?? '', ids: records.map((record) => `${record.id}`), record: recordData, previous: records },
+            () => this._client.editDNSRecords(this.domain, recordType, subdomain, recordData, this._requestOptions));
+    }
+
+    /**
+     * Delete a DNS record by its ID, recreated on rollback (with a new ID). See {@link PorkbunClient.deleteDNSRecord}.
+     * 
+     * @param {string} recordID 
+     */
+    async deleteDNSRecord(recordID) {
+        const previous = await this._getRecord(recordID);
+        const name = toRelativeName(previous.name, this.domain);
+        return this._step({ action: 'delete', type: previous.type, name: name === '@' ? '' : name, ids: [`${recordID}`], record: null, previous: [previous] }, 
+            () => this._client.deleteDNSRecord(this.domain, recordID, this._requestOptions));
+    }
+
+    /**
+     * Delete the DNS records of a subdomain and type, recreated on rollback (with new IDs). See {@link PorkbunClient.deleteDNSRecords}.
+     * 
+     * @param {PorkbunAPIDNSRecordTypes} recordType 
+     * @param {string | null | undefined} [subdomain] 
+     */
+    async deleteDNSRecords(recordType, subdomain) {
+        this._assertOpen();
+        const { records } = await this._client.getDNSRecords(this.domain, recordType, subdomain ?? '', this._requestOptions);
+        return this._step({ action: 'deleteByType', type: recordType, name: subdomain ?? '', ids: records.map((record) => `${record.id}`), record: null, previous: records },
+            () => this._client.deleteDNSRecords(this.domain, recordType, subdomain, this._requestOptions));
+    }
+
+    /**
+     * Used internally to undo the applied steps, last one first. Rollback requests are made without the abort signal, so that aborting does not leave changes half undone.
+     * Failed steps that may still have been applied (see {@link mayHaveBeenApplied}) are checked against the current records and undone if they were. 
+     * Resolves to whether every applied step was rolled back.
+     * 
+     * @returns {Promise<boolean>}
+     */
+    async rollback() {
+        this._closed = true;
+        // Steps still being applied (eg: not awaited by the callback) are waited for, to be rolled back too
+        await Promise.allSettled(this._pending);
+        const requestOptions = { timeout: this._requestOptions.timeout };
+        let rolledBack = true;
+        for (const step of [...this.steps].reverse()) {
+            if(step.status === 'failed' && mayHaveBeenApplied(step.error)) {
+                try {
+                    if(await this._rollbackUncertainStep(step, requestOptions))
+                        step.status = 'rolledBack';
+                } catch (error) {
+                    step.status = 'rollbackFailed';
+                    step.rollbackError = error;
+                    rolledBack = false;
+                }
+                continue;
+            }
+            if(step.status !== 'applied')
+                continue;
+            try {
+                if(step.action === 'create') {
+                    for (const id of step.ids)
+                        await this._client.deleteDNSRecord(this.domain, id, requestOptions);
+                } else if(step.action === 'edit' || step.action === 'editByType') {
+                    for (const record of step.previous)
+                        await this._client.editDNSRecord(this.domain, `${record.id}`, toRecordData(record, this.domain), requestOptions);
+                } else {
+                    step.restoredIDs = [];
+                    for (const record of step.previous)
+                        step.restoredIDs.push(`${(await this._client.createDNSRecord(this.domain, toRecordData(record, this.domain), requestOptions)).id}`);
+                }
+                step.status = 'rolledBack';
+            } catch (error) {
+                step.status = 'rollbackFailed';
+                step.rollbackError = error;
+                rolledBack = false;
+            }
+        }
+        return rolledBack;
+    }
+
+    /**
+     * Used internally to undo a failed step that may still have been applied, comparing its records with their current state. 
+     * Resolves to whether the step had been applied (and was undone).
+     * 
+     * @private
+     * @param {PorkbunTransactionStep} step 
+     * @param {PorkbunRequestOptions} requestOptions 
+     * @returns {Promise<boolean>}
+     */
+    async _rollbackUncertainStep(step, requestOptions) {
+        if(step.action === 'create') {
+            const data = /** @type {RecordData} */ (step.record);
+            const content = typeof data.content === 'string' ? data.content : buildRecordContent(data.type, data.content);
+            const { records } = await this._client.getDNSRecords(this.domain, data.type, data.name ?? '', requestOptions);
+            const created = records.filter((record) => record.content === content && !step.previous.some((previous) => `${previous.id}` === `${record.id}`));
+            step.ids = created.map((record) => `${record.id}`);
+            for (const id of step.ids)
+                await this._client.deleteDNSRecord(this.domain, id, requestOptions);
+            return created.length > 0;
+        }
+
+        let applied = false;
+        step.restoredIDs = [];
+        for (const previous of step.previous) {
+            const { records } = await this._client.getDNSRecord(this.domain, `${previous.id}`, requestOptions);
+            if(step.action === 'delete' || step.action === 'deleteByType') {
+                if(records.length)
+                    continue;
+                step.restoredIDs.push(`${(await this._client.createDNSRecord(this.domain, toRecordData(previous, this.domain), requestOptions)).id}`);
+            } else {
+                if(!records.length)
+                    throw new Error(`DNS record '${previous.id}' of '${this.domain}' not found!`);
+                if(isSameRecord(records[0], previous))
+                    continue;
+                await this._client.editDNSRecord(this.domain, `${previous.id}`, toRecordData(previous, this.domain), requestOptions);
+            }
+            applied = true;
+        }
+        if(step.action !== 'delete' && step.action !== 'deleteByType')
+            delete step.restoredIDs;
+        return applied;
+    }
+
+    /**
+     * Used internally to close the transaction once its callback settled.
+     */
+    close() {
+        this._closed = true;
+    }
+
+    /**
+     * Used internally to describe the steps of a failed transaction, one step per line.
+     */
+    describeSteps() {
+        return this.steps.map((step) => {
+            const status = { pending: 'pending', applied: 'applied', failed: 'failed', rolledBack: 'rolled back', rollbackFailed: `rollback failed (${step.rollbackError?.message})` }[step.status];
+            return `- ${describeStep(step)}: ${status}`;
+        }).join('\n');
+    }
+
+    /**
+     * @private
+     */
+    _assertOpen() {
+        if(this._closed)
+            throw new Error('The transaction is closed, changes must be made before its callback settles!');
+    }
+
+    /**
+     * @private
+     * @param {string} recordID 
+     * @returns {Promise<PorkbunDNSRecord>}
+     */
+    async _getRecord(recordID) {
+        this._assertOpen();
+        if(!recordID)
+            throw new TypeError('Missing recordID parameter!');
+        const { records } = await this._client.getDNSRecord(this.domain, recordID, this._requestOptions);
+        if(!records.length)
+            throw new Error(`DNS record '${recordID}' of '${this.domain}' not found!`);
+        return records[0];
+    }
+
+    /**
+     * Used internally to record a step and apply it.
+     * 
+     * @private
+     * @template T
+     * @param {Pick<PorkbunTransactionStep, 'action' | 'type' | 'name' | 'record' | 'previous'> & { ids?: string[] }} data 
+     * @param {(step: PorkbunTransactionStep) => Promise<T>} apply 
+     * @returns {Promise<T>}
+     */
+    async _step(data, apply) {
+        this._assertOpen();
+        /** @type {PorkbunTransactionStep} */
+        const step = { ids: [], ...data, status: 'pending' };
+        this.steps.push(step);
+        const pending = apply(step);
+        this._pending.add(pending);
+        try {
+            const result = await pending;
+            step.status = 'applied';
+            return result;
+        } catch (error) {
+            step.status = 'failed';
+            step.error = error;
+            throw error;
+        } finally {
+            this._pending.delete(pending);
+        }
+    }
+}
+
+module.exports = { DNSTransaction };
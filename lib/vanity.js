@@ -0,0 +1,233 @@
+// porkbun-client
+// Copyright (C) 2025  Oxtaly
+
+// // This program is free software: you can redistribute it and/or modify
+// // it under the terms of the GNU General Public License as published by
+// // the Free Software Foundation, either version 3 of the License, or
+// // (at your option) any later version.
+
+// // This program is distributed in the hope that it will be useful,
+// // but WITHOUT ANY WARRANTY; without even the implied warranty of
+// // MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// // GNU General Public License for more details.
+
+// // You should have received a copy of the GNU General Public License
+// // along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+"use strict";
+
+const { isIPv4, isIPv6 } = require('node:net');
+const { toRelativeName } = require('./zone.js');
+const { normalizeHost } = require('./utils.js');
+
+/**
+ * @typedef {import('../index.js').PorkbunClient<boolean>} PorkbunClient
+ * @typedef {import('../types.d.ts').PorkbunRequestOptions}                PorkbunRequestOptions
+ * @typedef {import('../types.d.ts').PorkbunVanityNameserversOptions}      PorkbunVanityNameserversOptions
+ * @typedef {import('../types.d.ts').PorkbunVanityNameserverOperation}     PorkbunVanityNameserverOperation
+ * @typedef {import('../types.d.ts').PorkbunVanityNameserversState}        PorkbunVanityNameserversState
+ * @typedef {import('../types.d.ts').PorkbunVanityNameserversSetup}        PorkbunVanityNameserversSetup
+ * @typedef {import('../types.d.ts').PorkbunVanityNameserversTeardown}     PorkbunVanityNameserversTeardown
+ */
+
+/**
+ * Compares two lists (of IP addresses or name servers), ignoring order, case and duplicates.
+ * 
+ * @param {string[]} a 
+ * @param {string[]} b 
+ */
+function sameEntries(a, b) {
+    const setA = new Set(a.map((entry) => entry.toLowerCase()));
+    const setB = new Set(b.map((entry) => entry.toLowerCase()));
+    return setA.size === setB.size && [...setA].every((entry) => setB.has(entry));
+}
+
+/**
+ * @param {any} options 
+ */
+function validateOptions(options) {
+    if(options !== null && options !== undefined && typeof options !== 'object')
+        throw new TypeError(`Invalid options parameter type! Expected 'object', received '${typeof options}'!`);
+    if(options && options.dryRun !== null && options.dryRun !== undefined && typeof options.dryRun !== 'boolean')
+        throw new TypeError(`Invalid options.dryRun parameter type! Expected 'boolean', received '${typeof options.dryRun}'!`);
+}
+
+/**
+ * Reads the name servers and glue records of a domain.
+ * 
+ * @param {PorkbunClient} client 
+ * @param {string} domain 
+ * @param {PorkbunRequestOptions} requestOptions 
+ * @returns {Promise<PorkbunVanityNameserversState>}
+ */
+async function readState(client, domain, requestOptions) {
+    const nameservers = (await client.getNameServers(domain, requestOptions)).ns.map(normalizeHost);
+    const glue = ((await client.getGlueRecords(domain, requestOptions)).hosts ?? []).map(([host, ips]) => ({
+        host: toRelativeName(host, domain),
+        ips:  [...(ips.v4 ?? []), ...(ips.v6 ?? [])]
+    }));
+    return { nameservers, glue };
+}
+
+/**
+ * Applies the operations one after the other, updating their status. Failed operations do not stop the following ones, 
+ * except for the operations of the guarded action which are not made once an operation failed, keeping their "planned" status.
+ * 
+ * @param {PorkbunClient} client 
+ * @param {string} domain 
+ * @param {PorkbunVanityNameserverOperation[]} operations 
+ * @param {PorkbunVanityNameserverOperation['action']} guardedAction 
+ * @param {PorkbunRequestOptions} requestOptions 
+ */
+async function applyOperations(client, domain, operations, guardedAction, requestOptions) {
+    let failed = false;
+    for (const operation of operations) {
+        requestOptions.signal?.throwIfAborted();
+        if(failed && operation.action === guardedAction)
+            continue;
+        try {
+            if(operation.action === 'createGlue')
+                await client.createGlueRecord(domain, operation.key, operation.data, requestOptions);
+            else if(operation.action === 'updateGlue')
+                await client.updateGlueRecord(domain, operation.key, operation.data, requestOptions);
+            else if(operation.action === 'deleteGlue')
+                await client.deleteGlueRecord(domain, operation.key, requestOptions);
+            else
+                await client.updateNameServers(domain, operation.data, requestOptions);
+            operation.status = 'applied';
+        } catch (error) {
+            operation.status = 'failed';
+            operation.error = error;
+            failed = true;
+        }
+    }
+}
+
+/**
+ * Set up vanity name servers, see {@link PorkbunClient.setupVanityNameservers}.
+ * 
+ * @param {PorkbunClient} client 
+ * @param {string} domain 
+ * @param {Record<string, string[]>} hosts 
+ * @param {PorkbunVanityNameserversOptions} [options] 
+ * @returns {Promise<PorkbunVanityNameserversSetup>}
+ */
+async function setupVanityNameservers(client, domain, hosts, options) {
+    if(!domain)
+        throw new TypeError('Missing domain parameter!');
+    if(typeof domain !== 'string')
+        throw new TypeError(`Invalid domain parameter type! Expected 'string', received '${typeof domain}'!`);
+    domain = normalizeHost(domain);
+    if(!hosts)
+        throw new TypeError('Missing hosts parameter!');
+    if(typeof hosts !== 'object' || Array.isArray(hosts))
+        throw new TypeError(`Invalid hosts parameter type! Expected 'object', received '${Array.isArray(hosts) ? 'array' : typeof hosts}'!`);
+    if(!Object.keys(hosts).length)
+        throw new TypeError(`Invalid hosts parameter value! Expected at least one name server host!`);
+
+    /** @type {Map<string, string[]>} */
+    const desired = new Map();
+    for (const [name, ips] of Object.entries(hosts)) {
+        // Names are relative to the domain unless fully qualified with a trailing dot
+        const host = (name.trim().endsWith('.') || normalizeHost(name).endsWith(`.${domain}`) ? toRelativeName(name.trim(), domain) : normalizeHost(name)).toLowerCase();
+        if(!host || host === '@' || host.endsWith('.'))
+            throw new TypeError(`Invalid hosts parameter value! Expected subdomains of '${domain}', received '${name}'!`);
+        if(desired.has(host))
+            throw new TypeError(`Invalid hosts parameter value! Duplicate host '${name}'!`);
+        if(!Array.isArray(ips) || !ips.length)
+            throw new TypeError(`Invalid hosts.${name} parameter value! Expected a non-empty 'array<string>' of IP addresses!`);
+        const invalid = ips.filter((ip) => typeof ip !== 'string' || (!isIPv4(ip.trim()) && !isIPv6(ip.trim())));
+        if(invalid.length)
+            throw new TypeError(`Invalid hosts.${name} parameter value! Expected IPv4 or IPv6 addresses, received [${invalid.map((ip) => `'${ip}'`).join(', ')}]!`);
+        desired.set(host, [...new Set(ips.map((ip) => ip.trim()))]);
+    }
+    validateOptions(options);
+    const dryRun = options?.dryRun === true;
+    const requestOptions = { signal: options?.signal, timeout: options?.timeout };
+
+    const previous = await readState(client, domain, requestOptions);
+    const current = new Map(previous.glue.map((glue) => [glue.host.toLowerCase(), glue.ips]));
+    const nameservers = [...desired.keys()].map((host) => `${host}.${domain}`);
+
+    /** @type {PorkbunVanityNameserverOperation[]} */
+    const operations = [];
+    for (const [host, ips] of desired) {
+        if(!current.has(host))
+            operations.push({ action: 'createGlue', key: host, data: ips, previous: null, status: 'planned' });
+        else if(!sameEntries(ips, current.get(host)))
+            operations.push({ action: 'updateGlue', key: host, data: ips, previous: current.get(host), status: 'planned' });
+    }
+    // Name servers last, once their glue records exist
+    if(!sameEntries(nameservers, previous.nameservers))
+        operations.push({ action: 'updateNameServers', key: domain, data: nameservers, previous: previous.nameservers, status: 'planned' });
+
+    // Switching to name servers whose glue records could not be set would break resolution
+    if(!dryRun && operations.length)
+        await applyOperations(client, domain, operations, 'updateNameServers', requestOptions);
+    return {
+        domain,
+        dryRun,
+        nameservers,
+        previousNameservers: previous.nameservers,
+        hosts: [...desired].map(([host, ips]) => ({ host, ips, previousIPs: current.get(host) ?? null })),
+        operations,
+        state: dryRun || !operations.length ? previous : await readState(client, domain, requestOptions)
+    };
+}
+
+/**
+ * Tear down vanity name servers, see {@link PorkbunClient.teardownVanityNameservers}.
+ * 
+ * @param {PorkbunClient} client 
+ * @param {PorkbunVanityNameserversSetup} setup 
+ * @param {PorkbunVanityNameserversOptions} [options] 
+ * @returns {Promise<PorkbunVanityNameserversTeardown>}
+ */
+async function teardownVanityNameservers(client, setup, options) {
+    if(!setup)
+        throw new TypeError('Missing setup parameter!');
+    if(typeof setup !== 'object')
+        throw new TypeError(`Invalid setup parameter type! Expected 'object', received '${typeof setup}'!`);
+    if(typeof setup.domain !== 'string' || !Array.isArray(setup.previousNameservers) || !Array.isArray(setup.hosts))
+        throw new TypeError(`Invalid setup parameter value! Expected the result of PorkbunClient.setupVanityNameservers()!`);
+    const domain = normalizeHost(setup.domain);
+    const previousNameservers = setup.previousNameservers.map(normalizeHost);
+    const vanityNameservers = setup.hosts.map(({ host }) => `${host}.${domain}`.toLowerCase());
+    const kept = previousNameservers.filter((nameserver) => vanityNameservers.includes(nameserver));
+    if(kept.length)
+        throw new TypeError(`Invalid setup.previousNameservers parameter value! The previous name servers include the vanity name servers (${kept.join(', ')}), their glue records can not be removed!`);
+    validateOptions(options);
+    const dryRun = options?.dryRun === true;
+    const requestOptions = { signal: options?.signal, timeout: options?.timeout };
+
+    const previous = await readState(client, domain, requestOptions);
+    const current = new Map(previous.glue.map((glue) => [glue.host.toLowerCase(), glue.ips]));
+
+    /** @type {PorkbunVanityNameserverOperation[]} */
+    const operations = [];
+    // Name servers first, no longer pointing to the glue records once they are removed
+    if(!sameEntries(previousNameservers, previous.nameservers))
+        operations.push({ action: 'updateNameServers', key: domain, data: previousNameservers, previous: previous.nameservers, status: 'planned' });
+    for (const { host, previousIPs } of setup.hosts) {
+        const ips = current.get(host.toLowerCase());
+        // Glue records that existed before the setup are restored instead of removed
+        if(!previousIPs && ips)
+            operations.push({ action: 'deleteGlue', key: host, data: null, previous: ips, status: 'planned' });
+        else if(previousIPs && !ips)
+            operations.push({ action: 'createGlue', key: host, data: previousIPs, previous: null, status: 'planned' });
+        else if(previousIPs && !sameEntries(previousIPs, ips))
+            operations.push({ action: 'updateGlue', key: host, data: previousIPs, previous: ips, status: 'planned' });
+    }
+
+    // Removing glue records still used as name servers would break resolution
+    if(!dryRun && operations.length)
+        await applyOperations(client, domain, operations, 'deleteGlue', requestOptions);
+    return {
+        domain,
+        dryRun,
+        operations,
+        state: dryRun || !operations.length ? previous : await readState(client, domain, requestOptions)
+    };
+}
+
+module.exports = { setupVanityNameservers, teardownVanityNameservers };
@@ -0,0 +1,509 @@
+// porkbun-client
+// Copyright (C) 2025  Oxtaly
+
+// // This program is free software: you can redistribute it and/or modify
+// // it under the terms of the GNU General Public License as published by
+// // the Free Software Foundation, either version 3 of the License, or
+// // (at your option) any later version.
+
+// // This program is distributed in the hope that it will be useful,
+// // but WITHOUT ANY WARRANTY; without even the implied warranty of
+// // MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// // GNU General Public License for more details.
+
+// // You should have received a copy of the GNU General Public License
+// // along with this program.  If not, see <https://www.gnu.org/licenses/>.
+
+"use strict";
+
+/**
+ * @typedef {import('../types.d.ts').PorkbunDNSRecord}         PorkbunDNSRecord
+ * @typedef {import('../types.d.ts').PorkbunAPIDNSRecordTypes} PorkbunAPIDNSRecordTypes
+ * @typedef {import('../types.d.ts').PorkbunZoneWarning}       PorkbunZoneWarning
+ */
+
+/**
+ * @typedef {Object} ZoneEntry
+ * @property {string} name - Fully qualified owner name, without a trailing dot.
+ * @property {string} origin - $ORIGIN in effect for the record, used to resolve relative host names in its data.
+ * @property {number} ttl
+ * @property {string} type - Uppercased record type.
+ * @property {string[]} data - RDATA tokens, quoted strings keep their quotes.
+ * @property {number} line - Line number of the record in the zone file.
+ */
+
+/** @type {PorkbunAPIDNSRecordTypes[]} */
+const SUPPORTED_RECORD_TYPES = ["A", "MX", "CNAME", "ALIAS", "TXT", "NS", "AAAA", "SRV", "TLSA", "CAA", "HTTPS", "SVCB"];
+
+const CLASSES = ["IN", "CH", "HS", "CS"];
+
+const TTL_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+/** Maximum length in bytes of a single TXT character-string. */
+const MAX_CHARACTER_STRING_LENGTH = 255;
+
+/**
+ * Converts a record name to a name relative to the origin, "@" being the origin itself.
+ * 
+ * @param {string} name - Fully qualified name, with or without a trailing dot.
+ * @param {string} origin - Domain the zone belongs to, without a trailing dot.
+ */
+function toRelativeName(name, origin) {
+    const fqdn = name.endsWith('.') ? name.slice(0, -1) : name;
+    if(fqdn.toLowerCase() === origin.toLowerCase() || fqdn === '')
+        return '@';
+    if(fqdn.toLowerCase().endsWith(`.${origin.toLowerCase()}`))
+        return fqdn.slice(0, -(origin.length + 1));
+    return `${fqdn}.`;
+}
+
+/**
+ * Makes a host name absolute by adding a trailing dot. The root name "." is left as is.
+ * 
+ * @param {string} hostname 
+ */
+function toAbsoluteName(hostname) {
+    return hostname.endsWith('.') ? hostname : `${hostname}.`;
+}
+
+/**
+ * Quotes a value as one or more DNS character-strings, splitting it every 255 bytes.
+ * 
+ * @param {string} value 
+ */
+function quoteCharacterStrings(value) {
+    const bytes = Buffer.from(value, 'utf8');
+    const strings = [];
+    let start = 0;
+    do {
+        let quoted = '';
+        for (const byte of bytes.subarray(start, start + MAX_CHARACTER_STRING_LENGTH)) {
+            if(byte === 0x22 || byte === 0x5c)
+                quoted += `\\${String.fromCharCode(byte)}`;
+            else if(byte < 0x20 || byte > 0x7e)
+                quoted += `\\${byte.toString().padStart(3, '0')}`;
+            else
+                quoted += String.fromCharCode(byte);
+        }
+        strings.push(`"${quoted}"`);
+        start += MAX_CHARACTER_STRING_LENGTH;
+    } while (start < bytes.length);
+    return strings.join(' ');
+}
+
+/**
+ * Checks if a TXT record content is already formatted as one or more quoted character-strings.
+ * 
+ * @param {string} content 
+ */
+function isQuotedCharacterStrings(content) {
+    return /^"(?:[^"\\]|\\.)*"(?:\s+"(?:[^"\\]|\\.)*")*$/.test(content.trim());
+}
+
+/**
+ * Formats the content of a record into zone file RDATA.
+ * 
+ * @param {PorkbunDNSRecord} record 
+ */
+function formatRecordData(record) {
+    const content = record.content.trim();
+    const priority = record.prio === null || record.prio === undefined || record.prio === '' ? '0' : `${parseInt(`${record.prio}`)}`;
+    switch (record.type) {
+        case "A":
+        case "AAAA":
+        case "TLSA":
+            return content;
+        case "CNAME":
+        case "ALIAS":
+        case "NS":
+            return toAbsoluteName(content);
+        case "MX":
+            return `${priority} ${toAbsoluteName(content)}`;
+        case "SRV": {
+            // Porkbun stores the priority separately, the content being "weight port target"
+            const [weight, port, target] = content.split(/\s+/);
+            return `${priority} ${weight} ${port} ${toAbsoluteName(target)}`;
+        }
+        case "TXT":
+            return isQuotedCharacterStrings(content) ? content : quoteCharacterStrings(record.content);
+        case "CAA": {
+            const match = content.match(/^(\d+)\s+(\S+)\s+(.*)$/);
+            if(!match)
+                return content;
+            const [, flags, tag, value] = match;
+            return `${flags} ${tag} ${isQuotedCharacterStrings(value) ? value : quoteCharacterStrings(value)}`;
+        }
+        case "HTTPS":
+        case "SVCB": {
+            const [svcPriority, target, ...params] = content.split(/\s+/);
+            return [svcPriority, target === '.' ? target : toAbsoluteName(target), ...params].join(' ');
+        }
+        default:
+            return content;
+    }
+}
+
+/**
+ * Formats DNS records returned by the API into an RFC 1035 zone file.
+ * 
+ * @param {string} domain - Domain the records belong to, used as the zone's $ORIGIN.
+ * @param {PorkbunDNSRecord[]} records 
+ * @param {Object} [options]
+ * @param {number} [options.ttl] - Default TTL of the zone ($TTL). Defaults to the most used TTL in the records, or 600 if there are none.
+ */
+function formatZone(domain, records, options) {
+    const origin = domain.endsWith('.') ? domain.slice(0, -1) : domain;
+
+    let defaultTTL = options?.ttl;
+    if(defaultTTL === undefined || defaultTTL === null) {
+        /** @type {Map<number, number>} */
+        const ttlCounts = new Map();
+        for (const record of records) {
+            const ttl = parseInt(`${record.ttl}`);
+            ttlCounts.set(ttl, (ttlCounts.get(ttl) ?? 0) + 1);
+        }
+        defaultTTL = [...ttlCounts.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0]?.[0] ?? 600;
+    }
+
+    const rows = records
+        .map((record) => ({
+            name:  toRelativeName(record.name, origin),
+            ttl:   `${parseInt(`${record.ttl}`) || defaultTTL}`,
+            type:  record.type,
+            data:  formatRecordData(record),
+            notes: record.notes ? record.notes.replace(/\s+/g, ' ').trim() : ''
+        }))
+        .sort((a, b) => {
+            if(a.name !== b.name) {
+                if(a.name === '@' || b.name === '@')
+                    return a.name === '@' ? -1 : 1;
+                return a.name.localeCompare(b.name);
+            }
+            return a.type.localeCompare(b.type) || a.data.localeCompare(b.data);
+        });
+
+    const nameWidth = Math.max(1, ...rows.map((row) => row.name.length));
+    const ttlWidth  = Math.max(1, ...rows.map((row) => row.ttl.length));
+    const typeWidth = Math.max(1, ...rows.map((row) => row.type.length));
+
+    const lines = [
+        `$ORIGIN ${origin}.`,
+        `$TTL ${defaultTTL}`,
+        ''
+    ];
+    for (const row of rows) {
+        let line = `${row.name.padEnd(nameWidth)} ${row.ttl.padStart(ttlWidth)} IN ${row.type.padEnd(typeWidth)} ${row.data}`;
+        if(row.notes)
+            line += ` ; ${row.notes}`;
+        lines.push(line);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Parses a TTL value, supporting BIND style units (eg: "1h30m").
+ * 
+ * @param {string} value 
+ * @returns {number | null} Null if the value is not a valid TTL.
+ */
+function parseTTL(value) {
+    if(/^\d+$/.test(value))
+        return parseInt(value);
+    if(!/^(\d+[smhdw])+$/i.test(value))
+        return null;
+    let ttl = 0;
+    for (const [, amount, unit] of value.matchAll(/(\d+)([smhdw])/gi))
+        ttl += parseInt(amount) * TTL_UNITS[unit.toLowerCase()];
+    return ttl;
+}
+
+/**
+ * Splits a zone file into logical lines, joining lines inside parentheses and stripping comments.
+ * 
+ * @param {string} text 
+ * @returns {{ tokens: string[], ownerOmitted: boolean, line: number }[]}
+ */
+function tokenizeZone(text) {
+    const lines = [];
+    /** @type {string[]} */
+    let tokens = [];
+    let token = null;
+    let ownerOmitted = false;
+    let lineStart = 1;
+    let line = 1;
+    let depth = 0;
+    let inQuotes = false;
+    let atLineStart = true;
+
+    const endToken = () => {
+        if(token !== null)
+            tokens.push(token);
+        token = null;
+    };
+    const endLine = () => {
+        endToken();
+        if(tokens.length)
+            lines.push({ tokens, ownerOmitted, line: lineStart });
+        tokens = [];
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if(atLineStart && depth === 0) {
+            ownerOmitted = char === ' ' || char === '\t';
+            lineStart = line;
+            atLineStart = false;
+        }
+
+        if(inQuotes) {
+            token += char;
+            if(char === '\\' && i + 1 < text.length)
+                token += text[++i];
+            else if(char === '"')
+                inQuotes = false;
+            if(char === '\n')
+                line++;
+            continue;
+        }
+
+        switch (char) {
+            case '"':
+                token = (token ?? '') + char;
+                inQuotes = true;
+                break;
+            case ';':
+                while (i + 1 < text.length && text[i + 1] !== '\n')
+                    i++;
+                break;
+            case '(':
+                endToken();
+                depth++;
+                break;
+            case ')':
+                endToken();
+                depth = Math.max(0, depth - 1);
+                break;
+            case '\n':
+                line++;
+                if(depth === 0) {
+                    endLine();
+                    atLineStart = true;
+                } else
+                    endToken();
+                break;
+            case ' ':
+            case '\t':
+            case '\r':
+                endToken();
+                break;
+            case '\\':
+                token = (token ?? '') + char + (text[i + 1] ?? '');
+                i++;
+                break;
+            default:
+                token = (token ?? '') + char;
+        }
+    }
+    endLine();
+    return lines;
+}
+
+/**
+ * Unquotes a DNS character-string, resolving escape sequences.
+ * 
+ * @param {string} value 
+ */
+function unquoteCharacterString(value) {
+    const inner = value.startsWith('"') && value.endsWith('"') && value.length >= 2 ? value.slice(1, -1) : value;
+    /** @type {number[]} */
+    const bytes = [];
+    for (let i = 0; i < inner.length; i++) {
+        if(inner[i] === '\\' && /^\d{3}$/.test(inner.slice(i + 1, i + 4))) {
+            bytes.push(parseInt(inner.slice(i + 1, i + 4)));
+            i += 3;
+        } else if(inner[i] === '\\' && i + 1 < inner.length)
+            bytes.push(...Buffer.from(inner[++i], 'utf8'));
+        else
+            bytes.push(...Buffer.from(inner[i], 'utf8'));
+    }
+    return Buffer.from(bytes).toString('utf8');
+}
+
+/**
+ * Parses an RFC 1035 zone file into its records. $INCLUDE and $GENERATE directives are not supported and are skipped with a warning.
+ * 
+ * @param {string} text 
+ * @param {string} origin - Initial $ORIGIN of the zone, without a trailing dot.
+ * @returns {{ entries: ZoneEntry[], warnings: PorkbunZoneWarning[] }}
+ */
+function parseZone(text, origin) {
+    /** @type {ZoneEntry[]} */
+    const entries = [];
+    /** @type {PorkbunZoneWarning[]} */
+    const warnings = [];
+
+    let currentOrigin = origin.endsWith('.') ? origin.slice(0, -1) : origin;
+    /** @type {number | null} */
+    let defaultTTL = null;
+    /** @type {number | null} */
+    let lastTTL = null;
+    /** @type {string | null} */
+    let lastOwner = null;
+
+    /** @param {string} name */
+    const resolveName = (name) => {
+        if(name === '@')
+            return currentOrigin;
+        if(name.endsWith('.'))
+            return name.slice(0, -1);
+        return currentOrigin ? `${name}.${currentOrigin}` : name;
+    };
+
+    for (const { tokens, ownerOmitted, line } of tokenizeZone(text)) {
+        const directive = tokens[0].toUpperCase();
+        if(!ownerOmitted && directive === '$ORIGIN') {
+            if(!tokens[1]) {
+                warnings.push({ line, message: `Missing $ORIGIN value, directive ignored.` });
+                continue;
+            }
+            currentOrigin = resolveName(tokens[1]);
+            continue;
+        }
+        if(!ownerOmitted && directive === '$TTL') {
+            const ttl = parseTTL(tokens[1] ?? '');
+            if(ttl === null)
+                warnings.push({ line, message: `Invalid $TTL value '${tokens[1]}', directive ignored.` });
+            else
+                defaultTTL = ttl;
+            continue;
+        }
+        if(!ownerOmitted && directive.startsWith('$')) {
+            warnings.push({ line, message: `Unsupported ${directive} directive, skipped.` });
+            continue;
+        }
+
+        let index = 0;
+        let owner = lastOwner;
+        if(!ownerOmitted)
+            owner = resolveName(tokens[index++]);
+        if(owner === null) {
+            warnings.push({ line, message: `Record without an owner name, skipped.` });
+            continue;
+        }
+        lastOwner = owner;
+
+        /** @type {number | null} */
+        let ttl = null;
+        // TTL and class are both optional and can be in any order
+        while (index < tokens.length) {
+            const value = tokens[index];
+            if(ttl === null && parseTTL(value) !== null)
+                ttl = parseTTL(value);
+            else if(!CLASSES.includes(value.toUpperCase()))
+                break;
+            index++;
+        }
+
+        const type = tokens[index++]?.toUpperCase();
+        if(!type) {
+            warnings.push({ line, message: `Record without a type, skipped.` });
+            continue;
+        }
+
+        ttl = ttl ?? defaultTTL ?? lastTTL ?? 600;
+        lastTTL = ttl;
+        entries.push({ name: owner, origin: currentOrigin, ttl, type, data: tokens.slice(index), line });
+    }
+
+    return { entries, warnings };
+}
+
+/**
+ * Converts a parsed zone entry into record data accepted by createDNSRecord, or into a warning if the record can not be managed through the API.
+ * 
+ * @param {ZoneEntry} entry 
+ * @param {string} domain - Domain the records are imported into, without a trailing dot.
+ * @returns {{ record: { name: string, type: PorkbunAPIDNSRecordTypes, content: string, ttl: number, priority?: number }, warning?: undefined } | { record?: undefined, warning: PorkbunZoneWarning }}
+ */
+function toRecordData(entry, domain) {
+    const warn = (message) => ({ warning: { line: entry.line, message } });
+
+    /** @param {string} hostname */
+    const toHostname = (hostname) => {
+        if(hostname === '@')
+            return entry.origin;
+        if(hostname.endsWith('.'))
+            return hostname.slice(0, -1);
+        return `${hostname}.${entry.origin}`;
+    };
+
+    const name = entry.name.toLowerCase();
+    const lowerDomain = domain.toLowerCase();
+    if(name !== lowerDomain && !name.endsWith(`.${lowerDomain}`))
+        return warn(`${entry.type} record '${entry.name}' is outside of the '${domain}' zone, skipped.`);
+    if(entry.type === 'SOA')
+        return warn(`SOA records are managed by Porkbun, skipped.`);
+    if(entry.type === 'NS' && name === lowerDomain)
+        return warn(`Apex NS records can not be managed through DNS records (use updateNameServers instead), skipped.`);
+    if(!SUPPORTED_RECORD_TYPES.includes(/** @type {PorkbunAPIDNSRecordTypes} */ (entry.type)))
+        return warn(`Unsupported ${entry.type} record type for '${entry.name}', skipped.`);
+
+    const type = /** @type {PorkbunAPIDNSRecordTypes} */ (entry.type);
+    const subdomain = name === lowerDomain ? '' : entry.name.slice(0, -(domain.length + 1));
+    const data = entry.data;
+    const record = { name: subdomain, type, content: null, ttl: entry.ttl };
+
+    const expectData = (count) => data.length >= count;
+    switch (type) {
+        case "A":
+        case "AAAA":
+            if(!expectData(1))
+                return warn(`Missing ${type} record address for '${entry.name}', skipped.`);
+            record.content = data[0];
+            break;
+        case "CNAME":
+        case "ALIAS":
+        case "NS":
+            if(!expectData(1))
+                return warn(`Missing ${type} record target for '${entry.name}', skipped.`);
+            record.content = toHostname(data[0]);
+            break;
+        case "MX":
+            if(!expectData(2) || isNaN(data[0]))
+                return warn(`Invalid MX record data for '${entry.name}', skipped.`);
+            record.priority = parseInt(data[0]);
+            record.content = toHostname(data[1]);
+            break;
+        case "SRV":
+            if(!expectData(4) || isNaN(data[0]) || isNaN(data[1]) || isNaN(data[2]))
+                return warn(`Invalid SRV record data for '${entry.name}', skipped.`);
+            record.priority = parseInt(data[0]);
+            record.content = `${parseInt(data[1])} ${parseInt(data[2])} ${toHostname(data[3])}`;
+            break;
+        case "TXT":
+            if(!expectData(1))
+                return warn(`Missing TXT record data for '${entry.name}', skipped.`);
+            record.content = data.map(unquoteCharacterString).join('');
+            break;
+        case "CAA":
+            if(!expectData(3))
+                return warn(`Invalid CAA record data for '${entry.name}', skipped.`);
+            record.content = `${data[0]} ${data[1]} ${data.slice(2).join(' ')}`;
+            break;
+        case "TLSA":
+            if(!expectData(4))
+                return warn(`Invalid TLSA record data for '${entry.name}', skipped.`);
+            record.content = `${data[0]} ${data[1]} ${data[2]} ${data.slice(3).join('')}`;
+            break;
+        case "HTTPS":
+        case "SVCB":
+            if(!expectData(2))
+                return warn(`Invalid ${type} record data for '${entry.name}', skipped.`);
+            record.content = [data[0], data[1] === '.' ? data[1] : toHostname(data[1]), ...data.slice(2)].join(' ');
+            break;
+    }
+
+    return { record };
+}
+
+module.exports = { formatZone, parseZone, toRecordData, toRelativeName, toAbsoluteName };
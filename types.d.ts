@@ -11,12 +11,146 @@ export interface PorkbunClientOptions {
     secretKey: string;
     /** Base api endpoint used by the wrapper. @default "https://api.porkbun.com/api/json/v3" */
     endpoint?: string;
-    /** Logger that takes in the requests made by the client. Does not include api keys. */
+    /** Logger that takes in the requests made by the client. Does not include api keys. Kept for compatibility, registered as a beforeRequest hook. */
     queryLogger?: (query: { url: string, body: Object }) => void; 
+    /** Request hooks, see {@link PorkbunHooks}. More can be registered with client.use(). */
+    hooks?: PorkbunHooks | PorkbunHooks[];
     /** User-Agent header sent with the requests. Set to null to send the default (usually "node") Node.js User-Agent header. @default "porkbun-wrapper" */
     userAgent?: string;
+    /** Retry policy for failed requests. Requests are not retried if unset. */
+    retry?: PorkbunRetryOptions;
+    /** Whether checkDomain calls are queued and delayed until the rate limit window resets once the limit is reached, instead of failing with an APIError. @default true */
+    rateLimitQueue?: boolean;
+    /** Timeout of each request attempt in milliseconds, rejecting with a TimeoutError. Can be overridden per call. No timeout if unset. */
+    timeout?: number;
+    /** Whether responses are normalized (numbers, booleans, Date objects and arrays instead of raw strings), see {@link PorkbunNormalizedResponses}. @default false */
+    normalize?: boolean;
+    /** 
+     * Whether success responses are checked against the schemas mirroring {@link PorkbunAPIResponses}, to detect API changes. 
+     * Mismatches are reported to onSchemaMismatch, or rejected with a SchemaMismatchError if set to "strict". @default false 
+     */
+    validateResponses?: boolean | "strict";
+    /** Called with the SchemaMismatchError of mismatching responses when validateResponses is not "strict". Errors it throws reject the request as they are. @default emits a "SchemaMismatchWarning" process warning */
+    onSchemaMismatch?: (error: PorkbunSchemaMismatchError) => void;
 }
 
+export interface PorkbunSchemaIssue {
+    /** Path of the field in the response (eg: "domains[0].autoRenew"), empty for the response itself. */
+    path:      string;
+    /** "missing" for missing fields, "unexpected" for fields absent from the schema, "type" for values of an unexpected type or value. */
+    kind:      "missing" | "unexpected" | "type";
+    /** Expected type or values, unset for unexpected fields. */
+    expected?: string;
+    /** Received value (or its type for objects and arrays), unset for missing fields. */
+    received?: string;
+}
+
+export interface PorkbunSchemaMismatchError extends Error {
+    context:      { url: string, body: Object };
+    apiResponse:  Object;
+    responseName: keyof PorkbunAPIResponses;
+    issues:       PorkbunSchemaIssue[];
+}
+
+export interface PorkbunRetryOptions {
+    /** Maximum number of attempts, including the first one. @default 3 */
+    maxAttempts?: number;
+    /** Delay in milliseconds before the first retry, multiplied by `factor` for each subsequent retry. @default 500 */
+    baseDelay?: number;
+    /** Maximum delay in milliseconds between two attempts. @default 10000 */
+    maxDelay?: number;
+    /** Exponential backoff multiplier. @default 2 */
+    factor?: number;
+    /** Whether to randomize the delay between 0 and the computed backoff delay (full jitter). @default true */
+    jitter?: boolean;
+    /** Whether requests that create, edit or delete data (eg: createDNSRecord) are retried. Retrying those can result in duplicated records. @default false */
+    retryMutations?: boolean;
+    /** Which failures are retried. */
+    retryOn?: {
+        /** Failures to reach the API (DNS resolution, refused or reset connections, etc.) and timeouts. Other errors (eg: thrown by hooks) are never retried. @default true */
+        networkErrors?: boolean;
+        /** ResponseErrors caused by a 5xx HTTP status. @default true */
+        serverErrors?: boolean;
+        /** ResponseErrors caused by a non JSON response or an invalid response format. @default true */
+        invalidResponses?: boolean;
+        /** APIErrors caused by hitting a rate limit. @default true */
+        rateLimits?: boolean;
+    };
+}
+
+export interface PorkbunRateLimitState {
+    /** Amount of domain checks allowed per window. */
+    limit: number | null;
+    /** Amount of domain checks used in the current window. */
+    used: number | null;
+    /** Amount of domain checks left in the current window. */
+    remaining: number | null;
+    /** Duration of a window in seconds. */
+    ttl: number | null;
+    /** Estimated time at which the current window resets. Null if there is no active window. */
+    resetsAt: Date | null;
+    /** Amount of checkDomain calls waiting in the queue, including the one in progress. */
+    queued: number;
+}
+
+/** Request attempt as seen by the hooks. beforeRequest hooks can modify its url, headers and body. */
+export interface PorkbunHookRequest {
+    url:     string;
+    method:  "POST" | "GET";
+    headers: Record<string, string>;
+    /** JSON body, without the API keys (added after the beforeRequest hooks). Undefined for GET requests. */
+    body?:   Record<string, any>;
+    /** Attempt number, starting at 1. Greater than 1 for retries. */
+    attempt: number;
+}
+
+export interface PorkbunHookResponse {
+    request:  PorkbunHookRequest;
+    response: Response;
+    /** HTTP status of the response. */
+    status:   number;
+    /** Parsed JSON response, including the ones with an "ERROR" status. */
+    data:     any;
+    /** Time between sending the request and parsing the response in milliseconds. */
+    duration: number;
+}
+
+export interface PorkbunHookError {
+    request:  PorkbunHookRequest;
+    /** Error the attempt failed with (ResponseError, APIError, TimeoutError, abort reason, network error, ...). */
+    error:    any;
+    duration: number;
+}
+
+/** Hooks called on every request attempt. They can be async and are awaited, errors thrown by hooks rejecting the call. */
+export interface PorkbunHooks {
+    /** Called before sending a request, can modify the request's url, headers and body. */
+    beforeRequest?: (request: PorkbunHookRequest) => void | Promise<void>;
+    /** Called once a JSON response was parsed, before resolving (or rejecting with an APIError). */
+    afterResponse?: (response: PorkbunHookResponse) => void | Promise<void>;
+    /** Called when a request attempt fails. Retried attempts call it again. */
+    onError?: (error: PorkbunHookError) => void | Promise<void>;
+}
+
+export interface PorkbunRequestOptions {
+    /** Aborts the request (and pending retries), rejecting with the signal's reason. */
+    signal?:  AbortSignal;
+    /** Timeout of each request attempt in milliseconds, rejecting with a TimeoutError. Overrides the client's timeout option, 0 disabling it. */
+    timeout?: number;
+}
+
+export interface PorkbunDomainFilterOptions extends PorkbunRequestOptions {
+    /** Whether to include the label information of the domains. Always included when filtering by label. */
+    includeLabels?: boolean;
+    /** Only include domains with one of these TLDs (eg: "com" or ".com"). */
+    tld?: string | string[];
+    /** Only include domains with at least one label with one of these titles. */
+    label?: string | string[];
+    /** Only include domains with one of these statuses (eg: "ACTIVE"). */
+    status?: string | string[];
+    /** Only include domains expiring within this amount of days, already expired domains included. */
+    expiresWithinDays?: number;
+}
 
 export type PorkbunAPIDNSRecord = {
     id:      PorkbunAPIRecordIDType, 
@@ -28,6 +162,94 @@ export type PorkbunAPIDNSRecord = {
     notes:   string | null
 }
 
+export interface PorkbunSvcParams {
+    mandatory?:         string[];
+    alpn?:              string[];
+    "no-default-alpn"?: true;
+    port?:              number;
+    ipv4hint?:          string[];
+    ech?:               string;
+    ipv6hint?:          string[];
+    dohpath?:           string;
+    ohttp?:             true;
+    /** Generic "keyNNNNN" params. */
+    [key: `key${number}`]: string;
+}
+
+/** Structured content of each record type, as built by buildRecordContent and parsed by parseRecordContent. The priority of MX and SRV records is set separately, through the record's priority. */
+export interface PorkbunDNSRecordContent {
+    A:     { address: string };
+    AAAA:  { address: string };
+    CNAME: { target: string };
+    ALIAS: { target: string };
+    NS:    { target: string };
+    MX:    { exchange: string };
+    TXT:   { text: string };
+    SRV:   { weight: number, port: number, target: string };
+    TLSA:  { usage: 0 | 1 | 2 | 3 | number, selector: 0 | 1 | number, matchingType: 0 | 1 | 2 | number, data: string };
+    CAA:   { flags: number, tag: "issue" | "issuewild" | "iodef" | "issuemail" | string, value: string };
+    /** A priority of 0 is alias mode, which cannot have params. */
+    HTTPS: { priority: number, target: string, params?: PorkbunSvcParams };
+    SVCB:  { priority: number, target: string, params?: PorkbunSvcParams };
+}
+
+/** Record data as accepted by createDNSRecord. */
+export type PorkbunDNSRecordData = {
+    /** Subdomain of the record, empty for the root domain. */
+    name:      string | null,
+    type:      PorkbunAPIDNSRecordTypes,
+    content:   string,
+    ttl?:      number,
+    priority?: number
+}
+
+export type PorkbunDNSOperationStatus = "planned" | "applied" | "failed";
+
+export type PorkbunDNSOperation = ({
+    action: "create",
+    record: PorkbunDNSRecordData,
+    /** ID of the created record, set once applied. */
+    id?:    PorkbunAPIRecordIDType
+} | {
+    action: "delete",
+    id:     PorkbunAPIRecordIDType,
+    /** The record being deleted. */
+    record: PorkbunDNSRecord
+} | {
+    action:   "edit",
+    id:       PorkbunAPIRecordIDType,
+    /** The new record data. */
+    record:   PorkbunDNSRecordData,
+    /** The record before the edit. */
+    previous: PorkbunDNSRecord
+}) & {
+    status: PorkbunDNSOperationStatus,
+    /** Error the operation failed with, if its status is "failed". */
+    error?: any
+}
+
+export interface PorkbunDNSPlan {
+    domain:     string;
+    /** Operations to apply, creations first, then edits, then deletions. */
+    operations: PorkbunDNSOperation[];
+    /** Existing records left as they are. */
+    unchanged:  PorkbunDNSRecord[];
+}
+
+export interface PorkbunZoneWarning {
+    /** Line of the zone file the warning is about. */
+    line:    number;
+    message: string;
+}
+
+export interface PorkbunZoneImportResult {
+    mode:       "merge" | "replace";
+    dryRun:     boolean;
+    operations: PorkbunDNSOperation[];
+    /** Records and directives of the zone file that were skipped. */
+    warnings:   PorkbunZoneWarning[];
+}
+
 export type PorkbunAPIResponse<SuccessData> = { status: "SUCCESS" } & SuccessData;
 
 export interface PorkbunAPIResponses {
@@ -170,4 +392,659 @@ export interface PorkbunAPIResponses {
         /** The public key. */
         publickey: string
     }>
-}
\ No newline at end of file
+}
+
+export type PorkbunNormalizedDNSRecord = Omit<PorkbunAPIDNSRecord, 'ttl' | 'prio' | 'notes'> & {
+    ttl:   number,
+    prio:  number | null,
+    notes: string | null
+}
+
+/** DNS record as returned by getDNSRecords, with or without the normalize client option. */
+export type PorkbunDNSRecord = PorkbunAPIDNSRecord | PorkbunNormalizedDNSRecord;
+
+/** Responses as returned with the normalize client option: numbers, booleans, Date objects and arrays instead of the raw strings and objects keyed by index. */
+export interface PorkbunNormalizedResponses extends Omit<PorkbunAPIResponses, 'getPricing' | 'getDomains' | 'getURLForwardings' | 'checkDomainAvailability' | 'getGlueRecords' | 'getDNSRecords' | 'getDNSRecord' | 'getDNSSECRecords'> {
+    getPricing: PorkbunAPIResponse<{
+        pricing: {
+            [key: string]: {
+                registration: number,
+                renewal: number,
+                transfer: number,
+                /** Empty if there are no coupons. */
+                coupons: {
+                    registration?: {
+                        code: string,
+                        max_per_user: number,
+                        first_year_only: boolean,
+                        type: "amount",
+                        amount: number | null
+                    }
+                },
+                specialType?: "handshake"
+            }
+        }
+    }>;
+    getDomains: PorkbunAPIResponse<{
+        domains: {
+            domain: string,
+            status: "ACTIVE",
+            tld: string,
+            createDate: Date,
+            expireDate: Date,
+            securityLock: boolean,
+            whoisPrivacy: boolean,
+            autoRenew: boolean,
+            notLocal: boolean,
+            labels?: {
+                id: number,
+                color: string,
+                title: string
+            }[]
+        }[]
+    }>;
+    getURLForwardings: PorkbunAPIResponse<{
+        forwards: {
+            id: `${number}`,
+            subdomain: string,
+            location: string,
+            type: "temporary"|"permanent",
+            includePath: boolean,
+            wildcard: boolean
+        }[]
+    }>;
+    checkDomainAvailability: PorkbunAPIResponse<{
+        response: {
+            avail: boolean,
+            type: "registration",
+            price: number,
+            firstYearPromo: boolean,
+            regularPrice: number,
+            premium: boolean,
+            additional: {
+                renewal: { type: "renewal", price: number, regularPrice: number },
+                transfer: { type: "transfer", price: number, regularPrice: number }
+            }
+        },
+        limits: {
+            TTL: number,
+            limit: number,
+            used: number,
+            naturalLanguage: string
+        }
+    }>;
+    getGlueRecords: PorkbunAPIResponse<{
+        /** Empty instead of null if there are no glue records. */
+        hosts: [string, { v6: string[], v4: string[] }][]
+    }>;
+    getDNSRecords: PorkbunAPIResponse<{
+        cloudflare?: "enabled"|"disabled",
+        records: PorkbunNormalizedDNSRecord[]
+    }>;
+    getDNSRecord: PorkbunAPIResponse<{
+        cloudflare?: "enabled"|"disabled",
+        records: [PorkbunNormalizedDNSRecord]
+    }>;
+    getDNSSECRecords: PorkbunAPIResponse<{
+        records: {
+            keyTag: number,
+            alg: number,
+            digestType: number,
+            digest: string
+        }[]
+    }>;
+}
+
+/** Response of a client method, normalized if the client was created with the normalize option. */
+export type PorkbunResponse<K extends keyof PorkbunAPIResponses, Normalize extends boolean = false> = Normalize extends true ? PorkbunNormalizedResponses[K] : PorkbunAPIResponses[K];
+
+/** Function resolving to the current public IP address, or null if it could not be detected. */
+export type DynamicDNSIPSource = () => Promise<string | null>;
+
+export interface DynamicDNSUpdaterOptions {
+    /** Domain the records belong to. */
+    domain: string;
+    /** Subdomains to keep updated. Use an empty string or "@" for the root domain. */
+    subdomains: string[];
+    /** Interval in milliseconds between two checks when started. @default 300000 */
+    interval?: number;
+    /** TTL in seconds of the created and edited records. Uses the API default if unset. */
+    ttl?: number;
+    /** Whether to update A records, or a custom source for the public IPv4 address. Detected through ping() when set to true. @default true */
+    ipv4?: boolean | DynamicDNSIPSource;
+    /** Whether to update AAAA records, or a custom source for the public IPv6 address. Detected through ping() when set to true. @default false */
+    ipv6?: boolean | DynamicDNSIPSource;
+}
+
+export interface DynamicDNSUpdateResult {
+    /** Subdomain of the record, empty for the root domain. */
+    subdomain: string;
+    type:      "A" | "AAAA";
+    /** The current public address. */
+    address:   string;
+    /** Content of the records before the update. */
+    previous:  string[];
+    action:    "created" | "edited" | "unchanged";
+}
+
+export interface MockPorkbunDomainOptions {
+    /** @default ["curitiba.ns.porkbun.com", "fortaleza.ns.porkbun.com", "maceio.ns.porkbun.com", "salvador.ns.porkbun.com"] */
+    nameservers?: string[];
+    /** Initial DNS records of the domain, in the same format as createDNSRecord's body. */
+    records?: { name?: string, type: PorkbunAPIDNSRecordTypes, content: string, ttl?: number | string, prio?: number | string, notes?: string }[];
+    /** SSL bundle returned by getSSLBundle. The API responds with an error if unset. */
+    ssl?: PorkbunAPIResponses['getSSLBundle'];
+    /** Label titles of the domain. */
+    labels?: string[];
+    /** @default new Date() */
+    createDate?: Date;
+    /** @default One year after createDate */
+    expireDate?: Date;
+    /** @default true */
+    securityLock?: boolean;
+    /** @default true */
+    whoisPrivacy?: boolean;
+    /** @default true */
+    autoRenew?: boolean;
+}
+
+export interface MockPorkbunServerOptions {
+    /** API key accepted by the server. @default "pk1_mock" */
+    apiKey?: string;
+    /** Secret key accepted by the server. @default "sk1_mock" */
+    secretKey?: string;
+    /** Domains of the account. */
+    domains?: (string | ({ domain: string } & MockPorkbunDomainOptions))[];
+    /** Pricing returned by getPricing and used by checkDomain. Defaults to a few common TLDs. */
+    pricing?: PorkbunAPIResponses['getPricing']['pricing'];
+    /** Rate limit of domain checks. @default { limit: 1, ttl: 10 } */
+    checkDomainLimit?: { limit?: number, ttl?: number };
+    /** IP address returned by ping. Defaults to the address of the request. */
+    ip?: string;
+}
+
+export interface MockPorkbunFault {
+    /** 
+     * - "html": responds with an HTML error page (status 400 by default). 
+     * - "serverError": responds with an HTML error page and a 502 status. 
+     * - "contentType": responds with a valid JSON body but a wrong content-type ("text/plain" by default). 
+     * - "invalidJSON": responds with an invalid JSON body. 
+     * - "rateLimit": responds with a rate limit error. 
+     * - "apiError": responds with a status of "ERROR". 
+     * - "networkError": closes the connection without responding. 
+     * - "delay": delays the response by `delay` milliseconds.
+     */
+    type: "html" | "serverError" | "contentType" | "invalidJSON" | "rateLimit" | "apiError" | "networkError" | "delay";
+    /** Path of the requests to fail, relative to the endpoint (eg: "/dns/create"). Strings match path prefixes. Matches all requests if unset. */
+    path?: string | RegExp;
+    /** Amount of requests to fail. @default 1 */
+    times?: number;
+    /** HTTP status of the response. */
+    status?: number;
+    /** Message of "rateLimit" and "apiError" faults. */
+    message?: string;
+    /** Content-type of "contentType" faults. */
+    contentType?: string;
+    /** Delay in milliseconds of "delay" faults. @default 1000 */
+    delay?: number;
+}
+
+export type PorkbunACMEWaitOptions = PorkbunPropagationOptions;
+
+export interface PorkbunACMEChallenge {
+    domain: string;
+    /** Name of the challenge record, relative to the domain (eg: "_acme-challenge.www"). */
+    name:   string;
+    /** Fully qualified name of the challenge record. */
+    fqdn:   string;
+    value:  string;
+    /** ID of the TXT record. */
+    id:     string;
+}
+
+export interface PorkbunPropagationOptions {
+    /** Maximum time to wait in milliseconds. @default 300000 */
+    timeout?: number;
+    /** Delay in milliseconds between two checks. @default 5000 */
+    interval?: number;
+    /** Aborts waiting, rejecting with the signal's reason. */
+    signal?: AbortSignal;
+    /** Timeout of each DNS query in milliseconds. @default 5000 */
+    queryTimeout?: number;
+    /** Addresses of the DNS servers to query (eg: "127.0.0.1:5353"), instead of the domain's authoritative name servers. */
+    servers?: string[];
+    /** DNS servers used to resolve the host names of the name servers. Defaults to the system's resolver. */
+    resolverServers?: string[];
+}
+
+export interface PorkbunPropagationNameserverResult {
+    /** Host name of the name server, or its address if given through the servers option. */
+    nameserver: string;
+    /** Address the name server was queried at. Null if its host name could not be resolved. */
+    address:    string | null;
+    /** Normalized record values served by the name server. */
+    values:     string[];
+    /** Whether the name server serves the expected content. */
+    matched:    boolean;
+    /** Reason the name server could not be queried, if any. */
+    error?:     string;
+}
+
+export interface PorkbunPropagationReport {
+    domain:      string;
+    /** Fully qualified name of the record. */
+    fqdn:        string;
+    type:        PorkbunAPIDNSRecordTypes;
+    content:     string;
+    /** Whether all name servers serve the expected content. */
+    propagated:  boolean;
+    /** Amount of times the name servers were queried. */
+    attempts:    number;
+    /** Time spent waiting in milliseconds. */
+    elapsed:     number;
+    nameservers: PorkbunPropagationNameserverResult[];
+}
+export interface PorkbunSSLCertificateInfo {
+    subject:         string;
+    issuer:          string;
+    /** DNS names of the certificate's subject alternative names (eg: "example.com", "*.example.com"). */
+    subjectAltNames: string[];
+    validFrom:       Date;
+    validTo:         Date;
+    serialNumber:    string;
+    fingerprint256:  string;
+}
+
+export interface PorkbunSSLBundleInfo extends PorkbunSSLCertificateInfo {
+    /** All certificates of the chain, starting with the leaf certificate. */
+    chain:      PorkbunSSLCertificateInfo[];
+    /** Whether the private key of the bundle matches the leaf certificate. */
+    keyMatches: boolean;
+}
+
+export interface PorkbunSSLWriteOptions {
+    /** File mode of privatekey.pem, certificatechain.pem and publickey.pem are always written with 0o644. @default 0o600 */
+    mode?: number;
+}
+
+export interface PorkbunSSLWriteResult {
+    domain:      string;
+    /** Paths of the written files. */
+    files: {
+        certificateChain: string;
+        privateKey:       string;
+        publicKey:        string;
+    };
+    certificate: PorkbunSSLBundleInfo;
+}
+
+export interface PorkbunSSLWatchOptions extends PorkbunSSLWriteOptions {
+    /** Delay in milliseconds between two checks. @default 43200000 */
+    interval?: number;
+    /** Reload hook called (and awaited) after a newer certificate was written, eg: to reload a web server. Called again on the next check if it throws. */
+    onRenew?: (result: PorkbunSSLWriteResult) => void | Promise<void>;
+}
+
+export type PorkbunPriceType = "registration" | "renewal" | "transfer";
+
+/** Pricing of a TLD, as returned by PricingCatalog. Prices are in USD. */
+export interface PorkbunTLDPricing {
+    /** TLD without the leading dot (eg: "com"). */
+    tld:          string;
+    registration: number;
+    renewal:      number;
+    transfer:     number;
+    /** Registration coupon, null if there is none. */
+    coupon:       {
+        code:          string,
+        /** Discount in USD, 0 if not provided by the API. */
+        amount:        number,
+        firstYearOnly: boolean,
+        maxPerUser:    number | null
+    } | null;
+    specialType:  "handshake" | null;
+}
+
+export interface PorkbunPricingFilter extends PorkbunRequestOptions {
+    /** Only include these TLDs (eg: "com" or ".com"). */
+    tlds?:           string[];
+    /** Minimum prices, by price type (eg: { renewal: 5 }). TLDs without a price of a bounded type are excluded. */
+    minPrice?:       Partial<Record<PorkbunPriceType, number>>;
+    /** Maximum prices, by price type (eg: { renewal: 15 }). TLDs without a price of a bounded type are excluded. */
+    maxPrice?:       Partial<Record<PorkbunPriceType, number>>;
+    /** Only include TLDs with (or without) a registration coupon. */
+    hasCoupon?:      boolean;
+    /** Whether to include handshake TLDs. @default false */
+    includeSpecial?: boolean;
+    /** @default "tld" */
+    sortBy?:         "tld" | PorkbunPriceType;
+    /** @default "asc" */
+    order?:          "asc" | "desc";
+}
+
+export interface PorkbunPricingCSVOptions extends PorkbunPricingFilter {
+    /** Adds the estimated registration, renewal and transfer totals for this number of years. */
+    years?:       number;
+    /** Whether the estimated totals apply the registration coupons. @default true */
+    applyCoupon?: boolean;
+}
+
+export interface PorkbunPricingEstimate {
+    tld:    string;
+    action: PorkbunPriceType;
+    years:  number;
+    /** Total cost in USD. */
+    total:  number;
+    /** Cost of each year in USD, coupons applied. */
+    yearly: number[];
+    /** Code of the applied coupon, null if none was applied. */
+    coupon: string | null;
+}
+
+export interface PorkbunAvailabilitySearchOptions extends PorkbunRequestOptions {
+    /** 
+     * Maximum number of checks in flight. Only controls how many checkDomain calls are queued by the client, which sends them one at a time, 
+     * unless its rateLimitQueue option is set to false. @default 1 
+     */
+    concurrency?: number;
+    /** Domains to skip, eg: the checked domains of a previous search to resume it. */
+    skip?:        string[];
+    /** Whether to wait for the rate limit window to reset once the limit is reached, instead of stopping the iteration. @default true */
+    wait?:        boolean;
+}
+
+/** Availability of a candidate domain. Prices are in USD, null (like the other fields) if the check failed with an error. */
+export interface PorkbunAvailabilityResult {
+    domain:              string;
+    name:                string;
+    /** TLD without the leading dot. */
+    tld:                 string;
+    avail:               boolean | null;
+    premium:             boolean | null;
+    firstYearPromo:      boolean | null;
+    /** First year registration price. */
+    price:               number | null;
+    regularPrice:        number | null;
+    renewalPrice:        number | null;
+    renewalRegularPrice: number | null;
+    transferPrice:       number | null;
+    /** APIError of the check (eg: unsupported TLD), null if it succeeded. */
+    error:               Error | null;
+}
+
+export interface PorkbunAuditOptions extends PorkbunRequestOptions, Pick<PorkbunDomainFilterOptions, 'tld' | 'label' | 'status'> {
+    /** Domains expiring within this amount of days (or already expired) are reported. @default 30 */
+    expiresWithinDays?: number;
+    /** Expected name servers, domains with a different set being reported. Name servers are not checked if unset. */
+    nameservers?:       string[];
+    /** Whether to report domains without DNS records, requesting the records of each domain. @default true */
+    checkDNSRecords?:   boolean;
+    /** Maximum number of domains checked at once. @default 1 */
+    concurrency?:       number;
+}
+
+export type PorkbunAuditIssueType = "expiring" | "autoRenewDisabled" | "securityLockDisabled" | "whoisPrivacyDisabled" | "nameServerMismatch" | "noDNSRecords" | "checkFailed";
+
+export interface PorkbunAuditIssue {
+    type:    PorkbunAuditIssueType;
+    /** Human readable description, eg: "Expires in 12 days (2025-08-20)". */
+    message: string;
+}
+
+export interface PorkbunDomainAudit {
+    domain:          string;
+    expireDate:      Date | null;
+    /** Whole days until the expiry date (rounded towards zero), negative for domains expired for a day or more. */
+    daysUntilExpiry: number | null;
+    autoRenew:       boolean;
+    securityLock:    boolean;
+    whoisPrivacy:    boolean;
+    /** Name servers of the domain (lowercased and sorted), null if they were not checked. */
+    nameservers:     string[] | null;
+    /** Number of DNS records, null if they were not checked. */
+    dnsRecordCount:  number | null;
+    /** Empty if the domain has no issues. */
+    issues:          PorkbunAuditIssue[];
+}
+
+export type PorkbunBackupSection = "nameservers" | "records" | "forwards" | "glue" | "dnssec";
+
+export interface PorkbunDomainBackup {
+    /** Lowercased name servers. Sections are null if they were not backed up or could not be read (see errors). */
+    nameservers: string[] | null;
+    /** DNS records, names being subdomains (empty for the root domain). */
+    records:     { id: string, name: string, type: PorkbunAPIDNSRecordTypes, content: string, ttl: number | null, priority: number | null }[] | null;
+    forwards:    { id: string, subdomain: string, location: string, type: "temporary" | "permanent", includePath: boolean, wildcard: boolean }[] | null;
+    /** Glue records, hosts being subdomains of the domain (eg: "ns1"). */
+    glue:        { host: string, ips: string[] }[] | null;
+    dnssec:      { keyTag: string, alg: string, digestType: string, digest: string }[] | null;
+    /** Error messages of the sections that could not be read. */
+    errors:      Partial<Record<PorkbunBackupSection, string>>;
+}
+
+/** JSON serializable backup created by PorkbunClient.backup(). */
+export interface PorkbunBackup {
+    format:        "porkbun-wrapper-backup";
+    /** Version of the backup format. */
+    version:       number;
+    /** Version of the porkbun-wrapper package that created the backup. */
+    clientVersion: string;
+    /** ISO 8601 timestamp. */
+    createdAt:     string;
+    domains:       { [domain: string]: PorkbunDomainBackup };
+}
+
+export interface PorkbunBackupOptions extends PorkbunRequestOptions {
+    /** Domains to back up. Defaults to all domains of the account. */
+    domains?:  string[];
+    /** Sections to back up. @default ["glue", "nameservers", "records", "forwards", "dnssec"] */
+    sections?: PorkbunBackupSection[];
+    /** Path of a file to (atomically) write the backup to as JSON, readable by the owner only. */
+    file?:     string;
+}
+
+export interface PorkbunRestoreOptions extends PorkbunRequestOptions {
+    /** Domains to restore. Defaults to all domains of the backup. */
+    domains?:  string[];
+    /** Sections to restore. @default ["glue", "nameservers", "records", "forwards", "dnssec"] */
+    sections?: PorkbunBackupSection[];
+    /** If set to true, no changes are made and the planned operations are returned. */
+    dryRun?:   boolean;
+}
+
+export type PorkbunRestoreOperation = (PorkbunDNSOperation & { section: "records" }) | {
+    section:   Exclude<PorkbunBackupSection, "records">;
+    action:    "create" | "update" | "delete";
+    /** Domain for name servers, forward subdomain (create) or ID (delete), glue host subdomain or DNSSEC key tag. */
+    key:       string;
+    /** The backed up data being restored. */
+    data?:     any;
+    /** The live data being replaced or deleted. */
+    previous?: any;
+    status:    PorkbunDNSOperationStatus;
+    /** Error the operation failed with, if its status is "failed". */
+    error?:    any;
+};
+
+export interface PorkbunDomainRestoreResult {
+    domain:     string;
+    /** Glue records creations and updates, name servers, glue records deletions, DNS records, URL forwards then DNSSEC records. */
+    operations: PorkbunRestoreOperation[];
+    /** Errors of the sections whose live state could not be read, left as they are. */
+    errors:     Partial<Record<PorkbunBackupSection, any>>;
+}
+
+export interface PorkbunRestoreResult {
+    dryRun:  boolean;
+    domains: PorkbunDomainRestoreResult[];
+}
+
+/** A change made through a DNS transaction. */
+export interface PorkbunTransactionStep {
+    /** "editByType" and "deleteByType" are editDNSRecords and deleteDNSRecords changes. */
+    action:        "create" | "edit" | "delete" | "editByType" | "deleteByType";
+    type:          PorkbunAPIDNSRecordTypes;
+    /** Subdomain of the record(s), empty for the root domain. */
+    name:          string;
+    /** IDs of the created, edited or deleted records. */
+    ids:           string[];
+    /** Record data of creations and edits, null for deletions. */
+    record:        Object | null;
+    /** The records before the change. For creations, the existing records of the same subdomain and type. */
+    previous:      PorkbunDNSRecord[];
+    status:        "pending" | "applied" | "failed" | "rolledBack" | "rollbackFailed";
+    /** 
+     * Error the change failed with, if its status is "failed". Changes that failed without an API error (eg: timed out) may still have been applied, 
+     * and are checked on rollback: their status is set to "rolledBack" if they were applied and undone, "rollbackFailed" if that could not be done or known.
+     */
+    error?:        any;
+    /** Error the rollback failed with, if its status is "rollbackFailed". */
+    rollbackError?: any;
+    /** IDs of the records recreated by the rollback of a deletion. */
+    restoredIDs?:  string[];
+}
+
+/** URL forward data as accepted by addURLForward. */
+export interface PorkbunURLForwardData {
+    /** Empty, null or unset for the root domain. */
+    subdomain?:   string | null;
+    /** Absolute http(s) URL to forward to. */
+    location:     string;
+    type:         "temporary" | "permanent";
+    includePath?: boolean;
+    wildcard?:    boolean;
+}
+
+/** URL forward as returned by getURLForwardings, with boolean flags. */
+export interface PorkbunURLForward {
+    id:          string;
+    subdomain:   string;
+    location:    string;
+    type:        "temporary" | "permanent";
+    includePath: boolean;
+    wildcard:    boolean;
+}
+
+export type PorkbunURLForwardOperation = ({
+    action:  "add",
+    forward: Required<PorkbunURLForwardData> & { subdomain: string }
+} | {
+    action:  "delete",
+    id:      string,
+    /** The forward being deleted. */
+    forward: PorkbunURLForward
+}) & {
+    status: PorkbunDNSOperationStatus,
+    /** Error the operation failed with, if its status is "failed". */
+    error?: any
+}
+
+export interface PorkbunURLForwardSyncOptions extends PorkbunRequestOptions {
+    /** What to do with the forwards of subdomains that are not desired. @default "keep" */
+    unmanaged?: "keep" | "delete";
+    /** If set to true, no changes are made and the planned operations are returned. */
+    dryRun?:    boolean;
+}
+
+export interface PorkbunURLForwardSyncResult {
+    domain:     string;
+    dryRun:     boolean;
+    /** Additions of a subdomain come before the deletions of its previous forwards. */
+    operations: PorkbunURLForwardOperation[];
+    /** Existing forwards left as they are. */
+    unchanged:  PorkbunURLForward[];
+}
+
+export interface PorkbunVanityNameserversOptions extends PorkbunRequestOptions {
+    /** If set to true, no changes are made and the planned operations are returned. */
+    dryRun?: boolean;
+}
+
+export interface PorkbunVanityNameserverOperation {
+    action: "createGlue" | "updateGlue" | "deleteGlue" | "updateNameServers";
+    /** Glue host subdomain (eg: "ns1"), or the domain for name servers. */
+    key:    string;
+    /** IP addresses of the glue record or name servers, null for deletions. */
+    data:   string[] | null;
+    /** Previous IP addresses of the glue record or previous name servers, null for creations. */
+    previous: string[] | null;
+    status: PorkbunDNSOperationStatus;
+    /** Error the operation failed with, if its status is "failed". */
+    error?: any;
+}
+
+export interface PorkbunVanityNameserversState {
+    nameservers: string[];
+    /** Glue records of the domain, by host subdomain. */
+    glue:        { host: string, ips: string[] }[];
+}
+
+export interface PorkbunVanityNameserversSetup {
+    domain:              string;
+    dryRun:              boolean;
+    /** Fully qualified vanity name servers (eg: "ns1.example.com"). */
+    nameservers:         string[];
+    /** Name servers of the domain before the setup, restored by teardownVanityNameservers. */
+    previousNameservers: string[];
+    /** previousIPs is null if the glue record did not exist before the setup. */
+    hosts:               { host: string, ips: string[], previousIPs: string[] | null }[];
+    /** Glue operations, then the name servers update. */
+    operations:          PorkbunVanityNameserverOperation[];
+    /** State of the domain after the changes (before them on dry runs). */
+    state:               PorkbunVanityNameserversState;
+}
+
+export interface PorkbunVanityNameserversTeardown {
+    domain:     string;
+    dryRun:     boolean;
+    /** The name servers update, then glue operations. */
+    operations: PorkbunVanityNameserverOperation[];
+    /** State of the domain after the changes (before them on dry runs). */
+    state:      PorkbunVanityNameserversState;
+}
+
+/** DS digest types: 1 (SHA-1, verification only), 2 (SHA-256) and 4 (SHA-384). */
+export type PorkbunDSDigestType = 1 | 2 | 4;
+
+export interface PorkbunDNSKEY {
+    /** 256 for zone signing keys, 257 for key signing keys. */
+    flags:     number;
+    protocol:  3;
+    algorithm: number;
+    /** Base64 encoded public key. */
+    publicKey: string;
+    /** Key tag computed as per RFC 4034 appendix B. */
+    keyTag:    number;
+    /** Whether the secure entry point flag is set (key signing key). */
+    isKSK:     boolean;
+}
+
+export interface PorkbunDSData {
+    keyTag:     number;
+    alg:        number;
+    digestType: PorkbunDSDigestType;
+    /** Uppercase hexadecimal digest. */
+    digest:     string;
+}
+
+export interface PorkbunDNSSECAddOptions extends PorkbunRequestOptions {
+    /** 2 (SHA-256) or 4 (SHA-384). @default 2 */
+    digestType?:     2 | 4;
+    /** Whether to also submit the key data (flags, protocol, algorithm and public key), required by some registries. */
+    includeKeyData?: boolean;
+}
+
+export interface PorkbunDNSSECVerifyResult {
+    domain:  string;
+    /** Whether every key is referenced and there are no stale records. */
+    valid:   boolean;
+    /** Keys referenced by registry records. */
+    matched: { dnskey: PorkbunDNSKEY, records: { keyTag: number, alg: number, digestType: number, digest: string }[] }[];
+    /** Keys not referenced by any registry record, with their SHA-256 DS data. */
+    missing: { dnskey: PorkbunDNSKEY, ds: PorkbunDSData }[];
+    /** 
+     * Registry records matching none of the keys. sharesKeyTag is set if one of the keys has the same key tag, 
+     * in which case deleting the record could also delete the valid one, most registries deleting all records with matching data. 
+     */
+    stale:   { keyTag: number, alg: number, digestType: number, digest: string, sharesKeyTag: boolean }[];
+}